@@ -11,6 +11,8 @@ class ArenaManager {
     this.socket = null;
     this.user = null;
     this.games = [];
+    this.gameTypes = {};
+    this.inQuickPlay = false;
     this.autoRefreshInterval = null;
     this.timerUpdateInterval = null;
     this.lastUpdateTime = Date.now();
@@ -19,6 +21,7 @@ class ArenaManager {
 
   async init() {
     await this.loadUser();
+    await this.loadGameTypes();
     this.setupSocket();
     this.setupEventListeners();
     this.checkOnboarding();
@@ -41,12 +44,43 @@ class ArenaManager {
     }
   }
 
+  // Game types and their limits come from the server's game registry
+  async loadGameTypes() {
+    try {
+      const response = await fetch('/api/game-types');
+      if (!response.ok) return;
+
+      const manifests = await response.json();
+      this.gameTypes = Object.fromEntries(manifests.map(m => [m.id, m]));
+
+      const gameTypeSelect = document.getElementById('game-type');
+      gameTypeSelect.innerHTML = manifests.map(m => `
+        <option value="${m.id}">${m.emoji} ${m.name}</option>
+      `).join('');
+      gameTypeSelect.addEventListener('change', () => this.updatePlayerLimits());
+      this.updatePlayerLimits();
+    } catch (error) {
+      console.error('Failed to load game types:', error);
+    }
+  }
+
+  updatePlayerLimits() {
+    const manifest = this.gameTypes[document.getElementById('game-type').value];
+    if (!manifest) return;
+
+    const maxPlayersInput = document.getElementById('max-players');
+    maxPlayersInput.min = manifest.minPlayers;
+    maxPlayersInput.max = manifest.maxPlayers;
+    maxPlayersInput.value = Math.max(manifest.minPlayers, Math.min(parseInt(maxPlayersInput.value, 10) || manifest.maxPlayers, manifest.maxPlayers));
+    document.querySelector('label[for="max-players"]').textContent = `Max Players (${manifest.minPlayers}-${manifest.maxPlayers}):`;
+  }
+
   setupSocket() {
     this.socket = io();
 
     this.socket.on('connect', () => {
       console.log('Connected to server');
-      this.socket.emit('join-lobby', this.user.id);
+      this.socket.emit('join-lobby');
     });
 
     this.socket.on('lobby-games', (games) => {
@@ -61,9 +95,46 @@ class ArenaManager {
       window.location.href = `/game/${game.id}`;
     });
 
+    this.socket.on('quick-play-queued', ({ gameTypes, waiting }) => {
+      const games = gameTypes.map(type => this.gameTypes[type] ? this.gameTypes[type].name : type).join(', ');
+      this.setQuickPlayStatus(`Looking for players (${games})… ${waiting} waiting`);
+    });
+
+    this.socket.on('quick-play-matched', ({ gameId }) => {
+      window.location.href = `/game/${gameId}`;
+    });
+
     this.socket.on('error', (error) => {
       alert(`Error: ${error}`);
     });
+
+    this.socket.on('invalid-payload', ({ error }) => {
+      alert(`Error: ${error}`);
+    });
+
+    this.socket.on('rate-limited', ({ retryAfterSeconds }) => {
+      alert(`You're doing that too fast. Try again in ${retryAfterSeconds} second${retryAfterSeconds === 1 ? '' : 's'}.`);
+    });
+  }
+
+  // Quick Play queues with the user's onboarding preferences; the button
+  // doubles as cancel while searching
+  toggleQuickPlay() {
+    if (this.inQuickPlay) {
+      this.socket.emit('quick-play-cancel');
+      this.setQuickPlayStatus(null);
+    } else {
+      this.socket.emit('quick-play');
+      this.setQuickPlayStatus('Looking for players…');
+    }
+  }
+
+  setQuickPlayStatus(message) {
+    this.inQuickPlay = !!message;
+    const status = document.getElementById('quick-play-status');
+    status.textContent = message || '';
+    status.classList.toggle('hidden', !message);
+    document.getElementById('quick-play-btn').textContent = message ? 'Cancel' : 'Find a Game';
   }
 
   setupEventListeners() {
@@ -78,6 +149,8 @@ class ArenaManager {
       }
     });
 
+    document.getElementById('quick-play-btn').addEventListener('click', () => this.toggleQuickPlay());
+
     // Create game form
     const createGameForm = document.getElementById('create-game-form');
     createGameForm.addEventListener('submit', (e) => {
@@ -138,23 +211,26 @@ class ArenaManager {
     gamesList.innerHTML = this.games.map(game => {
       const isLive = game.status === 'playing';
       const isFull = game.currentPlayers >= game.maxPlayers;
-      const canJoin = !isFull && game.status === 'waiting';
+      const canJoin = !isFull && !game.locked && game.status === 'waiting';
       const canSpectate = isLive;
       
       return `
         <div class="game-item ${game.status} ${isFull ? 'full' : ''} ${isLive ? 'live' : ''}" 
              data-game-id="${game.id}">
           ${isLive ? '<div class="live-badge">🔴 LIVE</div>' : ''}
-          <div class="game-type">${this.formatGameType(game.type)}</div>
+          ${game.name ? `<div class="game-name">${game.hasPassword ? '🔑 ' : ''}${this.escapeHtml(game.name)}</div>` : ''}
+          <div class="game-type">${!game.name && game.hasPassword ? '🔑 ' : ''}${this.formatGameType(game.type)}${game.mode && game.mode !== 'classic' ? ` · ${this.formatMode(game.mode)}` : ''}</div>
+          ${game.description ? `<div class="game-description">${this.escapeHtml(game.description)}</div>` : ''}
           <div class="game-players">
             <span class="player-status-badge ${isLive ? 'in-game' : 'active'}">
               ${game.currentPlayers}/${game.maxPlayers} players
             </span>
             ${game.startTime ? `<span class="game-timer">${this.getGameDuration(game.startTime)}</span>` : ''}
           </div>
+          ${this.formatRules(game)}
           <div class="game-meta">
             <span>Created by ${game.creator}</span>
-            <span class="game-status ${game.status}">${this.formatStatus(game.status)}</span>
+            <span class="game-status ${game.status}">${game.locked ? '🔒 ' : ''}${this.formatStatus(game.status)}</span>
           </div>
           <div class="game-actions-row" onclick="event.stopPropagation()">
             ${canJoin ? `<button class="game-action-btn" onclick="arenaManager.joinGame('${game.id}')">Join Game</button>` : ''}
@@ -179,12 +255,41 @@ class ArenaManager {
   }
 
   formatGameType(type) {
-    const types = {
-      'degens-against-decency': 'Degens Against Decency',
-      '2-truths-and-a-lie': '2 Truths and a Lie',
-      'poker': 'Poker (5-Card Stud)'
+    const manifest = this.gameTypes[type];
+    return manifest ? `${manifest.emoji} ${manifest.name}` : type;
+  }
+
+  // Room rules from the lobby card, labelled by the game's manifest.
+  // Timers are left out to keep the card short.
+  formatRules(game) {
+    const manifest = this.gameTypes[game.type];
+    if (!manifest || !game.options) return '';
+
+    const rules = (manifest.options || [])
+      .filter(option => !option.key.includes('.') && game.options[option.key] !== undefined)
+      .map(option => `${option.label}: ${this.formatOptionValue(option, game.options[option.key])}`);
+    return rules.length > 0 ? `<div class="game-rules">${rules.join(' · ')}</div>` : '';
+  }
+
+  formatOptionValue(option, value) {
+    if (option.type === 'boolean') return value ? 'On' : 'Off';
+    if (option.type === 'list') return value.length > 0 ? `${value.length} selected` : 'None';
+    return value;
+  }
+
+  formatMode(mode) {
+    const modes = {
+      'chaos': '🌪️ Chaos',
+      'easy': '😊 Easy',
+      'hardcore': '💀 Hardcore'
     };
-    return types[type] || type;
+    return modes[mode] || mode;
+  }
+
+  escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text == null ? '' : String(text);
+    return div.innerHTML;
   }
 
   formatStatus(status) {
@@ -11,6 +11,17 @@ document.addEventListener('DOMContentLoaded', () => {
   const roomNameInput = document.getElementById('room-name');
   const gameModeSelect = document.getElementById('game-mode');
   const maxPlayersInput = document.getElementById('max-players');
+  const maxRoundsInput = document.getElementById('max-rounds');
+  const turnTimeInput = document.getElementById('turn-time');
+  const endConditionSelect = document.getElementById('end-condition');
+  const pointsToWinInput = document.getElementById('points-to-win');
+  const timeLimitInput = document.getElementById('time-limit');
+  const judgingSelect = document.getElementById('judging');
+  const tieBreakSelect = document.getElementById('tie-break');
+  const pointsPerVoteInput = document.getElementById('points-per-vote');
+  const cardPacksContainer = document.getElementById('card-packs');
+  const aiCardsCheckbox = document.getElementById('ai-cards');
+  const packImportInput = document.getElementById('pack-import');
   const privateRoomCheckbox = document.getElementById('private-room');
   const passwordProtectedCheckbox = document.getElementById('password-protected');
   const passwordField = document.querySelector('.password-field');
@@ -21,6 +32,178 @@ document.addEventListener('DOMContentLoaded', () => {
   const previewMode = document.getElementById('preview-mode');
   const previewPrivacy = document.getElementById('preview-privacy');
   
+  // Game types and their seat limits come from the server's game registry
+  const gameTypeSelect = document.getElementById('game-type');
+  let gameTypes = {};
+
+  function updatePlayerLimits() {
+    const manifest = gameTypes[gameTypeSelect.value];
+    if (!manifest || !maxPlayersInput) return;
+    maxPlayersInput.min = manifest.minPlayers;
+    maxPlayersInput.max = manifest.maxPlayers;
+    maxPlayersInput.value = Math.max(manifest.minPlayers, Math.min(parseInt(maxPlayersInput.value, 10) || manifest.maxPlayers, manifest.maxPlayers));
+  }
+
+  // What the server will use for an option in the chosen mode: the mode's
+  // preset if it sets one, otherwise the manifest default
+  function modeValue(manifest, option) {
+    const preset = (manifest.modes || {})[gameModeSelect.value] || {};
+    const value = option.key.split('.').reduce((obj, part) => (obj ? obj[part] : undefined), preset);
+    return value !== undefined ? value : option.default;
+  }
+
+  // The rounds field only applies to games with rounds; turn time sets the
+  // game's first phase timer
+  function updateRuleFields() {
+    const manifest = gameTypes[gameTypeSelect.value];
+    if (!manifest) return;
+
+    const rounds = manifest.options.find(o => o.key === 'maxRounds');
+    maxRoundsInput.closest('.form-group').style.display = rounds ? '' : 'none';
+    maxRoundsInput.required = !!rounds;
+    if (rounds) {
+      maxRoundsInput.min = rounds.min;
+      maxRoundsInput.max = rounds.max;
+      maxRoundsInput.value = modeValue(manifest, rounds);
+      maxRoundsInput.nextElementSibling.textContent = `${rounds.min}-${rounds.max} rounds`;
+    }
+
+    const turnTimer = manifest.options.find(o => o.key.startsWith('timers.'));
+    if (turnTimer) {
+      turnTimeInput.value = modeValue(manifest, turnTimer);
+    }
+
+    updateEndFields();
+    updateJudgingFields();
+    document.getElementById('card-pack-settings').style.display =
+      manifest.options.some(o => o.key === 'packs') ? '' : 'none';
+  }
+
+  // How the game ends, for games that support end conditions. The rounds
+  // field only counts when playing a set number of rounds.
+  function updateEndFields() {
+    const manifest = gameTypes[gameTypeSelect.value];
+    const hasEndConditions = !!manifest && manifest.options.some(o => o.key === 'endCondition');
+    document.getElementById('end-rules').style.display = hasEndConditions ? '' : 'none';
+    document.querySelectorAll('.end-rule').forEach(field => {
+      field.style.display = field.dataset.endCondition === endConditionSelect.value ? '' : 'none';
+    });
+    if (hasEndConditions) {
+      pointsToWinInput.max = manifest.options.find(o => o.key === 'pointsToWin').max;
+      maxRoundsInput.required = endConditionSelect.value === 'rounds';
+      maxRoundsInput.disabled = endConditionSelect.value !== 'rounds';
+    }
+  }
+
+  endConditionSelect.addEventListener('change', updateEndFields);
+
+  // Card Czar or Democracy, for games that offer the choice; the vote
+  // rules only matter in Democracy
+  function updateJudgingFields() {
+    const manifest = gameTypes[gameTypeSelect.value];
+    const hasJudging = !!manifest && manifest.options.some(o => o.key === 'judging');
+    document.getElementById('judging-rules').style.display = hasJudging ? '' : 'none';
+    document.querySelectorAll('.democracy-rule').forEach(field => {
+      field.style.display = judgingSelect.value === 'democracy' ? '' : 'none';
+    });
+  }
+
+  judgingSelect.addEventListener('change', updateJudgingFields);
+
+  // Built-in, public and your own packs, with the ones already ticked kept
+  const RATING_ICONS = { mild: '🎴', moderate: '🃏', explicit: '🔞' };
+
+  function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text == null ? '' : String(text);
+    return div.innerHTML;
+  }
+
+  function selectedPacks() {
+    return Array.from(cardPacksContainer.querySelectorAll('input:checked')).map(input => input.value);
+  }
+
+  function loadCardPacks(select = []) {
+    const selected = new Set([...selectedPacks(), ...select]);
+    return fetch('/api/packs')
+      .then(response => response.json())
+      .then(packs => {
+        cardPacksContainer.innerHTML = packs.map(pack => `
+          <div class="pack-option">
+            <input type="checkbox" id="pack-${escapeHtml(pack.id)}" value="${escapeHtml(pack.id)}" ${selected.has(pack.id) ? 'checked' : ''} />
+            <label for="pack-${escapeHtml(pack.id)}" class="pack-label" title="${escapeHtml(pack.description)}">
+              <span class="pack-icon">${RATING_ICONS[pack.contentRating] || '🎴'}</span>
+              <span class="pack-info">
+                <strong>${escapeHtml(pack.name)}</strong>
+                <small>${pack.questionCount + pack.answerCount} cards${pack.builtIn ? '' : ` · ${pack.visibility === 'public' ? 'Public' : 'Private'}`}</small>
+              </span>
+            </label>
+          </div>
+        `).join('');
+      })
+      .catch(error => console.error('Failed to load card packs:', error));
+  }
+
+  // JSON files are posted as packs; CSV files go through the import route
+  // and are named after the file
+  if (packImportInput) {
+    packImportInput.addEventListener('change', async () => {
+      const file = packImportInput.files[0];
+      if (!file) return;
+
+      try {
+        const text = await file.text();
+        const isCsv = /\.csv$/i.test(file.name);
+        let body;
+        try {
+          body = isCsv ? { csv: text, name: file.name.replace(/\.csv$/i, '') } : { ...JSON.parse(text), visibility: 'private' };
+        } catch (error) {
+          alert('That file is not a valid JSON card pack.');
+          return;
+        }
+
+        const response = await fetch(isCsv ? '/api/packs/import' : '/api/packs', {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json'
+          },
+          body: JSON.stringify(body)
+        });
+        const pack = await response.json();
+
+        if (!response.ok) {
+          alert(`Failed to import pack: ${pack.message || pack.error}`);
+          return;
+        }
+        await loadCardPacks([pack.id]);
+      } catch (error) {
+        console.error('Failed to import pack:', error);
+        alert('Failed to import pack. Please try again.');
+      } finally {
+        packImportInput.value = '';
+      }
+    });
+  }
+
+  loadCardPacks();
+
+  fetch('/api/game-types')
+    .then(response => response.json())
+    .then(manifests => {
+      gameTypes = Object.fromEntries(manifests.map(m => [m.id, m]));
+      gameTypeSelect.innerHTML = manifests.map(m => `<option value="${m.id}">${m.emoji} ${m.name}</option>`).join('');
+      updatePlayerLimits();
+      updateRuleFields();
+    })
+    .catch(error => console.error('Failed to load game types:', error));
+
+  if (gameTypeSelect) {
+    gameTypeSelect.addEventListener('change', () => {
+      updatePlayerLimits();
+      updateRuleFields();
+    });
+  }
+  
   // Update preview on input changes
   if (roomNameInput) {
     roomNameInput.addEventListener('input', (e) => {
@@ -45,6 +228,7 @@ document.addEventListener('DOMContentLoaded', () => {
       const modeName = e.target.options[e.target.selectedIndex].text;
       const icon = modeIcons[e.target.value] || '🎮';
       previewMode.textContent = `${icon} ${modeName}`;
+      updateRuleFields();
     });
   }
   
@@ -74,63 +258,75 @@ document.addEventListener('DOMContentLoaded', () => {
   // Handle form submission
   const form = document.getElementById('create-room-form');
   if (form) {
-    form.addEventListener('submit', (e) => {
+    form.addEventListener('submit', async (e) => {
       e.preventDefault();
-      
-      // Collect form data
-      const formData = {
-        roomName: document.getElementById('room-name').value,
-        description: document.getElementById('room-description').value,
-        gameType: document.getElementById('game-type').value,
-        gameMode: document.getElementById('game-mode').value,
-        maxPlayers: parseInt(document.getElementById('max-players').value),
-        maxRounds: parseInt(document.getElementById('max-rounds').value),
-        turnTime: parseInt(document.getElementById('turn-time').value),
-        judgeRotation: document.getElementById('judge-rotation').value,
-        isPrivate: document.getElementById('private-room').checked,
-        passwordProtected: document.getElementById('password-protected').checked,
-        password: document.getElementById('room-password').value,
-        friendsOnly: document.getElementById('friends-only').checked,
-        cardPacks: {
-          default: document.getElementById('pack-default').checked,
-          nsfw: document.getElementById('pack-nsfw').checked,
-          memes: document.getElementById('pack-memes').checked,
-          tech: document.getElementById('pack-tech').checked,
-          custom: document.getElementById('pack-custom').checked
-        },
-        contentFilter: {
-          profanity: document.getElementById('filter-profanity').checked,
-          political: document.getElementById('filter-political').checked,
-          religious: document.getElementById('filter-religious').checked,
-          sexual: document.getElementById('filter-sexual').checked
+
+      const manifest = gameTypes[gameTypeSelect.value];
+      const options = {};
+      if (manifest.options.some(o => o.key === 'maxRounds')) {
+        options.maxRounds = parseInt(maxRoundsInput.value, 10);
+      }
+      const turnTimer = manifest.options.find(o => o.key.startsWith('timers.'));
+      if (turnTimer) {
+        options.timers = { [turnTimer.key.split('.')[1]]: parseInt(turnTimeInput.value, 10) };
+      }
+      if (manifest.options.some(o => o.key === 'endCondition')) {
+        options.endCondition = endConditionSelect.value;
+        if (options.endCondition === 'points') {
+          options.pointsToWin = parseInt(pointsToWinInput.value, 10);
+        } else if (options.endCondition === 'time') {
+          options.timeLimit = parseInt(timeLimitInput.value, 10);
         }
+      }
+      if (manifest.options.some(o => o.key === 'judging')) {
+        options.judging = judgingSelect.value;
+        if (options.judging === 'democracy') {
+          options.tieBreak = tieBreakSelect.value;
+          options.pointsPerVote = parseInt(pointsPerVoteInput.value, 10);
+        }
+      }
+      if (manifest.options.some(o => o.key === 'packs')) {
+        options.packs = selectedPacks();
+        options.aiCards = aiCardsCheckbox.checked;
+      }
+
+      const roomData = {
+        gameType: gameTypeSelect.value,
+        name: roomNameInput.value,
+        description: document.getElementById('room-description').value,
+        mode: gameModeSelect.value,
+        maxPlayers: parseInt(maxPlayersInput.value, 10),
+        isPrivate: privateRoomCheckbox.checked,
+        password: passwordProtectedCheckbox.checked ? document.getElementById('room-password').value : undefined,
+        options
       };
-      
-      console.log('Creating room with settings:', formData);
-      
-      // Generate room code
-      const roomCode = generateRoomCode();
-      
-      // Show success message
-      alert(`Room created successfully!\n\nRoom Name: ${formData.roomName}\nRoom Code: ${roomCode}\n\nRedirecting to game lobby...`);
-      
-      // Redirect to lobby (in a real app, this would go to the actual room)
-      setTimeout(() => {
-        window.location.href = 'lobby.html';
-      }, 1000);
+
+      try {
+        const response = await fetch('/api/games', {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json'
+          },
+          body: JSON.stringify(roomData)
+        });
+        const game = await response.json();
+
+        if (!response.ok) {
+          alert(`Failed to create room: ${game.message || game.error}`);
+          return;
+        }
+
+        if (game.inviteLink) {
+          prompt('Room created! Share this invite link with your friends:', game.inviteLink);
+        }
+        window.location.href = `/game/${game.id}${game.isPrivate ? '?invite=true' : ''}`;
+      } catch (error) {
+        console.error('Failed to create room:', error);
+        alert('Failed to create room. Please try again.');
+      }
     });
   }
   
-  // Generate random room code
-  function generateRoomCode() {
-    const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
-    let code = '#';
-    for (let i = 0; i < 5; i++) {
-      code += chars.charAt(Math.floor(Math.random() * chars.length));
-    }
-    return code;
-  }
-  
   // Update Create Room button behavior in other pages
   const createRoomBtn = document.querySelector('.create-room-btn:not(.active)');
   if (createRoomBtn) {
@@ -14,6 +14,9 @@ class GameManager {
     this.gameState = null;
     this.gameRenderer = null;
     this.isSpectator = false;
+    this.hasJoined = false;
+    this.timerInterval = null;
+    this.gameTypes = {};
     this.init();
   }
 
@@ -27,6 +30,7 @@ class GameManager {
     this.isSpectator = urlParams.get('spectate') === 'true';
 
     await this.loadUser();
+    await this.loadGameTypes();
     this.setupSocket();
     this.setupEventListeners();
   }
@@ -46,23 +50,55 @@ class GameManager {
     }
   }
 
+  async loadGameTypes() {
+    try {
+      const response = await fetch('/api/game-types');
+      if (response.ok) {
+        const manifests = await response.json();
+        this.gameTypes = Object.fromEntries(manifests.map(m => [m.id, m]));
+      }
+    } catch (error) {
+      console.error('Failed to load game types:', error);
+    }
+  }
+
   setupSocket() {
     this.socket = io();
 
     this.socket.on('connect', () => {
       console.log('Connected to server');
+      // The server knows who we are from the session cookie
       if (this.isSpectator) {
         this.socket.emit('spectate-game', this.gameId);
+      } else if (this.hasJoined) {
+        // Reconnecting after a dropped connection - reclaim our seat
+        this.socket.emit('rejoin-game', this.gameId);
       } else {
         this.socket.emit('join-game', this.gameId);
       }
     });
 
     this.socket.on('game-update', (gameState) => {
+      this.hasJoined = !this.isSpectator;
       this.gameState = gameState;
       this.updateGameDisplay();
     });
 
+    this.socket.on('kicked', ({ banned }) => {
+      this.hasJoined = false;
+      alert(banned ? 'You have been banned from this room by the host.' : 'You have been removed from this room by the host.');
+      window.location.href = '/arena';
+    });
+
+    this.socket.on('password-required', ({ error }) => {
+      const password = prompt(`${error}. Enter the room password:`);
+      if (password === null) {
+        window.location.href = '/arena';
+        return;
+      }
+      this.socket.emit(this.isSpectator ? 'spectate-game' : 'join-game', this.gameId, password);
+    });
+
     this.socket.on('spectator-mode', (enabled) => {
       if (enabled) {
         this.showSpectatorBadge();
@@ -73,10 +109,42 @@ class GameManager {
       this.addChatMessage(message);
     });
 
+    this.socket.on('game-expiring', ({ expiresAt }) => {
+      const minutes = Math.max(1, Math.round((expiresAt - Date.now()) / 60000));
+      this.addChatMessage({
+        sender: 'System',
+        text: `This room has been idle and will close in about ${minutes} minute${minutes === 1 ? '' : 's'} unless something happens.`
+      });
+    });
+
+    this.socket.on('rate-limited', ({ retryAfterSeconds }) => {
+      this.addChatMessage({
+        sender: 'System',
+        text: `You're doing that too fast. Try again in ${retryAfterSeconds} second${retryAfterSeconds === 1 ? '' : 's'}.`
+      });
+    });
+
+    this.socket.on('chat-muted', ({ until }) => {
+      this.addChatMessage({
+        sender: 'System',
+        text: `You've been muted for spamming until ${new Date(until).toLocaleTimeString()}.`
+      });
+    });
+
+    this.socket.on('game-expired', () => {
+      this.hasJoined = false;
+      alert('This room was closed after being idle for too long.');
+      window.location.href = '/arena';
+    });
+
     this.socket.on('error', (error) => {
       alert(`Error: ${error}`);
     });
 
+    this.socket.on('invalid-payload', ({ error }) => {
+      alert(`Error: ${error}`);
+    });
+
     this.socket.on('disconnect', () => {
       console.log('Disconnected from server');
     });
@@ -118,11 +186,7 @@ class GameManager {
     const sendMessage = () => {
       const message = chatInput.value.trim();
       if (message) {
-        this.socket.emit('chat-message', {
-          gameId: this.gameId,
-          message: message,
-          sender: this.user.username
-        });
+        this.socket.emit('chat-message', { message });
         chatInput.value = '';
       }
     };
@@ -134,6 +198,46 @@ class GameManager {
       }
     });
 
+    // Host moderation buttons in the players panel
+    document.querySelector('.players-panel').addEventListener('click', (e) => {
+      if (e.target.closest('[data-add-bot]')) {
+        this.socket.emit('add-bot', document.getElementById('bot-style').value);
+        return;
+      }
+
+      const button = e.target.closest('[data-host-action]');
+      if (!button) return;
+
+      const { hostAction, targetId, targetName } = button.dataset;
+      if ((hostAction === 'kick-player' || hostAction === 'ban-player') &&
+          !confirm(`${hostAction === 'ban-player' ? 'Ban' : 'Kick'} ${targetName} from this room?`)) {
+        return;
+      }
+      this.socket.emit(hostAction, targetId);
+    });
+
+    document.getElementById('lock-room').addEventListener('click', () => {
+      this.socket.emit('lock-room', !this.gameState.locked);
+    });
+
+    document.getElementById('ready-panel').addEventListener('click', (e) => {
+      const readyButton = e.target.closest('[data-ready]');
+      if (readyButton) {
+        this.sendGameAction({ type: 'ready', ready: readyButton.dataset.ready === 'yes' });
+      } else if (e.target.closest('[data-start-now]')) {
+        this.sendGameAction({ type: 'start-game' });
+      }
+    });
+
+    document.getElementById('rematch-panel').addEventListener('click', (e) => {
+      const voteButton = e.target.closest('[data-rematch-vote]');
+      if (voteButton) {
+        this.socket.emit('rematch-vote', voteButton.dataset.rematchVote === 'yes');
+      } else if (e.target.closest('[data-start-rematch]')) {
+        this.socket.emit('start-rematch', { rotate: document.getElementById('rematch-rotate').checked });
+      }
+    });
+
     // Modal close
     const modalClose = document.querySelector('.modal-close');
     const modal = document.getElementById('game-modal');
@@ -175,9 +279,12 @@ class GameManager {
     const gameRound = document.getElementById('game-round');
     const gameStatus = document.getElementById('game-status');
 
-    gameTitle.textContent = this.formatGameType(this.gameState.type);
-    gameRound.textContent = `Round ${this.gameState.currentRound || 1}`;
-    gameStatus.textContent = this.formatStatus(this.gameState.status);
+    gameTitle.textContent = this.gameState.name ? `${this.gameState.name} · ${this.formatGameType(this.gameState.type)}` : this.formatGameType(this.gameState.type);
+    // "of N" only when the game runs for a fixed number of rounds
+    const roundLimit = this.gameState.maxRounds && this.gameState.endCondition === 'rounds' ? ` of ${this.gameState.maxRounds}` : '';
+    gameRound.textContent = `Round ${this.gameState.currentRound || 1}${roundLimit}${this.gameState.suddenDeath ? ' · ⚡ Sudden death' : ''}`;
+    gameStatus.textContent = this.formatStatus(this.gameState.status) +
+      (this.gameState.status === 'finished' && this.gameState.endDescription ? ` · ${this.gameState.endDescription}` : '');
 
     // Check if game just finished and show feedback survey
     if (this.gameState.status === 'finished' && this.user && !this.isSpectator) {
@@ -189,8 +296,17 @@ class GameManager {
       }, 2000);
     }
 
+    const replayLink = document.getElementById('replay-link');
+    if (replayLink) {
+      replayLink.href = `/replay/${this.gameId}${window.location.search}`;
+      replayLink.classList.toggle('hidden', this.gameState.status !== 'finished');
+    }
+
     // Update players list
     this.updatePlayersList();
+    this.updatePhaseTimer();
+    this.updateReadyPanel();
+    this.updateRematchPanel();
 
     // Update game-specific content based on game type
     this.initializeGameRenderer();
@@ -202,18 +318,18 @@ class GameManager {
       return; // Already have the correct renderer
     }
 
-    switch (this.gameState.type) {
-      case 'degens-against-decency':
-        this.gameRenderer = new DegensGameRenderer(this);
-        break;
-      case '2-truths-and-a-lie':
-        this.gameRenderer = new TwoTruthsGameRenderer(this);
-        break;
-      case 'poker':
-        this.gameRenderer = new PokerGameRenderer(this);
-        break;
-      default:
-        console.error('Unknown game type:', this.gameState.type);
+    // Each game's manifest names the renderer that draws it
+    const renderers = {
+      'degens': DegensGameRenderer,
+      'two-truths': TwoTruthsGameRenderer,
+      'poker': PokerGameRenderer
+    };
+    const manifest = this.gameTypes[this.gameState.type];
+    const Renderer = manifest && renderers[manifest.renderer];
+    if (Renderer) {
+      this.gameRenderer = new Renderer(this);
+    } else {
+      console.error('Unknown game type:', this.gameState.type);
     }
   }
 
@@ -225,27 +341,219 @@ class GameManager {
       return;
     }
 
+    const isHost = this.gameState.hostId === this.user.id;
+
     playersList.innerHTML = this.gameState.players.map(player => {
       const score = this.gameState.scores[player.id] || 0;
+      const series = this.gameState.series;
+      const seriesScore = series && series.gamesPlayed > 1
+        ? ` <span class="series-score" title="Total over ${series.gamesPlayed} games">Σ ${series.scores[player.id] || 0}</span>`
+        : '';
       const isCurrentPlayer = this.gameState.currentPlayer?.id === player.id;
+      const hostBadge = player.id === this.gameState.hostId ? ' <span class="host-badge" title="Host">👑</span>' : '';
+      const isReady = (this.gameState.readyPlayerIds || []).includes(player.id);
+      const readyMark = this.gameState.status === 'waiting'
+        ? `<span class="ready-mark" title="${isReady ? 'Ready' : 'Not ready'}">${isReady ? '✅' : '⏳'}</span>`
+        : '';
       
       return `
-        <div class="player-item ${isCurrentPlayer ? 'current-player' : ''}">
-          <img src="https://cdn.discordapp.com/embed/avatars/${parseInt(player.id) % 5}.png" alt="${player.username}" />
-          <div class="player-name">${player.username}</div>
-          <div class="player-score">${score}</div>
+        <div class="player-item ${isCurrentPlayer ? 'current-player' : ''} ${player.connected === false ? 'reconnecting' : ''}">
+          <img src="${player.avatar || `https://cdn.discordapp.com/embed/avatars/${parseInt(player.id) % 5}.png`}" alt="${player.username}" />
+          <div class="player-name">${readyMark}${player.username}${hostBadge}${player.connected === false ? ' <span class="reconnecting-label">(reconnecting…)</span>' : ''}</div>
+          <div class="player-score">${score}${seriesScore}</div>
+          ${isHost && player.id !== this.user.id ? this.renderHostControls(player, true) : ''}
         </div>
       `;
     }).join('');
+
+    // Only the host sees spectators and the ban list, since only they can act on them
+    if (isHost && this.gameState.spectators && this.gameState.spectators.length > 0) {
+      playersList.innerHTML += '<h4 class="host-section-title">Spectators</h4>' + this.gameState.spectators.map(spectator => `
+        <div class="player-item spectator-item">
+          <div class="player-name">${spectator.username}</div>
+          ${this.renderHostControls(spectator, false)}
+        </div>
+      `).join('');
+    }
+
+    if (isHost && this.gameState.bannedUserIds && this.gameState.bannedUserIds.length > 0) {
+      playersList.innerHTML += '<h4 class="host-section-title">Banned</h4>' + this.gameState.bannedUserIds.map(userId => `
+        <div class="player-item banned-item">
+          <div class="player-name">${userId}</div>
+          <div class="host-controls">
+            <button class="host-control" data-host-action="unban-player" data-target-id="${userId}">Unban</button>
+          </div>
+        </div>
+      `).join('');
+    }
+
+    // Bots can fill empty seats before the game starts
+    const botStyles = this.gameTypes[this.gameState.type]?.botStyles;
+    if (isHost && botStyles && this.gameState.status === 'waiting' && this.gameState.players.length < this.gameState.maxPlayers) {
+      playersList.innerHTML += `
+        <div class="add-bot">
+          <select id="bot-style">
+            ${Object.entries(botStyles).map(([style, label]) => `<option value="${style}">${label}</option>`).join('')}
+          </select>
+          <button class="host-control" data-add-bot>🤖 Add Bot</button>
+        </div>
+      `;
+    }
+
+    const lockButton = document.getElementById('lock-room');
+    lockButton.classList.toggle('hidden', !isHost);
+    lockButton.textContent = this.gameState.locked ? '🔓 Unlock Room' : '🔒 Lock Room';
+    document.getElementById('room-locked').classList.toggle('hidden', !this.gameState.locked);
   }
 
-  formatGameType(type) {
-    const types = {
-      'degens-against-decency': 'Degens Against Decency',
-      '2-truths-and-a-lie': '2 Truths and a Lie',
-      'poker': 'Poker (5-Card Stud)'
+  // Before the game starts everyone sees the room's rules and readies up.
+  // The game starts by itself on a countdown once all players are ready.
+  updateReadyPanel() {
+    const panel = document.getElementById('ready-panel');
+    if (this.gameState.status !== 'waiting') {
+      panel.classList.add('hidden');
+      return;
+    }
+
+    const isPlayer = !this.isSpectator && this.gameState.players.some(p => p.id === this.user.id);
+    const isHost = this.gameState.hostId === this.user.id;
+    const ready = this.gameState.readyPlayerIds || [];
+    const notReady = this.gameState.players.filter(p => !ready.includes(p.id));
+    const enoughPlayers = this.gameState.players.length >= (this.gameState.minPlayers || 2);
+    const countingDown = this.gameState.timer && this.gameState.timer.phase === 'countdown';
+
+    let status;
+    if (countingDown) {
+      status = '🚀 Everyone is ready, starting soon…';
+    } else if (!enoughPlayers) {
+      status = `Waiting for more players (${this.gameState.players.length}/${this.gameState.minPlayers})`;
+    } else {
+      status = `${ready.length} of ${this.gameState.players.length} ready`;
+    }
+
+    panel.innerHTML = `
+      ${this.renderRoomRules()}
+      <div class="ready-status">${status}</div>
+      ${isHost && notReady.length > 0 ? `<div class="ready-waiting">Not ready: ${notReady.map(p => this.escapeHtml(p.username)).join(', ')}</div>` : ''}
+      ${isPlayer ? `
+        <button class="${ready.includes(this.user.id) ? 'secondary-button' : 'cta-button'}" data-ready="${ready.includes(this.user.id) ? 'no' : 'yes'}">
+          ${ready.includes(this.user.id) ? 'Not Ready' : 'Ready'}
+        </button>
+      ` : ''}
+      ${isHost && enoughPlayers && notReady.length === 0 ? '<button class="cta-button" data-start-now>Start Now</button>' : ''}
+    `;
+    panel.classList.remove('hidden');
+  }
+
+  // Mode, description and every option the room was created with, labelled
+  // by the game's manifest
+  renderRoomRules() {
+    const manifest = this.gameTypes[this.gameState.type];
+    const options = this.gameState.options || {};
+    const lookup = (key) => key.split('.').reduce((obj, part) => (obj ? obj[part] : undefined), options);
+
+    const rules = ((manifest && manifest.options) || [])
+      .filter(option => lookup(option.key) !== undefined)
+      .map(option => `<li>${this.escapeHtml(option.label)}: ${this.escapeHtml(this.formatOptionValue(option, lookup(option.key)))}</li>`);
+    if (this.gameState.mode && this.gameState.mode !== 'classic') {
+      rules.unshift(`<li>Mode: ${this.escapeHtml(this.gameState.mode)}</li>`);
+    }
+
+    return `
+      <div class="room-rules">
+        <h4>Room Rules</h4>
+        ${this.gameState.description ? `<p>${this.escapeHtml(this.gameState.description)}</p>` : ''}
+        ${rules.length > 0 ? `<ul>${rules.join('')}</ul>` : '<p>Standard rules.</p>'}
+      </div>
+    `;
+  }
+
+  // Card packs are named once the deck is loaded, and counted before that
+  formatOptionValue(option, value) {
+    if (option.type === 'boolean') {
+      return value ? 'On' : 'Off';
+    }
+    if (option.type === 'list') {
+      const packs = option.key === 'packs' ? this.gameState.cardPacks || [] : [];
+      if (packs.length > 0) return packs.map(pack => pack.name).join(', ');
+      return value.length > 0 ? `${value.length} selected` : 'None';
+    }
+    return value;
+  }
+
+  escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text == null ? '' : String(text);
+    return div.innerHTML;
+  }
+
+  // Once a game is finished players opt in to play again, and the host
+  // restarts the room with everyone who did
+  updateRematchPanel() {
+    const panel = document.getElementById('rematch-panel');
+    const isPlayer = !this.isSpectator && this.gameState.players.some(p => p.id === this.user.id);
+    if (this.gameState.status !== 'finished' || !isPlayer) {
+      panel.classList.add('hidden');
+      return;
+    }
+
+    const votes = this.gameState.rematchVotes || [];
+    const humans = this.gameState.players.filter(p => !p.isBot);
+    const isHost = this.gameState.hostId === this.user.id;
+    const votedYes = votes.includes(this.user.id);
+
+    panel.innerHTML = `
+      <div class="rematch-status">🔁 Rematch: ${votes.length} of ${humans.length - 1} ${humans.length === 2 ? 'player' : 'players'} in</div>
+      ${isHost ? `
+        <label class="rematch-rotate"><input type="checkbox" id="rematch-rotate" /> Rotate dealer / Czar</label>
+        <button class="cta-button" data-start-rematch>Start Rematch</button>
+      ` : `
+        <button class="${votedYes ? 'secondary-button' : 'cta-button'}" data-rematch-vote="${votedYes ? 'no' : 'yes'}">${votedYes ? 'Sit Out' : 'Play Again'}</button>
+      `}
+    `;
+    panel.classList.remove('hidden');
+  }
+
+  renderHostControls(user, isPlayer) {
+    return `
+      <div class="host-controls">
+        ${isPlayer && !user.isBot ? `<button class="host-control" data-host-action="transfer-host" data-target-id="${user.id}" title="Make host">👑</button>` : ''}
+        <button class="host-control" data-host-action="kick-player" data-target-id="${user.id}" data-target-name="${user.username}" title="Kick">${user.isBot ? 'Remove' : 'Kick'}</button>
+        ${user.isBot ? '' : `<button class="host-control danger" data-host-action="ban-player" data-target-id="${user.id}" data-target-name="${user.username}" title="Ban">Ban</button>`}
+      </div>
+    `;
+  }
+
+  // Counts down to the server's deadline for the current phase
+  updatePhaseTimer() {
+    const timerElement = document.getElementById('phase-timer');
+    if (!timerElement) return;
+
+    if (this.timerInterval) {
+      clearInterval(this.timerInterval);
+      this.timerInterval = null;
+    }
+
+    const timer = this.gameState.timer;
+    if (!timer || !timer.deadline) {
+      timerElement.classList.add('hidden');
+      return;
+    }
+
+    const tick = () => {
+      const remaining = Math.max(0, Math.ceil((timer.deadline - Date.now()) / 1000));
+      timerElement.textContent = `⏱️ ${remaining}s`;
+      timerElement.classList.toggle('urgent', remaining <= 10);
     };
-    return types[type] || type;
+
+    timerElement.classList.remove('hidden');
+    tick();
+    this.timerInterval = setInterval(tick, 1000);
+  }
+
+  formatGameType(type) {
+    const manifest = this.gameTypes[type];
+    return manifest ? `${manifest.emoji} ${manifest.name}` : type;
   }
 
   formatStatus(status) {
@@ -262,8 +570,8 @@ class GameManager {
     const messageElement = document.createElement('div');
     messageElement.className = 'chat-message';
     messageElement.innerHTML = `
-      <div class="sender">${message.sender}</div>
-      <div class="text">${message.text}</div>
+      <div class="sender">${message.avatar ? `<img class="chat-avatar" src="${this.escapeHtml(message.avatar)}" alt="" />` : ''}${this.escapeHtml(message.sender)}</div>
+      <div class="text">${this.escapeHtml(message.text)}</div>
     `;
     
     chatMessages.appendChild(messageElement);
@@ -298,6 +606,8 @@ class BaseGameRenderer {
 class DegensGameRenderer extends BaseGameRenderer {
   constructor(gameManager) {
     super(gameManager, 'degens-against-decency');
+    // Cards picked so far for a Pick-N question, in blank order
+    this.selection = { round: null, cardIds: [] };
   }
 
   render(gameState) {
@@ -314,22 +624,16 @@ class DegensGameRenderer extends BaseGameRenderer {
           <p>Current players: ${gameState.players.length}/${gameState.maxPlayers}</p>
         </div>
       `;
-      
-      if (gameState.creator.id === this.gameManager.user.id && gameState.players.length >= 2) {
-        gameActions.innerHTML = `
-          <button class="cta-button" onclick="gameManager.sendGameAction({type: 'start-game'})">
-            Start Game
-          </button>
-        `;
-      }
       return;
     }
 
     // Show current question
     if (gameState.currentQuestion) {
+      const pick = gameState.currentQuestion.pick || 1;
       gameContent.innerHTML = `
         <div class="degens-question">
-          ${gameState.currentQuestion.text}
+          ${this.gameManager.escapeHtml(gameState.currentQuestion.text)}
+          ${pick > 1 ? `<div class="pick-count">Pick ${pick}</div>` : ''}
         </div>
       `;
     }
@@ -343,16 +647,34 @@ class DegensGameRenderer extends BaseGameRenderer {
     } else {
       this.renderPlayerView(gameState);
     }
+
+    // The host decides when to move on once the round is decided, and can
+    // cut voting short
+    if (gameState.roundDecided && gameState.hostId === userId) {
+      document.getElementById('game-actions').innerHTML = `
+        <button class="cta-button" onclick="gameManager.sendGameAction({type: 'next-round'})">
+          Next Round
+        </button>
+      `;
+    } else if (gameState.judgingMode === 'democracy' && gameState.submissions.length > 0 && gameState.hostId === userId) {
+      document.getElementById('game-actions').innerHTML = `
+        <button class="cta-button" onclick="gameManager.sendGameAction({type: 'close-voting'})">
+          Close Voting
+        </button>
+      `;
+    }
   }
 
   renderCardCzarView(gameState) {
     const gameContent = document.getElementById('game-content');
     const gameActions = document.getElementById('game-actions');
 
-    if (gameState.submissions && gameState.submissions.length > 0) {
-      const submissionsHtml = gameState.submissions.map((sub, index) => `
-        <div class="submission-card" onclick="gameManager.sendGameAction({type: 'judge-submission', playerId: '${sub.playerId}'})">
-          ${sub.card.text}
+    if (gameState.roundDecided) {
+      this.renderRoundResult(gameState);
+    } else if (gameState.submissions && gameState.submissions.length > 0) {
+      const submissionsHtml = gameState.submissions.map(sub => `
+        <div class="submission-card" onclick="gameManager.sendGameAction({type: 'judge-submission', slotId: '${sub.slotId}'})">
+          ${this.fillBlanks(gameState.currentQuestion, sub.cards)}
         </div>
       `).join('');
 
@@ -377,26 +699,43 @@ class DegensGameRenderer extends BaseGameRenderer {
     const userId = this.gameManager.user.id;
     
     // Check if player has submitted
-    const hasSubmitted = gameState.submissions?.some(sub => sub.playerId === userId);
+    const hasSubmitted = gameState.submittedPlayers?.includes(userId);
     
-    if (hasSubmitted) {
+    if (gameState.roundDecided) {
+      this.renderRoundResult(gameState);
+    } else if (gameState.judgingMode === 'democracy' && gameState.submissions.length > 0) {
+      this.renderVotingView(gameState);
+    } else if (hasSubmitted) {
       gameContent.innerHTML += `
         <div class="waiting-area">
           <h3>Answer Submitted!</h3>
-          <p>Waiting for the Card Czar to choose the winner...</p>
+          <p>${gameState.judgingMode === 'democracy' ? 'Waiting for everyone to play before the vote...' : 'Waiting for the Card Czar to choose the winner...'}</p>
         </div>
       `;
     } else if (gameState.playerHands && gameState.playerHands[userId]) {
       const hand = gameState.playerHands[userId];
-      const handHtml = hand.map(card => `
-        <div class="answer-card" onclick="gameManager.sendGameAction({type: 'submit-card', cardId: '${card.id}'})">
-          ${card.text}
-        </div>
-      `).join('');
+      const pick = gameState.currentQuestion?.pick || 1;
+      const round = `${gameState.currentRound}:${gameState.currentQuestion?.id}`;
+      if (this.selection.round !== round) {
+        this.selection = { round, cardIds: [] };
+      }
+
+      // Single answers go straight in; for Pick-N, cards are numbered in the
+      // order they were picked and sent together
+      const handHtml = hand.map(card => {
+        const order = this.selection.cardIds.indexOf(String(card.id));
+        return `
+          <div class="answer-card ${order >= 0 ? 'selected' : ''}" onclick="gameManager.gameRenderer.pickCard('${card.id}', ${pick})">
+            ${order >= 0 ? `<span class="pick-order">${order + 1}</span>` : ''}
+            ${this.gameManager.escapeHtml(card.text)}
+          </div>
+        `;
+      }).join('');
 
       gameContent.innerHTML += `
         <div class="player-hand-area">
-          <h3>Choose your answer:</h3>
+          <h3>${pick > 1 ? `Choose ${pick} answers, in order:` : 'Choose your answer:'}</h3>
+          ${pick > 1 && this.selection.cardIds.length > 0 ? `<div class="submission-card preview">${this.fillBlanks(gameState.currentQuestion, this.selection.cardIds.map(id => hand.find(card => String(card.id) === id)))}</div>` : ''}
           <div class="player-hand">
             ${handHtml}
           </div>
@@ -404,6 +743,95 @@ class DegensGameRenderer extends BaseGameRenderer {
       `;
     }
   }
+
+  // Democracy: everyone votes for a favourite other than their own
+  renderVotingView(gameState) {
+    const gameContent = document.getElementById('game-content');
+
+    if (gameState.myVote) {
+      gameContent.innerHTML += `
+        <div class="waiting-area">
+          <h3>Vote cast!</h3>
+          <p>${gameState.votedPlayers.length}/${gameState.players.length} players have voted...</p>
+        </div>
+      `;
+      return;
+    }
+
+    const submissionsHtml = gameState.submissions.map(sub => sub.isOwn
+      ? `<div class="submission-card own">${this.fillBlanks(gameState.currentQuestion, sub.cards)}<span class="own-label">Yours</span></div>`
+      : `<div class="submission-card" onclick="gameManager.sendGameAction({type: 'vote', slotId: '${sub.slotId}'})">
+          ${this.fillBlanks(gameState.currentQuestion, sub.cards)}
+        </div>`
+    ).join('');
+
+    gameContent.innerHTML += `
+      <div class="submissions-area">
+        <h3>Vote for your favourite answer:</h3>
+        ${submissionsHtml}
+      </div>
+    `;
+  }
+
+  pickCard(cardId, pick) {
+    if (pick === 1) {
+      this.gameManager.sendGameAction({ type: 'submit-card', cardId });
+      return;
+    }
+
+    const cardIds = this.selection.cardIds;
+    if (cardIds.includes(cardId)) {
+      cardIds.splice(cardIds.indexOf(cardId), 1);
+    } else {
+      cardIds.push(cardId);
+    }
+
+    if (cardIds.length === pick) {
+      this.gameManager.sendGameAction({ type: 'submit-card', cardIds: [...cardIds] });
+      this.selection.cardIds = [];
+    } else {
+      this.render(this.gameManager.gameState);
+    }
+  }
+
+  // The question with each blank filled by the next answer; answers
+  // without a blank to go in are added on the end
+  fillBlanks(question, cards) {
+    const answers = cards.filter(Boolean).map(card => `<strong class="filled-blank">${this.gameManager.escapeHtml(card.text)}</strong>`);
+    if (!question) {
+      return answers.join(' ');
+    }
+
+    let used = 0;
+    const filled = this.gameManager.escapeHtml(question.text)
+      .replace(/_{3,}/g, blank => (used < answers.length ? answers[used++] : blank));
+    return [filled, ...answers.slice(used)].join(' ');
+  }
+
+  renderRoundResult(gameState) {
+    const gameContent = document.getElementById('game-content');
+    const winnerIds = gameState.roundWinners || [gameState.roundWinner];
+    const names = winnerIds
+      .map(id => gameState.players.find(p => p.id === id))
+      .map(winner => this.gameManager.escapeHtml(winner ? winner.username : 'Someone'));
+
+    // After a vote every answer is shown with its votes, winners first
+    const shown = gameState.submissions
+      .filter(sub => sub.votes !== undefined || winnerIds.includes(sub.playerId))
+      .sort((a, b) => (b.votes || 0) - (a.votes || 0));
+
+    gameContent.innerHTML += `
+      <div class="waiting-area">
+        <h3>${names.length > 0 ? `🏆 ${names.join(' & ')} ${names.length > 1 ? 'share' : 'wins'} the round!` : '🤝 No outright winner this round'}</h3>
+        ${shown.map(sub => `
+          <div class="submission-card ${winnerIds.includes(sub.playerId) ? 'winner' : ''}">
+            ${this.fillBlanks(gameState.currentQuestion, sub.cards)}
+            ${sub.votes !== undefined ? `<span class="vote-count">${sub.votes} vote${sub.votes === 1 ? '' : 's'}</span>` : ''}
+          </div>
+        `).join('')}
+      </div>
+    `;
+  }
 }
 
 // 2 Truths and a Lie renderer
@@ -425,15 +853,10 @@ class TwoTruthsGameRenderer extends BaseGameRenderer {
           <h2>Waiting for Players</h2>
           <p>Need at least 3 players to start</p>
         </div>
+        ${this.renderFairness(gameState)}
       `;
-      
-      if (gameState.creator.id === userId && gameState.players.length >= 2) {
-        gameActions.innerHTML = `
-          <button class="cta-button" onclick="gameManager.sendGameAction({type: 'start-game'})">
-            Start Game
-          </button>
-        `;
-      }
+
+      this.contributeClientSeed(gameState);
       return;
     }
 
@@ -464,9 +887,9 @@ class TwoTruthsGameRenderer extends BaseGameRenderer {
       gameContent.innerHTML += `
         <div class="statements-input">
           <h3>Enter your 2 truths and 1 lie:</h3>
-          <textarea id="statement-1" placeholder="Statement 1 (truth)"></textarea>
-          <textarea id="statement-2" placeholder="Statement 2 (truth)"></textarea>
-          <textarea id="statement-3" placeholder="Statement 3 (lie)"></textarea>
+          <textarea id="statement-1" placeholder="Statement 1 (truth)" maxlength="200"></textarea>
+          <textarea id="statement-2" placeholder="Statement 2 (truth)" maxlength="200"></textarea>
+          <textarea id="statement-3" placeholder="Statement 3 (lie)" maxlength="200"></textarea>
         </div>
       `;
 
@@ -558,6 +981,7 @@ class TwoTruthsGameRenderer extends BaseGameRenderer {
 class PokerGameRenderer extends BaseGameRenderer {
   constructor(gameManager) {
     super(gameManager, 'poker');
+    this.clientSeedSent = false;
   }
 
   render(gameState) {
@@ -574,14 +998,6 @@ class PokerGameRenderer extends BaseGameRenderer {
           <p>Need at least 3 players to start</p>
         </div>
       `;
-      
-      if (gameState.creator.id === userId && gameState.players.length >= 2) {
-        gameActions.innerHTML = `
-          <button class="cta-button" onclick="gameManager.sendGameAction({type: 'start-game'})">
-            Start Game
-          </button>
-        `;
-      }
       return;
     }
 
@@ -591,7 +1007,12 @@ class PokerGameRenderer extends BaseGameRenderer {
         <div class="poker-pot">
           Pot: $${gameState.pot || 0}
         </div>
+        <div class="poker-blinds">
+          Blinds $${gameState.smallBlind}/$${gameState.bigBlind}
+          ${gameState.stacks && gameState.stacks[userId] !== undefined ? ` · Your stack: $${gameState.stacks[userId]}` : ''}
+        </div>
       </div>
+      ${this.renderFairness(gameState)}
     `;
 
     // Show player's hand
@@ -615,6 +1036,7 @@ class PokerGameRenderer extends BaseGameRenderer {
       const currentBet = gameState.currentBet || 0;
       const playerBet = gameState.playerBets?.[userId] || 0;
       const callAmount = currentBet - playerBet;
+      const raiseAmount = Math.max(gameState.bigBlind || 10, currentBet);
 
       gameActions.innerHTML = `
         <div class="betting-controls">
@@ -630,14 +1052,44 @@ class PokerGameRenderer extends BaseGameRenderer {
               Check
             </button>
           `}
-          <button class="cta-button" onclick="gameManager.sendGameAction({type: 'raise', amount: ${Math.max(10, currentBet)}})">
-            Raise $${Math.max(10, currentBet)}
+          <button class="cta-button" onclick="gameManager.sendGameAction({type: 'raise', amount: ${raiseAmount}})">
+            Raise $${raiseAmount}
           </button>
         </div>
       `;
     }
   }
 
+  // Seated players mix into the shuffle so the server can't pick the deck alone
+  contributeClientSeed(gameState) {
+    const userId = this.gameManager.user.id;
+    if (this.clientSeedSent || this.gameManager.isSpectator || !gameState.fairness || gameState.fairness.clientSeeds[userId]) {
+      return;
+    }
+
+    const bytes = new Uint8Array(16);
+    window.crypto.getRandomValues(bytes);
+    const seed = Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+    this.gameManager.sendGameAction({ type: 'client-seed', seed });
+    this.clientSeedSent = true;
+  }
+
+  renderFairness(gameState) {
+    const fairness = gameState.fairness;
+    if (!fairness) return '';
+
+    return `
+      <div class="fairness-panel">
+        <div>🔒 Shuffle commitment: <code>${fairness.serverSeedHash.slice(0, 16)}…</code></div>
+        <div>🎲 Client seeds contributed: ${Object.keys(fairness.clientSeeds).length}</div>
+        ${fairness.serverSeed ? `
+          <div>🔓 Server seed: <code>${fairness.serverSeed}</code></div>
+          <a href="/api/games/${gameState.id}/verify${window.location.search}" target="_blank" rel="noopener">Verify this shuffle</a>
+        ` : ''}
+      </div>
+    `;
+  }
+
   getSuitSymbol(suit) {
     const symbols = {
       'hearts': '♥',
@@ -0,0 +1,254 @@
+/**
+ * Step-by-step replay of a finished game
+ *
+ * Copyright (c) 2024 Degens Against Decency
+ * Licensed under the MIT License
+ * See LICENSE file in the project root for full license information.
+ */
+
+const PLAYBACK_INTERVAL_MS = 1500;
+
+class ReplayViewer {
+  constructor() {
+    this.gameId = null;
+    this.replay = null;
+    this.position = 0;
+    this.playInterval = null;
+    this.gameTypes = {};
+    this.init();
+  }
+
+  async init() {
+    const pathParts = window.location.pathname.split('/');
+    this.gameId = pathParts[pathParts.length - 1];
+
+    this.setupEventListeners();
+    await this.loadGameTypes();
+    await this.loadReplay();
+  }
+
+  async loadGameTypes() {
+    try {
+      const response = await fetch('/api/game-types');
+      if (response.ok) {
+        const manifests = await response.json();
+        this.gameTypes = Object.fromEntries(manifests.map(m => [m.id, m]));
+      }
+    } catch (error) {
+      console.error('Failed to load game types:', error);
+    }
+  }
+
+  async loadReplay() {
+    try {
+      const response = await fetch(`/api/games/${this.gameId}/replay${window.location.search}`);
+      const data = await response.json();
+
+      if (!response.ok) {
+        this.showError(data.message || data.error);
+        return;
+      }
+
+      this.replay = data;
+      document.getElementById('replay-progress').max = this.replay.steps.length;
+      document.getElementById('game-title').textContent = `Replay: ${this.formatGameType(this.replay.gameType)}`;
+      this.goTo(0);
+    } catch (error) {
+      console.error('Failed to load replay:', error);
+      this.showError('Failed to load replay');
+    }
+  }
+
+  setupEventListeners() {
+    document.getElementById('replay-first').addEventListener('click', () => this.goTo(0));
+    document.getElementById('replay-prev').addEventListener('click', () => this.goTo(this.position - 1));
+    document.getElementById('replay-next').addEventListener('click', () => this.goTo(this.position + 1));
+    document.getElementById('replay-last').addEventListener('click', () => this.goTo(this.replay.steps.length));
+    document.getElementById('replay-play').addEventListener('click', () => this.togglePlayback());
+    document.getElementById('replay-progress').addEventListener('input', (e) => this.goTo(parseInt(e.target.value, 10)));
+  }
+
+  // Position 0 is the empty room; position N is the state after step N
+  goTo(position) {
+    if (!this.replay) return;
+
+    this.position = Math.max(0, Math.min(position, this.replay.steps.length));
+    if (this.position === this.replay.steps.length) {
+      this.stopPlayback();
+    }
+    this.render();
+  }
+
+  togglePlayback() {
+    if (this.playInterval) {
+      this.stopPlayback();
+      return;
+    }
+
+    if (this.position === this.replay.steps.length) {
+      this.goTo(0);
+    }
+    document.getElementById('replay-play').textContent = '⏸ Pause';
+    this.playInterval = setInterval(() => this.goTo(this.position + 1), PLAYBACK_INTERVAL_MS);
+  }
+
+  stopPlayback() {
+    if (this.playInterval) {
+      clearInterval(this.playInterval);
+      this.playInterval = null;
+    }
+    document.getElementById('replay-play').textContent = '▶️ Play';
+  }
+
+  render() {
+    const step = this.replay.steps[this.position - 1];
+    const state = step ? step.state : null;
+
+    document.getElementById('replay-progress').value = this.position;
+    document.getElementById('replay-position').textContent = `Step ${this.position} of ${this.replay.steps.length}`;
+    document.getElementById('game-round').textContent = `Round ${state?.currentRound || 1}`;
+
+    this.renderPlayers(state);
+
+    const content = document.getElementById('game-content');
+    if (!step) {
+      content.innerHTML = '<div class="replay-step">The room is open. Press play or step forward to watch the game.</div>';
+      return;
+    }
+
+    content.innerHTML = `
+      <div class="replay-step ${step.result && step.result.success === false ? 'failed' : ''}">
+        <span class="step-kind">${step.kind}</span>${this.describeStep(step, state)}
+      </div>
+      <div class="replay-snapshot">${this.renderSnapshot(state)}</div>
+    `;
+  }
+
+  renderPlayers(state) {
+    const playersList = document.getElementById('players-list');
+    if (!state || state.players.length === 0) {
+      playersList.innerHTML = '<div class="loading">No players yet</div>';
+      return;
+    }
+
+    playersList.innerHTML = state.players.map(player => `
+      <div class="player-item">
+        <div class="player-name">${this.escapeHtml(player.username)}</div>
+        <div class="player-score">${state.scores[player.id] || 0}</div>
+      </div>
+    `).join('');
+  }
+
+  describeStep(step, state) {
+    const name = (id) => {
+      const player = state.players.find(p => p.id === id);
+      return this.escapeHtml(player ? player.username : id || 'Server');
+    };
+    const payload = step.payload || {};
+
+    switch (step.kind) {
+      case 'join':
+        return `${this.escapeHtml(payload.user?.username || 'A player')} joined`;
+      case 'leave':
+        return `${name(step.actor)} left`;
+      case 'system':
+        return this.escapeHtml(payload.type);
+      case 'action': {
+        const outcome = step.result && step.result.success === false ? ` (rejected: ${this.escapeHtml(step.result.error)})` : '';
+        const auto = payload.auto ? ' (timed out)' : '';
+        return `${name(step.actor)} → ${this.escapeHtml(payload.type)}${payload.amount ? ` ${payload.amount}` : ''}${auto}${outcome}`;
+      }
+      default:
+        return '';
+    }
+  }
+
+  renderSnapshot(state) {
+    if (state.status === 'waiting') {
+      return '<p>Waiting for players...</p>';
+    }
+
+    let html = '';
+    const manifest = this.gameTypes[state.type];
+    switch (manifest && manifest.renderer) {
+      case 'degens':
+        html += `<p><strong>Question:</strong> ${this.escapeHtml(state.currentQuestion?.text || '—')}</p>`;
+        html += `<p><strong>Card Czar:</strong> ${this.escapeHtml(state.cardCzar?.username || '—')}</p>`;
+        html += '<p><strong>Submissions:</strong></p><ul>';
+        // Authors are hidden until the round is decided
+        html += state.submissions.map(s => {
+          const author = s.playerId ? `${this.playerName(state, s.playerId)}: ` : '';
+          const winner = s.playerId && s.playerId === state.roundWinner ? ' 🏆' : '';
+          return `<li>${author}${this.fillBlanks(state.currentQuestion, s.cards)}${winner}</li>`;
+        }).join('') || '<li>None yet</li>';
+        html += '</ul>';
+        break;
+      case 'two-truths':
+        html += `<p><strong>Storyteller:</strong> ${this.escapeHtml(state.currentPlayer?.username || '—')}</p>`;
+        html += '<p><strong>Statements:</strong></p><ul>';
+        html += state.statements.map(s => `<li>${this.escapeHtml(s.text)}${s.isLie ? ' 🤥' : ''}</li>`).join('') || '<li>None yet</li>';
+        html += '</ul><p><strong>Guesses:</strong></p><ul>';
+        html += state.guesses.map(g => `<li>${this.escapeHtml(g.playerName)}: statement ${g.guess + 1}</li>`).join('') || '<li>None yet</li>';
+        html += '</ul>';
+        break;
+      case 'poker':
+        html += `<p><strong>Pot:</strong> ${state.pot} &nbsp; <strong>Current bet:</strong> ${state.currentBet}</p>`;
+        html += `<p><strong>To act:</strong> ${this.escapeHtml(state.currentPlayer?.username || '—')}</p>`;
+        html += '<p><strong>Hands:</strong></p><ul>';
+        html += Object.entries(state.playerHands).map(([playerId, hand]) => {
+          const folded = state.foldedPlayers.includes(playerId) ? ' (folded)' : '';
+          return `<li>${this.playerName(state, playerId)}${folded}: ${hand.map(card => `${card.rank}${this.suitSymbol(card.suit)}`).join(' ')}</li>`;
+        }).join('');
+        html += '</ul>';
+        break;
+    }
+
+    if (state.status === 'finished') {
+      html += '<p><strong>🏁 Game finished</strong></p>';
+    }
+    return html;
+  }
+
+  // The question with each blank filled by the next answer, as the game
+  // page shows it; answers without a blank to go in are added on the end
+  fillBlanks(question, cards) {
+    const answers = cards.filter(Boolean).map(card => `<strong>${this.escapeHtml(card.text)}</strong>`);
+    if (!question) {
+      return answers.join(' ');
+    }
+
+    let used = 0;
+    const filled = this.escapeHtml(question.text)
+      .replace(/_{3,}/g, blank => (used < answers.length ? answers[used++] : blank));
+    return [filled, ...answers.slice(used)].join(' ');
+  }
+
+  playerName(state, playerId) {
+    const player = state.players.find(p => p.id === playerId);
+    return this.escapeHtml(player ? player.username : 'Unknown');
+  }
+
+  suitSymbol(suit) {
+    return { hearts: '♥', diamonds: '♦', clubs: '♣', spades: '♠' }[suit] || suit;
+  }
+
+  formatGameType(type) {
+    const manifest = this.gameTypes[type];
+    return manifest ? manifest.name : type;
+  }
+
+  showError(message) {
+    document.getElementById('game-title').textContent = 'Replay unavailable';
+    document.getElementById('game-content').innerHTML = `<div class="error">${this.escapeHtml(message)}</div>`;
+  }
+
+  escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text == null ? '' : String(text);
+    return div.innerHTML;
+  }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  new ReplayViewer();
+});
@@ -28,7 +28,15 @@ const PORT = process.env.PORT || 3000;
 const GameManager = require('./src/GameManager');
 const AICardGenerator = require('./src/AICardGenerator');
 const DiscordBot = require('./src/DiscordBot');
+const TournamentManager = require('./src/TournamentManager');
+const CardPack = require('./src/CardPack');
+const CardPackStore = require('./src/CardPackStore');
+const Matchmaker = require('./src/Matchmaker');
+const GameReaper = require('./src/GameReaper');
+const RateLimiter = require('./src/RateLimiter');
 const IntegrationManager = require('./src/integrations/IntegrationManager');
+const { validate, INVALID_PAYLOAD } = require('./src/Validator');
+const payloadSchemas = require('./src/PayloadSchemas');
 
 // Initialize Supabase
 const supabaseEnabled = supabase.initSupabase();
@@ -38,10 +46,17 @@ const gameManager = new GameManager(io);
 const aiCardGenerator = new AICardGenerator();
 const discordBot = new DiscordBot(gameManager, io);
 const integrationManager = new IntegrationManager();
+const tournamentManager = new TournamentManager(gameManager, discordBot);
+const matchmaker = new Matchmaker(gameManager, io);
+const gameReaper = new GameReaper(gameManager).start();
+const rateLimiter = new RateLimiter().start();
+const cardPackStore = new CardPackStore();
 
 // Connect bots to game manager
 gameManager.setDiscordBot(discordBot);
 gameManager.setIntegrationManager(integrationManager);
+gameManager.setTournamentManager(tournamentManager);
+gameManager.setCardPackStore(cardPackStore);
 
 // In-memory storage for user profiles and onboarding status (fallback when Supabase is not configured)
 const userProfiles = new Map();
@@ -53,13 +68,21 @@ function extractUsername(user) {
   return metadata.full_name || metadata.name || (user.email ? user.email.split('@')[0] : 'User');
 }
 
-// Session configuration
-app.use(session({
+// Behind a hosting platform's proxy, TRUST_PROXY (the number of proxy hops)
+// makes req.ip the client's address, which API rate limits are keyed by
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', parseInt(process.env.TRUST_PROXY, 10) || 1);
+}
+
+// Session configuration. Socket.IO shares it, so sockets act as the
+// session's user rather than whoever the client claims to be.
+const sessionMiddleware = session({
   secret: process.env.SESSION_SECRET || 'fallback_secret_key',
   resave: false,
   saveUninitialized: false,
   cookie: { secure: false } // Set to true in production with HTTPS
-}));
+});
+app.use(sessionMiddleware);
 
 // Passport configuration - only if Discord credentials are provided
 if (process.env.DISCORD_CLIENT_ID && process.env.DISCORD_CLIENT_SECRET) {
@@ -87,9 +110,69 @@ passport.deserializeUser((user, done) => done(null, user));
 
 app.use(passport.initialize());
 app.use(passport.session());
+
+// Only the handshake carries the session cookie
+const onlyForHandshake = (middleware) => (req, res, next) => {
+  if (req._query.sid === undefined) {
+    middleware(req, res, next);
+  } else {
+    next();
+  }
+};
+io.engine.use(onlyForHandshake(sessionMiddleware));
+io.engine.use(onlyForHandshake(passport.session()));
+// Card packs can hold a few thousand cards
+app.use('/api/packs', express.json({ limit: '1mb' }));
 app.use(express.json());
 app.use(express.static(path.join(__dirname, 'public')));
 
+// Request bodies that fail their schema (or aren't JSON at all) get a 400
+// with the offending field
+const invalidRequest = (res, message, field = null) =>
+  res.status(400).json({ error: 'Invalid request', code: INVALID_PAYLOAD, field, message });
+
+app.use((err, req, res, next) => {
+  if (err.type === 'entity.parse.failed') {
+    return invalidRequest(res, 'Request body must be valid JSON');
+  }
+  next(err);
+});
+
+// Logged-in users are limited per account; guests and anonymous callers
+// per IP, since a fresh session is only a cleared cookie away
+const rateLimitKey = (req) => {
+  const user = getCurrentUser(req);
+  return user && !user.isGuest ? `user:${user.id}` : `ip:${req.ip}`;
+};
+
+const rateLimit = (bucket) => (req, res, next) => {
+  const result = rateLimiter.consume(bucket, rateLimitKey(req));
+  if (!result.success) {
+    res.set('Retry-After', String(result.retryAfterSeconds));
+    return res.status(429).json({
+      error: 'Too many requests',
+      code: 'rate_limited',
+      retryAfter: result.retryAfterSeconds,
+      message: `Slow down! Try again in ${result.retryAfterSeconds} second${result.retryAfterSeconds === 1 ? '' : 's'}.`
+    });
+  }
+  next();
+};
+
+app.use('/api', rateLimit('api'));
+
+// Look up the body schema for a route by "METHOD /path" (see PayloadSchemas)
+const validateBody = (route) => {
+  const schema = payloadSchemas.routes[route];
+  return (req, res, next) => {
+    const result = validate(schema, req.body);
+    if (!result.success) {
+      return invalidRequest(res, result.error, result.field);
+    }
+    next();
+  };
+};
+
 // Authentication routes - Supabase OAuth takes priority if configured
 if (supabaseEnabled) {
   // Supabase Discord OAuth routes
@@ -236,16 +319,8 @@ app.get('/api/user', async (req, res) => {
       return res.json(req.user);
     }
     
-    // For non-authenticated users, create a guest user
-    const guestId = `guest-${Date.now()}-${Math.random().toString(36).slice(2, 11)}`;
-    res.json({
-      id: guestId,
-      username: `Guest_${guestId.slice(-6)}`,
-      discriminator: '0000',
-      avatar: null,
-      email: null,
-      isGuest: true
-    });
+    // Non-authenticated users play as a guest
+    res.json(getOrCreateGuestUser(req));
   } catch (error) {
     console.error('Error fetching user:', error);
     res.status(500).json({ error: 'Failed to retrieve user information', message: error.message });
@@ -257,6 +332,43 @@ function isAuthenticated(req) {
   return (req.session.user && req.session.supabaseSession) || (req.isAuthenticated && req.isAuthenticated());
 }
 
+// Guests keep one identity for as long as their session lasts
+function getOrCreateGuestUser(req) {
+  if (!req.session.guestUser) {
+    const guestId = `guest-${Date.now()}-${Math.random().toString(36).slice(2, 11)}`;
+    req.session.guestUser = {
+      id: guestId,
+      username: `Guest_${guestId.slice(-6)}`,
+      discriminator: '0000',
+      avatar: null,
+      email: null,
+      isGuest: true
+    };
+  }
+  return req.session.guestUser;
+}
+
+// Logged-in user or session guest behind a request or socket handshake
+function getSessionUser(req) {
+  return getCurrentUser(req) || (req.session && req.session.guestUser) || null;
+}
+
+// Supabase stores a full avatar URL, Discord OAuth only the avatar hash
+function getAvatarUrl(user) {
+  if (!user || !user.avatar) return null;
+  if (/^https?:\/\//.test(user.avatar)) return user.avatar;
+  return `https://cdn.discordapp.com/avatars/${user.providerUserId || user.id}/${user.avatar}.png?size=64`;
+}
+
+// Onboarding answers used by Quick Play, from Supabase or the in-memory store
+async function getUserPreferences(userId) {
+  let profile = null;
+  if (supabaseEnabled) {
+    profile = await supabase.getUserProfile(userId);
+  }
+  return Matchmaker.preferencesFromProfile(profile || userProfiles.get(userId));
+}
+
 // Helper function to get current user
 function getCurrentUser(req) {
   if (req.session.user) {
@@ -294,7 +406,7 @@ app.get('/api/user/onboarding-status', async (req, res) => {
 });
 
 // Save onboarding data
-app.post('/api/user/onboarding', async (req, res) => {
+app.post('/api/user/onboarding', validateBody('POST /api/user/onboarding'), async (req, res) => {
   try {
     if (!isAuthenticated(req)) {
       return res.status(401).json({ error: 'Not authenticated' });
@@ -377,7 +489,7 @@ app.get('/api/user/profile', async (req, res) => {
 });
 
 // Update user profile
-app.put('/api/user/profile', async (req, res) => {
+app.put('/api/user/profile', validateBody('PUT /api/user/profile'), async (req, res) => {
   try {
     if (!isAuthenticated(req)) {
       return res.status(401).json({ error: 'Not authenticated' });
@@ -423,6 +535,11 @@ app.put('/api/user/profile', async (req, res) => {
 });
 
 
+app.get('/api/game-types', (req, res) => {
+  // Bot styles are listed alongside each game so the host can pick one
+  res.json(gameManager.registry.list().map(manifest => ({ ...manifest, botStyles: gameManager.bots.getStyles(manifest.id) })));
+});
+
 app.get('/api/games', (req, res) => {
   try {
     const games = gameManager.getPublicGames();
@@ -433,6 +550,11 @@ app.get('/api/games', (req, res) => {
   }
 });
 
+// Summaries of finished games the reaper has cleaned up (public rooms only)
+app.get('/api/archived-games', (req, res) => {
+  res.json(gameReaper.archive.filter(summary => !summary.isPrivate));
+});
+
 app.get('/api/games/:gameId', (req, res) => {
   try {
     const game = gameManager.getGame(req.params.gameId);
@@ -447,36 +569,104 @@ app.get('/api/games/:gameId', (req, res) => {
       return res.status(401).json({ error: 'Not authorized to view this private game', message: 'This is a private game. Use an invite link to join.' });
     }
     
-    res.json(game.getGameState());
+    const user = getCurrentUser(req);
+    const inRoom = user && (game.players.some(p => p.id === user.id) || game.spectators.some(s => s.id === user.id));
+    if (game.passwordHash && !inRoom) {
+      return res.status(403).json({ error: 'Password required', message: 'Join this room with its password to see the game.' });
+    }
+    
+    res.json(game.getGameStateFor(user ? user.id : null));
   } catch (error) {
     console.error('Error fetching game:', error);
     res.status(500).json({ error: 'Failed to retrieve game', message: error.message });
   }
 });
 
-app.post('/api/games', (req, res) => {
+app.get('/api/games/:gameId/replay', async (req, res) => {
   try {
-    let user = getCurrentUser(req);
-    
-    // If not authenticated, create a guest user
-    if (!user) {
-      const guestId = `guest-${Date.now()}-${Math.random().toString(36).slice(2, 11)}`;
-      user = {
-        id: guestId,
-        username: `Guest_${guestId.slice(-6)}`,
-        discriminator: '0000',
-        isGuest: true
-      };
+    const game = gameManager.getGame(req.params.gameId);
+    const isInvite = req.query.invite === 'true';
+
+    // Replays show every hand and hidden card, so only finished games qualify
+    if (game && game.status !== 'finished') {
+      return res.status(409).json({ error: 'Game still in progress', message: 'Replays are available once the game has finished' });
+    }
+
+    const replay = await gameManager.getReplay(req.params.gameId);
+    if (!replay) {
+      return res.status(404).json({ error: 'Replay not found', message: 'No action log exists for this game' });
+    }
+
+    if (replay.setup.isPrivate && !isInvite && !isAuthenticated(req) && process.env.NODE_ENV !== 'development') {
+      return res.status(401).json({ error: 'Not authorized to view this private game', message: 'This is a private game. Use an invite link to watch the replay.' });
+    }
+
+    res.json(replay);
+  } catch (error) {
+    console.error('Error building replay:', error);
+    res.status(500).json({ error: 'Failed to build replay', message: error.message });
+  }
+});
+
+app.get('/api/games/:gameId/verify', async (req, res) => {
+  try {
+    const game = gameManager.getGame(req.params.gameId);
+    const isInvite = req.query.invite === 'true';
+
+    if (game && game.isPrivate && !isInvite && !isAuthenticated(req) && process.env.NODE_ENV !== 'development') {
+      return res.status(401).json({ error: 'Not authorized to view this private game', message: 'This is a private game. Use an invite link to verify it.' });
     }
+
+    const proof = await gameManager.getFairnessProof(req.params.gameId);
+    if (!proof) {
+      return res.status(404).json({ error: 'Proof not found', message: 'This game has no verifiable shuffle' });
+    }
+
+    res.json(proof);
+  } catch (error) {
+    console.error('Error building fairness proof:', error);
+    res.status(500).json({ error: 'Failed to build fairness proof', message: error.message });
+  }
+});
+
+app.post('/api/games', rateLimit('create'), validateBody('POST /api/games'), async (req, res) => {
+  try {
+    // Guests create games as their session's guest user
+    const user = getCurrentUser(req) || getOrCreateGuestUser(req);
     
-    const { gameType, isPrivate, maxPlayers } = req.body;
+    const { gameType, isPrivate, maxPlayers, options, seed, name, description, mode, password } = req.body;
+    
+    if (isPrivate && user.isGuest && process.env.NODE_ENV !== 'development') {
+      return res.status(401).json({ error: 'Not authenticated', message: 'Log in to create a private room' });
+    }
+    
+    const roomCap = gameManager.canCreateRoom(user.id);
+    if (!roomCap.success) {
+      return res.status(429).json({ error: 'Too many rooms', code: 'room_limit', message: roomCap.error });
+    }
     
     // Validate required fields
     if (!gameType) {
       return res.status(400).json({ error: 'Game type is required', message: 'Please select a game type' });
     }
+    if (!gameManager.registry.has(gameType)) {
+      return res.status(400).json({ error: 'Unknown game type', message: `Available game types: ${gameManager.registry.list().map(m => m.id).join(', ')}` });
+    }
+    
+    // A known seed makes the deck predictable, so only allow it while developing
+    const gameSeed = process.env.NODE_ENV === 'development' ? seed : null;
+    
+    const validation = gameManager.registry.validateOptions(gameType, options || {}, mode || 'classic');
+    if (!validation.success) {
+      return res.status(400).json({ error: 'Invalid game options', message: validation.error });
+    }
     
-    const game = gameManager.createGame(gameType, user, isPrivate, maxPlayers);
+    const packAccess = await cardPackStore.checkAccess(validation.options.packs || [], user.id);
+    if (!packAccess.success) {
+      return res.status(400).json({ error: 'Invalid game options', message: packAccess.error });
+    }
+    
+    const game = gameManager.createGame(gameType, user, isPrivate, maxPlayers, options, gameSeed, { name, description, mode, password });
     res.json(game);
   } catch (error) {
     console.error('Error creating game:', error);
@@ -484,6 +674,170 @@ app.post('/api/games', (req, res) => {
   }
 });
 
+// Tournament API endpoints
+app.get('/api/tournaments', (req, res) => {
+  res.json(tournamentManager.listTournaments());
+});
+
+app.get('/api/tournaments/:tournamentId', (req, res) => {
+  const tournament = tournamentManager.getTournament(req.params.tournamentId);
+  if (!tournament) {
+    return res.status(404).json({ error: 'Tournament not found', message: 'The requested tournament does not exist' });
+  }
+  res.json(tournament.getState());
+});
+
+app.post('/api/tournaments', rateLimit('create'), validateBody('POST /api/tournaments'), async (req, res) => {
+  const user = getCurrentUser(req);
+  if (!user) {
+    return res.status(401).json({ error: 'Not authenticated', message: 'Log in to organize a tournament' });
+  }
+
+  try {
+    const { name, gameType, format, rounds, options, mode, discordChannelIds } = req.body;
+
+    // Table rooms are hosted by players, so only public packs can be used
+    const packs = options && Array.isArray(options.packs) ? options.packs : [];
+    const packAccess = await cardPackStore.checkAccess(packs.filter(packId => typeof packId === 'string'));
+    if (!packAccess.success) {
+      return res.status(400).json({ error: 'Failed to create tournament', message: `${packAccess.error} (tournaments can only use public packs)` });
+    }
+
+    const tournament = tournamentManager.createTournament(user, { name, gameType, format, rounds, options, mode, discordChannelIds });
+    res.json(tournament.getState());
+  } catch (error) {
+    res.status(400).json({ error: 'Failed to create tournament', message: error.message });
+  }
+});
+
+// Register, withdraw, start and report results as the logged-in user
+const tournamentRoute = (handler) => (req, res) => {
+  const user = getCurrentUser(req);
+  if (!user) {
+    return res.status(401).json({ error: 'Not authenticated', message: 'Log in to take part in tournaments' });
+  }
+
+  const result = handler(req, user);
+  if (!result.success) {
+    const status = result.error === 'Tournament not found' ? 404 : 400;
+    return res.status(status).json({ error: result.error, message: result.error });
+  }
+  res.json(tournamentManager.getTournament(req.params.tournamentId).getState());
+};
+
+app.post('/api/tournaments/:tournamentId/register', tournamentRoute((req, user) =>
+  tournamentManager.register(req.params.tournamentId, user)));
+
+app.delete('/api/tournaments/:tournamentId/register', tournamentRoute((req, user) =>
+  tournamentManager.unregister(req.params.tournamentId, user.id)));
+
+app.post('/api/tournaments/:tournamentId/start', tournamentRoute((req, user) =>
+  tournamentManager.startTournament(req.params.tournamentId, user.id)));
+
+app.post('/api/tournaments/:tournamentId/tables/:tableId/result', validateBody('POST /api/tournaments/:tournamentId/tables/:tableId/result'), tournamentRoute((req, user) =>
+  tournamentManager.reportTableWinner(req.params.tournamentId, user.id, req.params.tableId, req.body.winnerId)));
+
+// Card pack API endpoints. Built-in and public packs can be read by anyone;
+// private packs only by their owner, who alone can change or delete them.
+const PACK_ERROR_STATUS = { [CardPackStore.NOT_FOUND]: 404, [CardPackStore.NOT_OWNER]: 403 };
+
+const packRoute = (handler) => async (req, res) => {
+  const user = getCurrentUser(req);
+  if (!user) {
+    return res.status(401).json({ error: 'Not authenticated', message: 'Log in to manage card packs' });
+  }
+
+  try {
+    const result = await handler(req, user);
+    if (!result.success) {
+      if (result.code === INVALID_PAYLOAD) {
+        return invalidRequest(res, result.error, result.field);
+      }
+      return res.status(PACK_ERROR_STATUS[result.error] || 400).json({ error: result.error, message: result.error });
+    }
+    res.json(result.pack || { success: true });
+  } catch (error) {
+    console.error('Error saving card pack:', error);
+    res.status(500).json({ error: 'Failed to save card pack', message: error.message });
+  }
+};
+
+app.get('/api/packs', async (req, res) => {
+  try {
+    const user = getSessionUser(req);
+    res.json(await cardPackStore.list(user ? user.id : null));
+  } catch (error) {
+    console.error('Error listing card packs:', error);
+    res.status(500).json({ error: 'Failed to retrieve card packs', message: error.message });
+  }
+});
+
+app.get('/api/packs/:packId', async (req, res) => {
+  try {
+    const user = getSessionUser(req);
+    const result = await cardPackStore.get(req.params.packId, user ? user.id : null);
+    if (!result.success) {
+      return res.status(404).json({ error: result.error, message: 'The requested card pack does not exist' });
+    }
+    res.json(result.pack);
+  } catch (error) {
+    console.error('Error fetching card pack:', error);
+    res.status(500).json({ error: 'Failed to retrieve card pack', message: error.message });
+  }
+});
+
+// Download a pack as a file that can be imported again
+app.get('/api/packs/:packId/export', async (req, res) => {
+  try {
+    const user = getSessionUser(req);
+    const result = await cardPackStore.get(req.params.packId, user ? user.id : null);
+    if (!result.success) {
+      return res.status(404).json({ error: result.error, message: 'The requested card pack does not exist' });
+    }
+
+    const format = req.query.format === 'csv' ? 'csv' : 'json';
+    const filename = `${result.pack.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'card-pack'}.${format}`;
+    res.attachment(filename);
+    if (format === 'csv') {
+      res.type('text/csv').send(CardPack.toCsv(result.pack));
+    } else {
+      res.json(CardPack.toJson(result.pack));
+    }
+  } catch (error) {
+    console.error('Error exporting card pack:', error);
+    res.status(500).json({ error: 'Failed to export card pack', message: error.message });
+  }
+});
+
+app.post('/api/packs', validateBody('POST /api/packs'), packRoute((req, user) =>
+  cardPackStore.create(user, req.body)));
+
+// Create a pack from a CSV file (type,text,pick columns) plus its details
+app.post('/api/packs/import', validateBody('POST /api/packs/import'), packRoute((req, user) => {
+  const { csv, ...details } = req.body;
+  const parsed = CardPack.parseCsv(csv);
+  if (!parsed.success) {
+    return parsed;
+  }
+  return cardPackStore.create(user, { ...details, questions: parsed.questions, answers: parsed.answers });
+}));
+
+app.put('/api/packs/:packId', validateBody('PUT /api/packs/:packId'), packRoute((req, user) =>
+  cardPackStore.update(req.params.packId, user.id, req.body)));
+
+app.delete('/api/packs/:packId', packRoute((req, user) =>
+  cardPackStore.delete(req.params.packId, user.id)));
+
+// Server status: live games, queues and cleanup counts
+app.get('/api/status', (req, res) => {
+  res.json({
+    ...gameReaper.getStatus(),
+    quickPlayQueue: matchmaker.getQueueSize(),
+    tournaments: tournamentManager.tournaments.size,
+    uptimeSeconds: Math.round(process.uptime())
+  });
+});
+
 // Integration API endpoints
 app.get('/api/integrations/health', (req, res) => {
   try {
@@ -495,7 +849,7 @@ app.get('/api/integrations/health', (req, res) => {
   }
 });
 
-app.post('/api/integrations/tiltcheck/register', async (req, res) => {
+app.post('/api/integrations/tiltcheck/register', validateBody('POST /api/integrations/tiltcheck/register'), async (req, res) => {
   try {
     const { playerId, options } = req.body;
     if (!integrationManager.tiltCheck.enabled) {
@@ -522,7 +876,7 @@ app.get('/api/integrations/tiltcheck/stats/:playerId', async (req, res) => {
   }
 });
 
-app.post('/api/integrations/justthetip/register-wallet', async (req, res) => {
+app.post('/api/integrations/justthetip/register-wallet', validateBody('POST /api/integrations/justthetip/register-wallet'), async (req, res) => {
   try {
     const { userId, walletAddress } = req.body;
     if (!integrationManager.justTheTip.enabled) {
@@ -536,7 +890,7 @@ app.post('/api/integrations/justthetip/register-wallet', async (req, res) => {
   }
 });
 
-app.post('/api/integrations/justthetip/tip', async (req, res) => {
+app.post('/api/integrations/justthetip/tip', validateBody('POST /api/integrations/justthetip/tip'), async (req, res) => {
   try {
     const { fromUserId, toUserId, amount, currency, context } = req.body;
     if (!integrationManager.justTheTip.enabled) {
@@ -575,7 +929,7 @@ app.get('/api/ai-gateway/stats', (req, res) => {
 });
 
 // Feedback submission endpoint
-app.post('/api/feedback', (req, res) => {
+app.post('/api/feedback', validateBody('POST /api/feedback'), (req, res) => {
   try {
     const feedback = req.body;
     
@@ -632,38 +986,143 @@ app.get('/game/:gameId', (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'game.html'));
 });
 
+app.get('/replay/:gameId', (req, res) => {
+  // Access to the log itself is checked by the replay API
+  res.sendFile(path.join(__dirname, 'public', 'replay.html'));
+});
+
+// Rate limit buckets for socket events; anything else spends from 'socket'
+const SOCKET_EVENT_BUCKETS = {
+  'game-action': 'action',
+  'rematch-vote': 'action',
+  'start-rematch': 'action'
+};
+
 // WebSocket connection handling
 io.on('connection', (socket) => {
   console.log('User connected:', socket.id);
 
-  socket.on('join-lobby', (userId) => {
-    socket.userId = userId;
+  // Identity comes from the session, never from event payloads
+  socket.user = getSessionUser(socket.request);
+  socket.userId = socket.user ? socket.user.id : null;
+
+  // Why the socket can't act in a game, if it can't. Private rooms need a
+  // logged-in account (except in development, where everyone is a guest).
+  const identityError = (gameId) => {
+    if (!socket.user) {
+      return 'Your session has expired. Reload the page to continue.';
+    }
+    const game = gameManager.getGame(gameId);
+    if (game && game.isPrivate && socket.user.isGuest && process.env.NODE_ENV !== 'development') {
+      return 'Log in with Discord to play in private rooms';
+    }
+    return null;
+  };
+
+  // Every client event spends from the sender's rate limit budget and is
+  // checked against its schema before it's handled. Over budget, the
+  // client gets 'rate-limited' (or 'chat-muted' for chat spam); a bad
+  // payload gets 'invalid-payload' with the offending field.
+  const limitKey = socket.userId ? `user:${socket.userId}` : `socket:${socket.id}`;
+  const on = (event, handler) => socket.on(event, (...args) => {
+    const limit = event === 'chat-message'
+      ? rateLimiter.consumeChat(limitKey)
+      : rateLimiter.consume(SOCKET_EVENT_BUCKETS[event] || 'socket', limitKey);
+    if (limit.mutedUntil) {
+      socket.emit('chat-muted', { until: limit.mutedUntil });
+      return;
+    }
+    if (!limit.success) {
+      socket.emit('rate-limited', { event, retryAfterSeconds: limit.retryAfterSeconds });
+      return;
+    }
+
+    const result = payloadSchemas.validateEventArgs(event, args);
+    if (!result.success) {
+      socket.emit('invalid-payload', { event, code: result.code, field: result.field, error: result.error });
+      return;
+    }
+    handler(...args);
+  });
+
+  on('join-lobby', () => {
     socket.join('lobby');
     socket.emit('lobby-games', gameManager.getPublicGames());
   });
 
-  socket.on('request-lobby-update', () => {
+  // Quick Play: queue for a game (or any game from the player's onboarding
+  // choices) and get pushed into a room once enough compatible players wait
+  on('quick-play', async (gameType = null) => {
+    if (!socket.user) {
+      socket.emit('error', identityError(null));
+      return;
+    }
+
+    const result = await matchmaker.joinSocket(socket, getUserPreferences, gameType);
+    if (!result.success) {
+      socket.emit('error', result.error);
+    }
+  });
+
+  on('quick-play-cancel', () => {
+    matchmaker.leaveBySocket(socket.id);
+  });
+
+  on('request-lobby-update', () => {
     if (socket.userId) {
       socket.emit('lobby-games', gameManager.getPublicGames());
     }
   });
 
-  socket.on('join-game', (gameId) => {
-    const result = gameManager.joinGame(gameId, socket.userId, socket);
+  on('join-game', (gameId, password) => {
+    const error = identityError(gameId);
+    if (error) {
+      socket.emit('error', error);
+      return;
+    }
+
+    const player = { id: socket.user.id, username: socket.user.username, avatar: getAvatarUrl(socket.user) };
+    const result = gameManager.joinGame(gameId, player, socket, password);
     if (result.success) {
       socket.join(gameId);
       socket.gameId = gameId;
       socket.isSpectator = false;
-      io.to(gameId).emit('game-update', result.game);
+      gameManager.broadcastGameState(gameId);
       // Update lobby when player joins
       io.to('lobby').emit('lobby-games', gameManager.getPublicGames());
+    } else if (result.passwordRequired) {
+      socket.emit('password-required', { gameId, error: result.error });
     } else {
       socket.emit('error', result.error);
     }
   });
 
-  socket.on('spectate-game', (gameId) => {
-    const result = gameManager.spectateGame(gameId, socket.userId, socket);
+  on('rejoin-game', (gameId) => {
+    const error = identityError(gameId);
+    if (error) {
+      socket.emit('error', error);
+      return;
+    }
+
+    const result = gameManager.rejoinGame(gameId, socket.userId, socket);
+    if (result.success) {
+      socket.join(gameId);
+      socket.gameId = gameId;
+      socket.isSpectator = false;
+      gameManager.broadcastGameState(gameId);
+    } else {
+      socket.emit('error', result.error);
+    }
+  });
+
+  on('spectate-game', (gameId, password) => {
+    const error = identityError(gameId);
+    if (error) {
+      socket.emit('error', error);
+      return;
+    }
+
+    const result = gameManager.spectateGame(gameId, socket.userId, socket, password);
     if (result.success) {
       socket.join(gameId);
       socket.gameId = gameId;
@@ -672,12 +1131,14 @@ io.on('connection', (socket) => {
       socket.emit('spectator-mode', true);
       // Update lobby when spectator joins
       io.to('lobby').emit('lobby-games', gameManager.getPublicGames());
+    } else if (result.passwordRequired) {
+      socket.emit('password-required', { gameId, error: result.error });
     } else {
       socket.emit('error', result.error);
     }
   });
 
-  socket.on('leave-game', () => {
+  on('leave-game', () => {
     if (socket.gameId) {
       if (socket.isSpectator) {
         gameManager.leaveSpectator(socket.gameId, socket.userId);
@@ -685,10 +1146,7 @@ io.on('connection', (socket) => {
         gameManager.leaveGame(socket.gameId, socket.userId);
       }
       socket.leave(socket.gameId);
-      const game = gameManager.getGame(socket.gameId);
-      if (game) {
-        io.to(socket.gameId).emit('game-update', game.getGameState());
-      }
+      gameManager.broadcastGameState(socket.gameId);
       // Update lobby when player/spectator leaves
       io.to('lobby').emit('lobby-games', gameManager.getPublicGames());
       socket.gameId = null;
@@ -696,44 +1154,92 @@ io.on('connection', (socket) => {
     }
   });
 
-  socket.on('game-action', (data) => {
-    if (socket.gameId && !socket.isSpectator) {
-      const result = gameManager.handleGameAction(socket.gameId, socket.userId, data);
+  const runGameAction = (action) => {
+    const error = socket.gameId && identityError(socket.gameId);
+    if (error) {
+      socket.emit('error', error);
+    } else if (socket.gameId && !socket.isSpectator) {
+      const gameId = socket.gameId;
+      const result = gameManager.handleGameAction(gameId, socket.userId, action);
       if (result.success) {
-        io.to(socket.gameId).emit('game-update', result.game);
+        gameManager.broadcastGameState(gameId);
         // Update lobby when game status changes
         io.to('lobby').emit('lobby-games', gameManager.getPublicGames());
+      } else if (result.code === INVALID_PAYLOAD) {
+        socket.emit('invalid-payload', { event: 'game-action', code: result.code, field: result.field, error: result.error });
       } else {
         socket.emit('error', result.error);
       }
     } else if (socket.isSpectator) {
       socket.emit('error', 'Spectators cannot perform game actions');
     }
-  });
+  };
 
-  socket.on('chat-message', (data) => {
-    if (socket.gameId) {
-      // Broadcast chat message to all players in the game
-      io.to(socket.gameId).emit('chat-message', {
-        sender: data.sender,
-        text: data.message,
-        timestamp: new Date()
-      });
+  // Only the server marks actions as automatic (timeouts and bots)
+  on('game-action', ({ auto, ...action }) => runGameAction(action));
+
+  // Rematch: players opt in once the game is finished, then the host
+  // restarts the room with everyone who did
+  on('rematch-vote', (accept) => runGameAction({ type: 'rematch-vote', accept: accept !== false }));
+  on('start-rematch', (options = {}) => runGameAction({ type: 'rematch', rotate: !!(options && options.rotate) }));
+
+  // Host moderation
+  const runHostAction = (action) => {
+    if (!socket.gameId) return;
+
+    const error = identityError(socket.gameId);
+    if (error) {
+      socket.emit('error', error);
+      return;
     }
+
+    const gameId = socket.gameId;
+    const result = gameManager.handleHostAction(gameId, socket.userId, action);
+    if (result.success) {
+      gameManager.broadcastGameState(gameId);
+    } else {
+      socket.emit('error', result.error);
+    }
+  };
+
+  on('kick-player', (targetId) => runHostAction({ type: 'kick', targetId }));
+  on('ban-player', (targetId) => runHostAction({ type: 'ban', targetId }));
+  on('unban-player', (targetId) => runHostAction({ type: 'unban', targetId }));
+  on('transfer-host', (targetId) => runHostAction({ type: 'transfer-host', targetId }));
+  on('lock-room', (locked) => runHostAction({ type: locked ? 'lock' : 'unlock' }));
+  on('add-bot', (style) => runHostAction({ type: 'add-bot', style }));
+
+  on('chat-message', (data) => {
+    if (!socket.gameId) return;
+
+    const error = identityError(socket.gameId);
+    if (error) {
+      socket.emit('error', error);
+      return;
+    }
+
+    // Broadcast chat message to all players in the game, signed with the
+    // sender's session identity
+    io.to(socket.gameId).emit('chat-message', {
+      senderId: socket.user.id,
+      sender: socket.user.username,
+      avatar: getAvatarUrl(socket.user),
+      text: data.message,
+      timestamp: new Date()
+    });
   });
 
   socket.on('disconnect', () => {
     console.log('User disconnected:', socket.id);
+    matchmaker.leaveBySocket(socket.id);
     if (socket.gameId) {
       if (socket.isSpectator) {
         gameManager.leaveSpectator(socket.gameId, socket.userId);
       } else {
-        gameManager.leaveGame(socket.gameId, socket.userId);
-      }
-      const game = gameManager.getGame(socket.gameId);
-      if (game) {
-        io.to(socket.gameId).emit('game-update', game.getGameState());
+        // Hold the seat for the reconnection grace period
+        gameManager.disconnectPlayer(socket.gameId, socket.userId);
       }
+      gameManager.broadcastGameState(socket.gameId);
       // Update lobby when player/spectator disconnects
       io.to('lobby').emit('lobby-games', gameManager.getPublicGames());
     }
@@ -743,4 +1249,11 @@ io.on('connection', (socket) => {
 server.listen(PORT, () => {
   console.log(`🎮 Degens Against Decency Arena running on http://localhost:${PORT}`);
   console.log('🔗 Visit http://localhost:3000 to start playing!');
+
+  // Bring back games that were running before the last restart
+  if (supabaseEnabled) {
+    gameManager.restoreGames()
+      .then(count => console.log(`♻️  Restored ${count} active game(s) from Supabase`))
+      .catch(error => console.error('Error restoring games:', error));
+  }
 });
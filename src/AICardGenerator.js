@@ -8,6 +8,9 @@
 
 const axios = require('axios');
 const VercelAIGateway = require('./AIGateway');
+const CardPack = require('./CardPack');
+
+const BASE_DECK = { ...CardPack.normalizePack(require('../deck.json')).pack, id: 'base' };
 
 class AICardGenerator {
   constructor() {
@@ -70,6 +73,7 @@ class AICardGenerator {
           id: Date.now() + Math.random(),
           type: card.type,
           text: card.text,
+          pick: card.pick,
           category: card.category || 'general',
           gameType: 'degens',
           aiGenerated: true
@@ -105,11 +109,13 @@ class AICardGenerator {
 Theme: ${theme}
 
 Create exactly ${questionCount} question cards (prompts with blank spaces marked by ___) and ${answerCount} answer cards (responses).
+A few questions may have two or three blanks; give those a "pick" field with the number of answers they take.
 Keep them slightly edgy but not offensive or harmful.
 
 Return a valid JSON array with this exact structure:
 [
   {"type": "question", "text": "What did I bring to the party? ___.", "category": "${theme}"},
+  {"type": "question", "text": "___ is great, but have you tried ___?", "pick": 2, "category": "${theme}"},
   {"type": "answer", "text": "My questionable life choices", "category": "${theme}"}
 ]
 
@@ -149,6 +155,7 @@ Important: Ensure the JSON is properly formatted and parseable.`;
         id: Date.now() + Math.random(),
         type: card.type,
         text: card.text,
+        pick: card.pick,
         category: card.category || theme,
         gameType: 'degens',
         aiGenerated: true,
@@ -165,7 +172,7 @@ Important: Ensure the JSON is properly formatted and parseable.`;
     const prompt = `Generate ${count} Cards Against Humanity style cards for a game called "Degens Against Decency". 
     Create ${Math.floor(count/2)} question cards (with blank spaces marked by ___) and ${Math.ceil(count/2)} answer cards.
     Keep them slightly edgy but not offensive or harmful. Theme: ${theme}.
-    Return as JSON array with objects having "type" (question/answer), "text", and "category" fields.`;
+    Return as JSON array with objects having "type" (question/answer), "text", and "category" fields, plus "pick" (2 or 3) on questions with that many blanks.`;
 
     const response = await axios.post('https://api.openai.com/v1/chat/completions', {
       model: "gpt-3.5-turbo",
@@ -193,6 +200,7 @@ Important: Ensure the JSON is properly formatted and parseable.`;
       id: Date.now() + Math.random(),
       type: card.type,
       text: card.text,
+      pick: card.pick,
       category: card.category || 'general',
       gameType: 'degens',
       aiGenerated: true
@@ -304,15 +312,9 @@ Important: Ensure the JSON is properly formatted and parseable.`;
     }
   }
 
+  // The built-in Base Deck (deck.json), numbered from 1
   getFallbackDegensCards() {
-    return [
-      { id: 1, type: 'question', text: 'What did I eat for breakfast that made everyone leave the room?', category: 'food', gameType: 'degens', aiGenerated: false },
-      { id: 2, type: 'answer', text: 'My dignity', category: 'general', gameType: 'degens', aiGenerated: false },
-      { id: 3, type: 'question', text: 'The real reason I got fired was ___.', category: 'work', gameType: 'degens', aiGenerated: false },
-      { id: 4, type: 'answer', text: 'Showing up in pajamas', category: 'general', gameType: 'degens', aiGenerated: false },
-      { id: 5, type: 'question', text: 'My dating profile would be complete with ___.', category: 'dating', gameType: 'degens', aiGenerated: false },
-      { id: 6, type: 'answer', text: 'A warning label', category: 'general', gameType: 'degens', aiGenerated: false }
-    ];
+    return CardPack.toCards(BASE_DECK).map(card => ({ ...card, category: 'general', gameType: 'degens' }));
   }
 
   getFallbackTwoTruthsPrompts() {
@@ -0,0 +1,132 @@
+/**
+ * Bot Manager - Computer players that fill empty seats
+ *
+ * Copyright (c) 2024 Degens Against Decency
+ * Licensed under the MIT License
+ * See LICENSE file in the project root for full license information.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const SeededRandom = require('./SeededRandom');
+
+const BOT_NAMES = ['Robo Rita', 'Chip', 'Beep Boop', 'Unit 7', 'Sir Compute', 'Glitch', 'Byte Me'];
+
+// Milliseconds a bot "thinks" before acting, so it doesn't answer instantly
+const DEFAULT_DELAY = { min: 1500, max: 4000 };
+
+// A bot module exports a class with:
+//   static gameType - the game type it plays
+//   static styles   - { style: label } the host can pick from; the first
+//                     is the default
+//   constructor(player, { rng, getAIGateway })
+//   decide(state)   - the action to take for the bot's view of the game
+//                     (getGameStateFor), or null if it has nothing to do.
+//                     May be async.
+// Bots act through game.dispatchAction(), so their moves are validated,
+// logged and broadcast exactly like a human's.
+class BotManager {
+  constructor(options = {}) {
+    this.delay = options.delay || DEFAULT_DELAY;
+    this.bots = new Map();
+    this.timers = new Map();
+    this.rng = new SeededRandom();
+    this.aiGateway = options.aiGateway || null;
+  }
+
+  discover(directory = path.join(__dirname, 'bots')) {
+    const files = fs.readdirSync(directory).filter(file => file.endsWith('.js')).sort();
+    for (const file of files) {
+      const BotClass = require(path.join(directory, file));
+      if (typeof BotClass === 'function' && BotClass.gameType) {
+        this.bots.set(BotClass.gameType, BotClass);
+      }
+    }
+    return this;
+  }
+
+  has(gameType) {
+    return this.bots.has(gameType);
+  }
+
+  getStyles(gameType) {
+    const BotClass = this.bots.get(gameType);
+    return BotClass ? BotClass.styles : null;
+  }
+
+  // Player object for a new bot seat. Names are unique within the room.
+  createBotUser(game, style) {
+    const BotClass = this.bots.get(game.type);
+    if (!BotClass) {
+      return { success: false, error: 'This game has no bots' };
+    }
+
+    const styles = Object.keys(BotClass.styles);
+    const botStyle = style || styles[0];
+    if (!styles.includes(botStyle)) {
+      return { success: false, error: 'Unknown bot style' };
+    }
+
+    const taken = new Set(game.players.map(p => p.username));
+    const name = BOT_NAMES.find(n => !taken.has(`🤖 ${n}`)) || `Bot ${game.players.length + 1}`;
+    return {
+      success: true,
+      bot: { id: `bot-${uuidv4().slice(0, 8)}`, username: `🤖 ${name}`, isBot: true, botStyle }
+    };
+  }
+
+  // Give every bot in the game a chance to act on the current state.
+  // Called after anything changes the game.
+  schedule(game) {
+    if (game.status !== 'playing' || !this.bots.has(game.type)) return;
+
+    for (const player of game.players) {
+      const key = `${game.id}:${player.id}`;
+      if (!player.isBot || this.timers.has(key)) continue;
+
+      const wait = this.delay.min + this.rng.next() * (this.delay.max - this.delay.min);
+      this.timers.set(key, setTimeout(() => {
+        this.timers.delete(key);
+        this.act(game, player).catch(error => {
+          console.error(`Bot ${player.username} failed to act:`, error.message);
+        });
+      }, wait));
+    }
+  }
+
+  async act(game, player) {
+    if (game.status !== 'playing' || !game.players.some(p => p.id === player.id)) return;
+
+    const BotClass = this.bots.get(game.type);
+    const bot = new BotClass(player, { rng: this.rng, getAIGateway: () => this.getAIGateway() });
+    const action = await bot.decide(game.getGameStateFor(player.id));
+
+    // The state may have moved on while an async decision was made; the
+    // game rejects anything that no longer applies
+    if (action && game.status === 'playing') {
+      game.dispatchAction(player.id, action);
+    }
+  }
+
+  // Only created once a bot actually asks for it
+  getAIGateway() {
+    if (!this.aiGateway) {
+      const AIGateway = require('./AIGateway');
+      this.aiGateway = new AIGateway();
+    }
+    return this.aiGateway;
+  }
+
+  // Stop a removed game's bots
+  cancel(gameId) {
+    for (const [key, timer] of this.timers) {
+      if (key.startsWith(`${gameId}:`)) {
+        clearTimeout(timer);
+        this.timers.delete(key);
+      }
+    }
+  }
+}
+
+module.exports = BotManager;
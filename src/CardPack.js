@@ -0,0 +1,246 @@
+/**
+ * Card Pack - The card pack format, plus CSV import and export
+ *
+ * Copyright (c) 2024 Degens Against Decency
+ * Licensed under the MIT License
+ * See LICENSE file in the project root for full license information.
+ */
+
+// A pack is a JSON document (deck.json is the built-in one):
+//
+//   {
+//     "format": "degens-card-pack", "version": 1,
+//     "name": "Office Chaos", "description": "...", "author": "...",
+//     "contentRating": "mild" | "moderate" | "explicit",
+//     "questions": [{ "text": "Step one: ___. Step two: ___.", "pick": 2 }],
+//     "answers": ["My dignity", { "text": "Reply-all" }]
+//   }
+//
+// `pick` is optional and otherwise inferred from the blanks. Answers may be
+// plain strings or { text } objects; packs are stored with objects.
+//
+// CSV files have a header row and one card per line:
+//   type,text,pick
+//   question,"Step one: ___. Step two: ___.",2
+//   answer,My dignity,
+
+const { validate, INVALID_PAYLOAD } = require('./Validator');
+
+const PACK_FORMAT = 'degens-card-pack';
+const PACK_VERSION = 1;
+const CONTENT_RATINGS = ['mild', 'moderate', 'explicit'];
+const VISIBILITIES = ['private', 'public'];
+const MAX_CARD_LENGTH = 200;
+const MAX_QUESTIONS = 500;
+const MAX_ANSWERS = 1500;
+// Most answers a question can take (DegensAgainstDecencyGame.MAX_PICK)
+const MAX_PICK = 3;
+
+const cardText = (label) => ({ type: 'string', required: true, label, minLength: 1, maxLength: MAX_CARD_LENGTH });
+
+// Shape of a pack as uploaded (also used for the REST bodies)
+const PACK_SCHEMA = {
+  type: 'object',
+  label: 'Card pack',
+  properties: {
+    format: { type: 'string', label: 'Format', enum: [PACK_FORMAT] },
+    version: { type: 'integer', label: 'Version', min: 1, max: PACK_VERSION },
+    name: { type: 'string', required: true, label: 'Pack name', minLength: 1, maxLength: 100 },
+    description: { type: 'string', label: 'Pack description', maxLength: 500 },
+    author: { type: 'string', label: 'Author', maxLength: 100 },
+    contentRating: { type: 'string', label: 'Content rating', enum: CONTENT_RATINGS },
+    visibility: { type: 'string', label: 'Visibility', enum: VISIBILITIES },
+    questions: {
+      type: 'array',
+      required: true,
+      label: 'Questions',
+      maxItems: MAX_QUESTIONS,
+      items: {
+        type: 'object',
+        label: 'Question',
+        properties: {
+          text: cardText('Question text'),
+          pick: { type: 'integer', label: 'Pick', min: 1, max: MAX_PICK }
+        }
+      }
+    },
+    answers: {
+      type: 'array',
+      required: true,
+      label: 'Answers',
+      maxItems: MAX_ANSWERS,
+      items: {
+        type: ['string', 'object'],
+        label: 'Answer',
+        minLength: 1,
+        maxLength: MAX_CARD_LENGTH,
+        properties: { text: cardText('Answer text') }
+      }
+    }
+  }
+};
+
+// Check an uploaded pack and bring it into the stored shape. Metadata the
+// pack leaves out gets defaults; ownership and IDs are the store's job.
+function normalizePack(input) {
+  const result = validate(PACK_SCHEMA, input);
+  if (!result.success) {
+    return result;
+  }
+
+  const questions = input.questions.map(({ text, pick }) => ({ text: text.trim(), ...(pick ? { pick } : {}) }));
+  const answers = input.answers.map(answer => ({ text: (typeof answer === 'string' ? answer : answer.text).trim() }));
+  if (questions.length === 0 && answers.length === 0) {
+    return { success: false, code: INVALID_PAYLOAD, field: 'questions', error: 'A card pack needs at least one card' };
+  }
+
+  return {
+    success: true,
+    pack: {
+      format: PACK_FORMAT,
+      version: PACK_VERSION,
+      name: input.name.trim(),
+      description: (input.description || '').trim(),
+      author: (input.author || '').trim(),
+      contentRating: input.contentRating || 'moderate',
+      visibility: input.visibility || 'private',
+      questions,
+      answers
+    }
+  };
+}
+
+// Game cards for a pack. IDs are prefixed with the pack ID so cards from
+// several packs can share a deck; without a prefix they are numbered 1..n.
+function toCards(pack, prefix = null) {
+  const id = (kind, index) => (prefix ? `${prefix}-${kind}${index}` : null);
+  let next = 1;
+  const questions = pack.questions.map((question, i) => ({
+    id: id('q', i) ?? next++,
+    type: 'question',
+    text: question.text,
+    ...(question.pick ? { pick: question.pick } : {}),
+    pack: pack.id || null,
+    aiGenerated: false
+  }));
+  const answers = pack.answers.map((answer, i) => ({
+    id: id('a', i) ?? next++,
+    type: 'answer',
+    text: answer.text,
+    pack: pack.id || null,
+    aiGenerated: false
+  }));
+  return [...questions, ...answers];
+}
+
+// Read a CSV export (or a spreadsheet saved as CSV) into pack questions and
+// answers. Fails with the line number of the first bad row.
+function parseCsv(text) {
+  const rows = parseCsvRows(text);
+  const header = (rows.shift() || []).map(cell => cell.trim().toLowerCase());
+  const typeColumn = header.indexOf('type');
+  const textColumn = header.indexOf('text');
+  const pickColumn = header.indexOf('pick');
+  if (typeColumn === -1 || textColumn === -1) {
+    return { success: false, code: INVALID_PAYLOAD, field: 'csv', error: 'CSV needs a header row with type and text columns' };
+  }
+
+  const questions = [];
+  const answers = [];
+  for (const [index, row] of rows.entries()) {
+    const line = index + 2;
+    const type = (row[typeColumn] || '').trim().toLowerCase();
+    const content = (row[textColumn] || '').trim();
+    if (row.every(cell => cell.trim() === '')) continue;
+
+    if (!content) {
+      return { success: false, code: INVALID_PAYLOAD, field: 'csv', error: `Line ${line}: card text is empty` };
+    }
+    if (type === 'question') {
+      const pick = pickColumn === -1 ? '' : (row[pickColumn] || '').trim();
+      if (pick && !/^\d+$/.test(pick)) {
+        return { success: false, code: INVALID_PAYLOAD, field: 'csv', error: `Line ${line}: pick must be a whole number` };
+      }
+      questions.push({ text: content, ...(pick ? { pick: parseInt(pick, 10) } : {}) });
+    } else if (type === 'answer') {
+      answers.push({ text: content });
+    } else {
+      return { success: false, code: INVALID_PAYLOAD, field: 'csv', error: `Line ${line}: type must be question or answer` };
+    }
+  }
+
+  return { success: true, questions, answers };
+}
+
+// The pack as a file anyone can import again
+function toJson(pack) {
+  const { format, version, name, description, author, contentRating, questions, answers } = pack;
+  return { format, version, name, description, author, contentRating, questions, answers };
+}
+
+function toCsv(pack) {
+  const rows = [
+    ['type', 'text', 'pick'],
+    ...pack.questions.map(question => ['question', question.text, question.pick ? String(question.pick) : '']),
+    ...pack.answers.map(answer => ['answer', answer.text, ''])
+  ];
+  return rows.map(row => row.map(escapeCsvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+// RFC 4180: quoted cells may contain commas, newlines and doubled quotes
+function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows;
+}
+
+function escapeCsvCell(value) {
+  return /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+}
+
+module.exports = {
+  PACK_FORMAT,
+  PACK_VERSION,
+  PACK_SCHEMA,
+  CONTENT_RATINGS,
+  VISIBILITIES,
+  MAX_CARD_LENGTH,
+  normalizePack,
+  toCards,
+  toJson,
+  parseCsv,
+  toCsv
+};
@@ -0,0 +1,206 @@
+/**
+ * Card Pack Store - Built-in, public and per-user card packs
+ *
+ * Copyright (c) 2024 Degens Against Decency
+ * Licensed under the MIT License
+ * See LICENSE file in the project root for full license information.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const supabase = require('./supabase');
+const CardPack = require('./CardPack');
+const baseDeck = require('../deck.json');
+
+const MAX_PACKS_PER_USER = 25;
+const NOT_FOUND = 'Card pack not found';
+const NOT_OWNER = 'Only the pack owner can change it';
+
+// Built-in packs ship with the server and can't be edited
+const BUILT_IN_PACKS = [
+  { ...CardPack.normalizePack(baseDeck).pack, id: 'base', visibility: 'public', ownerId: null, ownerName: baseDeck.author, builtIn: true }
+];
+
+// Packs are kept in Supabase when it is configured and in memory otherwise.
+// Private packs are only visible to their owner; asking for someone else's
+// private pack fails the same way as asking for one that doesn't exist.
+class CardPackStore {
+  constructor(options = {}) {
+    this.storage = options.storage || supabase;
+    this.packs = new Map(); // packId -> pack (when Supabase isn't configured)
+    this.builtIn = new Map(BUILT_IN_PACKS.map(pack => [pack.id, pack]));
+  }
+
+  // Summaries of every pack `userId` can play with (built-in, public, own)
+  async list(userId = null) {
+    const stored = this.storage.isSupabaseConfigured()
+      ? await this.storage.listCardPacks(userId)
+      : [...this.packs.values()].filter(pack => this.canRead(pack, userId));
+    if (!stored) {
+      throw new Error('Failed to list card packs');
+    }
+    return [...this.builtIn.values(), ...stored].map(pack => CardPackStore.summarize(pack));
+  }
+
+  async get(packId, userId = null) {
+    const pack = await this.load(packId);
+    if (!pack || !this.canRead(pack, userId)) {
+      return { success: false, error: NOT_FOUND };
+    }
+    return { success: true, pack };
+  }
+
+  async create(owner, input) {
+    const result = CardPack.normalizePack(input);
+    if (!result.success) {
+      return result;
+    }
+
+    if (await this.countOwned(owner.id) >= MAX_PACKS_PER_USER) {
+      return { success: false, error: `You can have at most ${MAX_PACKS_PER_USER} card packs` };
+    }
+
+    const now = new Date().toISOString();
+    const pack = {
+      ...result.pack,
+      id: uuidv4(),
+      ownerId: owner.id,
+      ownerName: owner.username,
+      createdAt: now,
+      updatedAt: now
+    };
+    await this.save(pack);
+    return { success: true, pack };
+  }
+
+  async update(packId, userId, input) {
+    const existing = await this.get(packId, userId);
+    if (!existing.success) {
+      return existing;
+    }
+    if (existing.pack.ownerId !== userId) {
+      return { success: false, error: NOT_OWNER };
+    }
+
+    const result = CardPack.normalizePack(input);
+    if (!result.success) {
+      return result;
+    }
+
+    const { id, ownerId, ownerName, createdAt } = existing.pack;
+    const pack = { ...result.pack, id, ownerId, ownerName, createdAt, updatedAt: new Date().toISOString() };
+    await this.save(pack);
+    return { success: true, pack };
+  }
+
+  async delete(packId, userId) {
+    const existing = await this.get(packId, userId);
+    if (!existing.success) {
+      return existing;
+    }
+    if (existing.pack.ownerId !== userId) {
+      return { success: false, error: NOT_OWNER };
+    }
+
+    if (this.storage.isSupabaseConfigured()) {
+      const deleted = await this.storage.deleteCardPack(packId);
+      if (!deleted) {
+        throw new Error('Failed to delete card pack');
+      }
+    } else {
+      this.packs.delete(packId);
+    }
+    return { success: true };
+  }
+
+  // The cards of several packs as one deck, for a room created by `userId`
+  async getCards(packIds, userId = null) {
+    const questionCards = [];
+    const answerCards = [];
+    const packs = [];
+
+    for (const packId of new Set(packIds)) {
+      const result = await this.get(packId, userId);
+      if (!result.success) {
+        return { success: false, error: `${NOT_FOUND}: ${packId}` };
+      }
+
+      const cards = CardPack.toCards(result.pack, result.pack.id);
+      questionCards.push(...cards.filter(card => card.type === 'question'));
+      answerCards.push(...cards.filter(card => card.type === 'answer'));
+      packs.push({ id: result.pack.id, name: result.pack.name });
+    }
+
+    return { success: true, questionCards, answerCards, packs };
+  }
+
+  // Check a room's packs before it is created
+  async checkAccess(packIds, userId = null) {
+    for (const packId of new Set(packIds)) {
+      const result = await this.get(packId, userId);
+      if (!result.success) {
+        return { success: false, error: `${NOT_FOUND}: ${packId}` };
+      }
+    }
+    return { success: true };
+  }
+
+  async countOwned(userId) {
+    if (!this.storage.isSupabaseConfigured()) {
+      return [...this.packs.values()].filter(pack => pack.ownerId === userId).length;
+    }
+
+    const count = await this.storage.countCardPacks(userId);
+    if (count === null) {
+      throw new Error('Failed to count card packs');
+    }
+    return count;
+  }
+
+  canRead(pack, userId) {
+    return pack.visibility === 'public' || (userId !== null && pack.ownerId === userId);
+  }
+
+  async load(packId) {
+    if (this.builtIn.has(packId)) {
+      return this.builtIn.get(packId);
+    }
+    if (this.storage.isSupabaseConfigured()) {
+      return this.storage.getCardPack(packId);
+    }
+    return this.packs.get(packId) || null;
+  }
+
+  async save(pack) {
+    if (this.storage.isSupabaseConfigured()) {
+      const saved = await this.storage.saveCardPack(pack);
+      if (!saved) {
+        throw new Error('Failed to save card pack');
+      }
+    } else {
+      this.packs.set(pack.id, pack);
+    }
+  }
+
+  static summarize(pack) {
+    return {
+      id: pack.id,
+      name: pack.name,
+      description: pack.description,
+      author: pack.author,
+      contentRating: pack.contentRating,
+      visibility: pack.visibility,
+      ownerId: pack.ownerId,
+      ownerName: pack.ownerName,
+      builtIn: Boolean(pack.builtIn),
+      questionCount: pack.questions.length,
+      answerCount: pack.answers.length,
+      updatedAt: pack.updatedAt || null
+    };
+  }
+}
+
+CardPackStore.MAX_PACKS_PER_USER = MAX_PACKS_PER_USER;
+CardPackStore.NOT_FOUND = NOT_FOUND;
+CardPackStore.NOT_OWNER = NOT_OWNER;
+
+module.exports = CardPackStore;
@@ -7,6 +7,24 @@
  */
 
 const { Client, GatewayIntentBits, Collection, SlashCommandBuilder, EmbedBuilder } = require('discord.js');
+const SeededRandom = require('./SeededRandom');
+const { describeEndReason } = require('./EndConditions');
+
+// /create-game options for room rules, mapped to game option keys. Each
+// game type only accepts the rules its manifest declares.
+const RULE_OPTIONS = [
+  { name: 'rounds', key: 'maxRounds', description: 'Number of rounds (Degens, 2 Truths)' },
+  { name: 'points-to-win', key: 'pointsToWin', description: 'End the game when someone reaches this score (Degens, 2 Truths)' },
+  { name: 'hand-size', key: 'cardsPerHand', description: 'Cards in each hand (Degens)' },
+  { name: 'small-blind', key: 'smallBlind', description: 'Small blind (Poker)' },
+  { name: 'big-blind', key: 'bigBlind', description: 'Big blind (Poker)' },
+  { name: 'starting-stack', key: 'startingStack', description: 'Chips each player starts with (Poker)' }
+];
+
+// Chat games run shorter than web rooms unless the creator asks otherwise
+const DISCORD_RULE_DEFAULTS = {
+  '2-truths-and-a-lie': { maxRounds: 2 }
+};
 
 class DiscordBot {
   constructor(gameManager, io) {
@@ -40,6 +58,10 @@ class DiscordBot {
   }
 
   setupCommands() {
+    const manifests = this.gameManager.registry.list();
+    const minSeats = Math.min(...manifests.map(m => m.minPlayers));
+    const maxSeats = Math.max(...manifests.map(m => m.maxPlayers));
+
     // Create Game Command
     const createGameCommand = new SlashCommandBuilder()
       .setName('create-game')
@@ -49,22 +71,28 @@ class DiscordBot {
           .setDescription('Game type')
           .setRequired(true)
           .addChoices(
-            { name: 'Degens Against Decency', value: 'degens-against-decency' },
-            { name: '2 Truths and a Lie', value: '2-truths-and-a-lie' },
-            { name: 'Poker', value: 'poker' }
+            ...manifests.map(m => ({ name: `${m.emoji} ${m.name}`, value: m.id }))
           )
       )
       .addIntegerOption(option =>
         option.setName('max-players')
-          .setDescription('Maximum number of players (3-7)')
-          .setMinValue(3)
-          .setMaxValue(7)
+          .setDescription(`Maximum number of players (${minSeats}-${maxSeats})`)
+          .setMinValue(minSeats)
+          .setMaxValue(maxSeats)
       )
       .addBooleanOption(option =>
         option.setName('private')
           .setDescription('Make game private (default: false)')
       );
 
+    for (const rule of RULE_OPTIONS) {
+      createGameCommand.addIntegerOption(option =>
+        option.setName(rule.name)
+          .setDescription(rule.description)
+          .setMinValue(0)
+      );
+    }
+
     // List Games Command
     const listGamesCommand = new SlashCommandBuilder()
       .setName('list-games')
@@ -192,9 +220,25 @@ class DiscordBot {
   // Command Handlers
   async handleCreateGame(interaction) {
     const gameType = interaction.options.getString('type');
-    const maxPlayers = interaction.options.getInteger('max-players') || 7;
     const isPrivate = interaction.options.getBoolean('private') || false;
 
+    if (!this.gameManager.registry.has(gameType)) {
+      return await interaction.reply({ content: '❌ Unknown game type.', ephemeral: true });
+    }
+    const maxPlayers = this.gameManager.registry.clampMaxPlayers(gameType, interaction.options.getInteger('max-players'));
+
+    const rules = { ...DISCORD_RULE_DEFAULTS[gameType] };
+    for (const rule of RULE_OPTIONS) {
+      const value = interaction.options.getInteger(rule.name);
+      if (value !== null) {
+        rules[rule.key] = value;
+      }
+    }
+    const validation = this.gameManager.registry.validateOptions(gameType, rules);
+    if (!validation.success) {
+      return await interaction.reply({ content: `❌ ${validation.error}`, ephemeral: true });
+    }
+
     // Create Discord user object
     const discordUser = {
       id: interaction.user.id,
@@ -206,7 +250,7 @@ class DiscordBot {
 
     try {
       // Create Discord-native game only
-      return await this.createDiscordGame(interaction, gameType, discordUser, maxPlayers, isPrivate);
+      return await this.createDiscordGame(interaction, gameType, discordUser, maxPlayers, isPrivate, validation.options);
     } catch (error) {
       await interaction.reply({ 
         content: `❌ Failed to create game: ${error.message}`, 
@@ -215,7 +259,7 @@ class DiscordBot {
     }
   }
 
-  async createDiscordGame(interaction, gameType, discordUser, maxPlayers, isPrivate) {
+  async createDiscordGame(interaction, gameType, discordUser, maxPlayers, isPrivate, options) {
     // Create a Discord-native game session
     const gameId = require('uuid').v4().substring(0, 8); // Shorter ID for Discord
     
@@ -231,10 +275,12 @@ class DiscordBot {
       players: [discordUser],
       maxPlayers,
       isPrivate,
+      options,
       channelId: interaction.channelId,
       guildId: interaction.guildId,
       status: 'waiting',
-      createdAt: new Date()
+      createdAt: new Date(),
+      rng: new SeededRandom()
     };
 
     this.discordGames.set(gameId, discordGame);
@@ -486,7 +532,7 @@ class DiscordBot {
     // Initialize game state
     game.currentPlayerIndex = 0;
     game.scores = new Map(game.players.map(p => [p.id, 0]));
-    game.maxRounds = game.players.length * 2; // 2 rounds per player
+    game.maxRounds = game.players.length * game.options.maxRounds; // Each player tells once per round
     game.currentRound = 1;
 
     const currentPlayer = game.players[game.currentPlayerIndex];
@@ -543,14 +589,15 @@ class DiscordBot {
     }
     
     // Shuffle cards
-    game.answerCards = game.answerCards.sort(() => Math.random() - 0.5);
-    game.questionCards = game.questionCards.sort(() => Math.random() - 0.5);
+    game.rng.shuffle(game.answerCards);
+    game.rng.shuffle(game.questionCards);
     
-    // Deal hands via DM (7 cards per player)
+    // Deal hands via DM
     game.playerHands = new Map();
     game.submissions = new Map();
-    game.cardsPerHand = 7;
-    game.maxRounds = 10;
+    game.cardsPerHand = game.options.cardsPerHand;
+    game.maxRounds = game.options.maxRounds;
+    game.pointsToWin = game.options.pointsToWin;
     game.currentRound = 1;
     
     for (const player of game.players) {
@@ -597,7 +644,7 @@ class DiscordBot {
       .setDescription(`**Card Czar:** ${game.cardCzar.username}`)
       .addFields(
         { name: '❓ Question', value: game.currentQuestion.text || 'Loading...', inline: false },
-        { name: '📋 Instructions', value: 'Players: Check your DMs for your hand. Reply to this message with the number of the card you want to play (1-7).\n\nCard Czar: Wait for submissions, then pick the best answer!', inline: false },
+        { name: '📋 Instructions', value: `Players: Check your DMs for your hand. Reply to this message with the number of the card you want to play (1-${game.cardsPerHand}).\n\nCard Czar: Wait for submissions, then pick the best answer!`, inline: false },
         { name: '⏰ Time Limit', value: '2 minutes to submit', inline: true },
         { name: '🎯 Round', value: `${game.currentRound} of ${game.maxRounds}`, inline: true }
       );
@@ -616,7 +663,7 @@ class DiscordBot {
     
     // Initialize poker game
     game.deck = this.createPokerDeck();
-    game.deck = game.deck.sort(() => Math.random() - 0.5); // Shuffle
+    game.rng.shuffle(game.deck);
     game.playerHands = new Map();
     game.playerBets = new Map();
     game.currentBet = 0;
@@ -624,8 +671,9 @@ class DiscordBot {
     game.dealerIndex = 0;
     game.bettingRound = 1;
     game.maxBettingRounds = 4;
-    game.smallBlind = 5;
-    game.bigBlind = 10;
+    game.smallBlind = game.options.smallBlind;
+    game.bigBlind = game.options.bigBlind;
+    game.stacks = new Map(game.players.map(p => [p.id, game.options.startingStack]));
     game.foldedPlayers = new Set();
     
     // Post blinds
@@ -635,6 +683,8 @@ class DiscordBot {
       
       game.playerBets.set(game.players[smallBlindIndex].id, game.smallBlind);
       game.playerBets.set(game.players[bigBlindIndex].id, game.bigBlind);
+      game.stacks.set(game.players[smallBlindIndex].id, game.options.startingStack - game.smallBlind);
+      game.stacks.set(game.players[bigBlindIndex].id, game.options.startingStack - game.bigBlind);
       game.currentBet = game.bigBlind;
       game.pot = game.smallBlind + game.bigBlind;
     }
@@ -1039,7 +1089,7 @@ class DiscordBot {
     
     // Shuffle submissions for anonymity
     const submissions = Array.from(game.submissions.entries());
-    const shuffled = submissions.sort(() => Math.random() - 0.5);
+    const shuffled = game.rng.shuffle(submissions);
     
     const submissionsEmbed = new EmbedBuilder()
       .setColor(0xFF6B6B)
@@ -1077,7 +1127,9 @@ class DiscordBot {
   async nextDegensRound(game) {
     game.currentRound++;
     
-    if (game.currentRound > game.maxRounds) {
+    const targetReached = game.pointsToWin > 0 && game.scores &&
+      Array.from(game.scores.values()).some(score => score >= game.pointsToWin);
+    if (game.currentRound > game.maxRounds || targetReached) {
       return this.endDegensGame(game);
     }
     
@@ -1170,8 +1222,13 @@ class DiscordBot {
     } else if (content === 'call') {
       const currentPlayerBet = game.playerBets.get(userId) || 0;
       const callAmount = game.currentBet - currentPlayerBet;
+      if (callAmount > game.stacks.get(userId)) {
+        await message.reply(`Not enough chips to call! You have ${game.stacks.get(userId)} chips.`);
+        return;
+      }
       
       game.playerBets.set(userId, game.currentBet);
+      game.stacks.set(userId, game.stacks.get(userId) - callAmount);
       game.pot += callAmount;
       
       await message.react('💰');
@@ -1197,8 +1254,13 @@ class DiscordBot {
       const currentPlayerBet = game.playerBets.get(userId) || 0;
       const totalAmount = game.currentBet + raiseAmount;
       const actualRaise = totalAmount - currentPlayerBet;
+      if (actualRaise > game.stacks.get(userId)) {
+        await message.reply(`Not enough chips to raise that much! You have ${game.stacks.get(userId)} chips.`);
+        return;
+      }
       
       game.playerBets.set(userId, totalAmount);
+      game.stacks.set(userId, game.stacks.get(userId) - actualRaise);
       game.pot += actualRaise;
       game.currentBet = totalAmount;
       
@@ -1348,6 +1410,7 @@ class DiscordBot {
     
     const currentScore = game.scores.get(winnerId) || 0;
     game.scores.set(winnerId, currentScore + game.pot);
+    game.stacks.set(winnerId, game.stacks.get(winnerId) + game.pot);
     
     const winEmbed = new EmbedBuilder()
       .setColor(0x00FF00)
@@ -1584,6 +1647,11 @@ class DiscordBot {
       )
       .setTimestamp();
 
+    const endReason = describeEndReason(game);
+    if (endReason) {
+      embed.addFields({ name: 'Ended', value: endReason, inline: true });
+    }
+
     // Send notification to Discord users in the game
     for (const player of game.players) {
       if (player.isDiscordBot) {
@@ -1597,14 +1665,60 @@ class DiscordBot {
     }
   }
 
+  // Tournament announcements go to the channels the organizer listed, or
+  // DISCORD_TOURNAMENT_CHANNEL_ID when they didn't pick any
+  async notifyTournamentRound(tournament, round) {
+    const baseUrl = process.env.BASE_URL || 'http://localhost:3000';
+    const embed = new EmbedBuilder()
+      .setColor(0x00AE86)
+      .setTitle(`🏁 ${tournament.name} - Round ${round.number}${tournament.totalRounds ? ` of ${tournament.totalRounds}` : ''}`)
+      .setDescription(`${this.formatGameType(tournament.gameType)} tables are open. Good luck!`)
+      .addFields(round.tables.slice(0, 25).map(table => ({
+        name: `Table ${table.number}`,
+        value: `${table.playerIds.map(id => this.formatEntrant(tournament, id)).join(', ')}\n${baseUrl}/game/${table.gameId}?invite=true`
+      })))
+      .setTimestamp();
+
+    await this.sendTournamentEmbed(tournament, embed);
+  }
+
+  async notifyTournamentEnd(tournament) {
+    const standings = tournament.getStandings().slice(0, 5)
+      .map(s => `${s.rank}. ${s.username} - ${s.points} pts (${s.wins} ${s.wins === 1 ? 'win' : 'wins'})`);
+
+    const embed = new EmbedBuilder()
+      .setColor(0xFFD700)
+      .setTitle(`🏆 ${tournament.name} - Champion: ${this.formatEntrant(tournament, tournament.championId)}`)
+      .setDescription(standings.join('\n') || 'No standings')
+      .setTimestamp();
+
+    await this.sendTournamentEmbed(tournament, embed);
+  }
+
+  async sendTournamentEmbed(tournament, embed) {
+    if (!this.isReady) return;
+
+    const fallback = process.env.DISCORD_TOURNAMENT_CHANNEL_ID;
+    const channelIds = tournament.discordChannelIds.length > 0 ? tournament.discordChannelIds : (fallback ? [fallback] : []);
+    for (const channelId of channelIds) {
+      try {
+        const channel = await this.client.channels.fetch(channelId);
+        await channel.send({ embeds: [embed] });
+      } catch (error) {
+        console.error(`Failed to announce tournament in channel ${channelId}:`, error);
+      }
+    }
+  }
+
+  formatEntrant(tournament, userId) {
+    const entrant = tournament.entrants.find(e => e.id === userId);
+    return entrant ? entrant.username : 'Unknown';
+  }
+
   // Utility methods
   formatGameType(type) {
-    const types = {
-      'degens-against-decency': 'Degens Against Decency',
-      '2-truths-and-a-lie': '2 Truths and a Lie',
-      'poker': 'Poker'
-    };
-    return types[type] || type;
+    const manifest = this.gameManager.registry.getManifest(type);
+    return manifest ? manifest.name : type;
   }
 
   formatStatus(status) {
@@ -0,0 +1,83 @@
+/**
+ * End Conditions - How party games decide they are over
+ *
+ * Copyright (c) 2024 Degens Against Decency
+ * Licensed under the MIT License
+ * See LICENSE file in the project root for full license information.
+ */
+
+// Each condition is checked between rounds by BaseGame.checkForGameEnd().
+// `isMet(game, roundsPlayed)` says whether the game should stop and
+// `describe(game)` explains why it did, for the final state and Discord.
+//
+//   rounds - a fixed number of rounds (game.maxRounds)
+//   points - first to game.pointsToWin, however many rounds that takes
+//   time   - the session timer (game.timeLimit minutes) has run out; the
+//            round in progress is still finished
+//   deck   - nothing but running out of cards or prompts
+//
+// Whatever the condition, a non-zero pointsToWin also ends the game early
+// and running out of cards always ends it.
+const END_CONDITIONS = {
+  rounds: {
+    isMet: (game, roundsPlayed) => roundsPlayed >= game.maxRounds,
+    describe: (game) => `${game.maxRounds} round${game.maxRounds === 1 ? '' : 's'} played`
+  },
+  points: {
+    isMet: (game) => game.pointsToWin > 0 && Math.max(0, ...game.scores.values()) >= game.pointsToWin,
+    describe: (game) => `First to ${game.pointsToWin} points`
+  },
+  time: {
+    isMet: (game) => game.timeUp,
+    describe: (game) => `${game.timeLimit}-minute time limit reached`
+  },
+  deck: {
+    isMet: () => false,
+    describe: () => 'The deck ran out'
+  }
+};
+
+const DEFAULT_TIME_LIMIT_MINUTES = 30;
+const MAX_TIME_LIMIT_MINUTES = 240;
+const MAX_SUDDEN_DEATH_ROUNDS = 5;
+
+// Manifest options shared by every game that supports end conditions
+const END_CONDITION_OPTIONS = [
+  { key: 'endCondition', label: 'Game ends', type: 'choice', default: 'rounds', choices: Object.keys(END_CONDITIONS) },
+  { key: 'timeLimit', label: 'Time limit (minutes)', type: 'integer', default: DEFAULT_TIME_LIMIT_MINUTES, min: 1, max: MAX_TIME_LIMIT_MINUTES },
+  { key: 'suddenDeathRounds', label: 'Sudden-death rounds for a tie', type: 'integer', default: 3, min: 0, max: MAX_SUDDEN_DEATH_ROUNDS }
+];
+
+// The condition that ends the game after `roundsPlayed` rounds, if any
+function getEndReason(game, roundsPlayed) {
+  if (game.endCondition !== 'points' && END_CONDITIONS.points.isMet(game, roundsPlayed)) {
+    return 'points';
+  }
+  const condition = END_CONDITIONS[game.endCondition];
+  return condition && condition.isMet(game, roundsPlayed) ? game.endCondition : null;
+}
+
+function describeEndReason(game) {
+  const condition = END_CONDITIONS[game.endReason];
+  if (!condition) return null;
+
+  const description = condition.describe(game);
+  const extra = game.suddenDeathRoundsPlayed;
+  return extra > 0 ? `${description}, after ${extra} sudden-death round${extra === 1 ? '' : 's'}` : description;
+}
+
+// Rules spanning options, for a game's static validateOptions()
+function validateEndCondition(options) {
+  if (options.endCondition === 'points' && !(options.pointsToWin > 0)) {
+    return 'Set points to win to play first to N points';
+  }
+  return null;
+}
+
+module.exports = {
+  END_CONDITIONS,
+  END_CONDITION_OPTIONS,
+  getEndReason,
+  describeEndReason,
+  validateEndCondition
+};
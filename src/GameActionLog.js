@@ -0,0 +1,112 @@
+/**
+ * Game Action Log - Append-only record of everything that changed a game
+ *
+ * Copyright (c) 2024 Degens Against Decency
+ * Licensed under the MIT License
+ * See LICENSE file in the project root for full license information.
+ */
+
+const SeededRandom = require('./SeededRandom');
+
+// Entry kinds:
+//   action - a player (or a timer acting for them) sent a game action
+//   system - a server event such as AI-generated cards arriving
+//   join   - a player took a seat
+//   leave  - a player gave up their seat
+//   host   - the host moderated the room (kick, ban, transfer host, lock)
+class GameActionLog {
+  constructor(game) {
+    this.gameId = game.id;
+    this.gameType = game.type;
+    this.createdAt = new Date().toISOString();
+    this.setup = {
+      creator: { id: game.creator.id, username: game.creator.username },
+      isPrivate: game.isPrivate,
+      maxPlayers: game.maxPlayers,
+      phaseDurations: { ...game.phaseDurations },
+      seed: game.seed,
+      // Starting snapshot, so per-game secrets like a poker server seed
+      // are the same when the game is rebuilt
+      initialState: game.serialize()
+    };
+    // Replays never ask for the room password, and logs are shown to players
+    delete this.setup.initialState.passwordHash;
+    this.entries = [];
+  }
+
+  append(kind, actor, payload, seed) {
+    const entry = {
+      seq: this.entries.length + 1,
+      kind,
+      actor: actor || null,
+      // Copy so later mutation by the caller can't rewrite history
+      payload: JSON.parse(JSON.stringify(payload || {})),
+      seed,
+      timestamp: new Date().toISOString()
+    };
+    this.entries.push(entry);
+    return entry;
+  }
+
+  toJSON() {
+    return {
+      gameId: this.gameId,
+      gameType: this.gameType,
+      createdAt: this.createdAt,
+      setup: this.setup,
+      entries: this.entries
+    };
+  }
+
+  static fromJSON(data) {
+    const log = Object.create(GameActionLog.prototype);
+    log.gameId = data.gameId;
+    log.gameType = data.gameType;
+    log.createdAt = data.createdAt;
+    log.setup = data.setup;
+    log.entries = data.entries || [];
+    return log;
+  }
+
+  // Build a fresh game and apply the first `upTo` entries to it
+  rebuild(GameClass, upTo = this.entries.length) {
+    const game = GameClass.deserialize(JSON.parse(JSON.stringify(this.setup.initialState)));
+    game.isReplay = true;
+
+    for (const entry of this.entries.slice(0, upTo)) {
+      GameActionLog.applyEntry(game, entry);
+    }
+    return game;
+  }
+
+  // Full game state after every entry, for stepping through a replay
+  replay(GameClass) {
+    const game = this.rebuild(GameClass, 0);
+    return this.entries.map(entry => {
+      const result = GameActionLog.applyEntry(game, entry);
+      return { seq: entry.seq, result, state: game.getGameState() };
+    });
+  }
+
+  static applyEntry(game, entry) {
+    game.rng = new SeededRandom(entry.seed);
+
+    switch (entry.kind) {
+      case 'action':
+        return game.performAction(entry.actor, entry.payload);
+      case 'system':
+        return game.applySystemEvent(entry.payload);
+      case 'join':
+        return game.addPlayer(entry.payload.user, null);
+      case 'host':
+        return game.handleHostAction(entry.actor, entry.payload);
+      case 'leave':
+        game.removePlayer(entry.actor);
+        return { success: true };
+      default:
+        return { success: false, error: `Unknown log entry kind: ${entry.kind}` };
+    }
+  }
+}
+
+module.exports = GameActionLog;
@@ -7,20 +7,47 @@
  */
 
 const { v4: uuidv4 } = require('uuid');
-const DegensAgainstDecencyGame = require('./games/DegensAgainstDecencyGame');
-const TwoTruthsAndALieGame = require('./games/TwoTruthsAndALieGame');
-const PokerGame = require('./games/PokerGame');
+const GameRegistry = require('./GameRegistry');
+const BotManager = require('./BotManager');
+const supabase = require('./supabase');
+const GameActionLog = require('./GameActionLog');
+const RoomPassword = require('./RoomPassword');
+
+// Logs of games that no longer exist are kept in memory up to this many
+const MAX_RETAINED_LOGS = 100;
+
+const MAX_ROOM_NAME_LENGTH = 50;
+const MAX_ROOM_DESCRIPTION_LENGTH = 200;
 
 class GameManager {
-  constructor(io) {
+  constructor(io, options = {}) {
     this.io = io;
     this.games = new Map();
     this.discordBot = null; // Will be set by server.js
-    this.gameTypes = {
-      'degens-against-decency': DegensAgainstDecencyGame,
-      '2-truths-and-a-lie': TwoTruthsAndALieGame,
-      'poker': PokerGame
-    };
+    this.cardPackStore = options.cardPackStore || null;
+
+    // Seconds a dropped player's seat is held before they are removed
+    this.reconnectGracePeriod = options.reconnectGracePeriod ??
+      (parseInt(process.env.RECONNECT_GRACE_PERIOD_SECONDS, 10) || 60);
+    this.reconnectTimers = new Map();
+
+    // Unfinished rooms a user may have created and still sit in; 0 for no cap
+    const maxRooms = parseInt(process.env.MAX_ROOMS_PER_CREATOR, 10);
+    this.maxRoomsPerCreator = options.maxRoomsPerCreator ?? (Number.isInteger(maxRooms) ? maxRooms : 3);
+
+    // Game snapshots go to Supabase when it is configured
+    this.storage = options.storage || supabase;
+    this.pendingSaves = new Map();
+
+    // Append-only action log per game, used for replays
+    this.actionLogs = new Map();
+
+    // Game types come from the manifests in src/games/
+    this.registry = options.registry || new GameRegistry().discover();
+
+    // Computer players the host can seat; `botDelay` ({ min, max } in ms)
+    // sets how long they take to act
+    this.bots = options.bots || new BotManager({ delay: options.botDelay }).discover();
   }
 
   setDiscordBot(discordBot) {
@@ -31,19 +58,60 @@ class GameManager {
     this.integrationManager = integrationManager;
   }
 
-  createGame(gameType, creator, isPrivate = false, maxPlayers = 7) {
-    if (!this.gameTypes[gameType]) {
+  setTournamentManager(tournamentManager) {
+    this.tournamentManager = tournamentManager;
+  }
+
+  setCardPackStore(cardPackStore) {
+    this.cardPackStore = cardPackStore;
+  }
+
+  // `options` are the room rules declared in the game's manifest (rounds,
+  // blinds, timers, ...). Pass a seed to make every shuffle and deal in
+  // the game reproducible. `room` holds the create-room page's name,
+  // description, mode and password; the mode picks the preset that
+  // `options` are laid over.
+  createGame(gameType, creator, isPrivate = false, maxPlayers = 7, options = {}, seed = null, room = {}) {
+    if (!this.registry.has(gameType)) {
       throw new Error('Invalid game type');
     }
 
-    // Enforce player limits: 3-7 players
-    maxPlayers = Math.max(3, Math.min(maxPlayers, 7));
+    const mode = room.mode || 'classic';
+    const validation = this.registry.validateOptions(gameType, options || {}, mode);
+    if (!validation.success) {
+      throw new Error(validation.error);
+    }
+
+    const name = typeof room.name === 'string' ? room.name.trim() : '';
+    const description = typeof room.description === 'string' ? room.description.trim() : '';
+    if (name.length > MAX_ROOM_NAME_LENGTH) {
+      throw new Error(`Room name must be at most ${MAX_ROOM_NAME_LENGTH} characters`);
+    }
+    if (description.length > MAX_ROOM_DESCRIPTION_LENGTH) {
+      throw new Error(`Room description must be at most ${MAX_ROOM_DESCRIPTION_LENGTH} characters`);
+    }
+    if (room.password && (typeof room.password !== 'string' || room.password.length > RoomPassword.MAX_PASSWORD_LENGTH)) {
+      throw new Error(`Room password must be at most ${RoomPassword.MAX_PASSWORD_LENGTH} characters`);
+    }
+
+    maxPlayers = this.registry.clampMaxPlayers(gameType, maxPlayers);
 
     const gameId = uuidv4();
-    const GameClass = this.gameTypes[gameType];
+    const GameClass = this.registry.getClass(gameType);
     const game = new GameClass(gameId, creator, isPrivate, maxPlayers);
+    game.applyOptions(validation.options);
+    game.name = name || null;
+    game.description = description || null;
+    game.mode = mode;
+    game.passwordHash = room.password ? RoomPassword.hashPassword(room.password) : null;
+    if (Number.isInteger(seed)) {
+      game.setSeed(seed);
+    }
+    this.attachGame(game);
+    this.actionLogs.set(gameId, new GameActionLog(game));
     
     this.games.set(gameId, game);
+    this.persistGame(game);
     
     // Notify lobby of new public game
     if (!isPrivate) {
@@ -58,14 +126,230 @@ class GameManager {
       maxPlayers,
       currentPlayers: 1,
       status: 'waiting',
+      options: validation.options,
+      name: game.name,
+      description: game.description,
+      mode,
+      hasPassword: !!game.passwordHash,
       inviteLink: isPrivate ? `${process.env.BASE_URL || 'http://localhost:3000'}/game/${gameId}?invite=true` : null
     };
   }
 
+  // Whether a user may open another room. Tournament tables and Quick Play
+  // rooms are opened by the server, so only player-created rooms check this.
+  canCreateRoom(creatorId) {
+    if (!this.maxRoomsPerCreator) {
+      return { success: true };
+    }
+
+    let open = 0;
+    for (const game of this.games.values()) {
+      const stillSeated = game.players.some(p => p.id === creatorId);
+      if (game.creator.id === creatorId && stillSeated && game.status !== 'finished') {
+        open++;
+      }
+    }
+    if (open >= this.maxRoomsPerCreator) {
+      return { success: false, error: `You already have ${open} open room${open === 1 ? '' : 's'}. Finish or leave one before creating another.` };
+    }
+    return { success: true };
+  }
+
+  // Route a game's timer-driven actions and async state changes back
+  // through the manager so they are broadcast like any other update
+  attachGame(game) {
+    game.setActionDispatcher((userId, action) => {
+      const result = this.handleGameAction(game.id, userId, action);
+      if (result.success) {
+        this.broadcastGameState(game.id);
+        this.io.to('lobby').emit('lobby-games', this.getPublicGames());
+      }
+      return result;
+    });
+    game.setSystemEventDispatcher((event) => {
+      const seed = this.reseed(game);
+      const result = game.applySystemEvent(event);
+      if (result.success) {
+        this.recordEntry(game.id, 'system', null, event, seed);
+        this.broadcastGameState(game.id);
+        this.persistGame(game);
+        this.bots.schedule(game);
+      }
+      return result;
+    });
+    // Packs are read with the room creator's access, so their private
+    // packs can be played in their rooms
+    game.setCardPackLoader((packIds) => (this.cardPackStore
+      ? this.cardPackStore.getCards(packIds, game.creator.id)
+      : Promise.resolve({ success: false, error: 'Card packs are not available' })));
+  }
+
+  // Give the game a fresh seed for the step about to run, so the step can
+  // be replayed exactly from the log
+  reseed(game) {
+    return game.nextStepSeed();
+  }
+
+  // Everything that changes a game is logged, so this is also where its
+  // idle clock is reset
+  recordEntry(gameId, kind, actor, payload, seed) {
+    const game = this.games.get(gameId);
+    if (game) {
+      game.lastActivityAt = Date.now();
+    }
+
+    const log = this.actionLogs.get(gameId);
+    if (log) {
+      log.append(kind, actor, payload, seed);
+    }
+  }
+
+  async getActionLog(gameId) {
+    if (this.actionLogs.has(gameId)) {
+      return this.actionLogs.get(gameId);
+    }
+    if (!this.storage.isSupabaseConfigured()) {
+      return null;
+    }
+    const data = await this.storage.getGameLog(gameId);
+    return data ? GameActionLog.fromJSON(data) : null;
+  }
+
+  // Rebuild a game step by step from its action log
+  async getReplay(gameId) {
+    const log = await this.getActionLog(gameId);
+    const GameClass = log && this.registry.getClass(log.gameType);
+    if (!GameClass) return null;
+
+    const { entries, ...meta } = log.toJSON();
+    const steps = log.replay(GameClass);
+    return {
+      ...meta,
+      steps: entries.map((entry, index) => ({ ...entry, ...steps[index] }))
+    };
+  }
+
+  // Shuffle proof for games that support one, rebuilt from the log if the
+  // game itself has already been removed
+  async getFairnessProof(gameId) {
+    let game = this.games.get(gameId);
+    if (!game) {
+      const log = await this.getActionLog(gameId);
+      const GameClass = log && this.registry.getClass(log.gameType);
+      game = GameClass ? log.rebuild(GameClass) : null;
+    }
+
+    if (!game || typeof game.getFairnessProof !== 'function') {
+      return null;
+    }
+    return game.getFairnessProof();
+  }
+
+  // Forget the oldest logs of games that have been removed
+  pruneActionLogs() {
+    const orphaned = Array.from(this.actionLogs.keys()).filter(id => !this.games.has(id));
+    for (const gameId of orphaned.slice(0, Math.max(0, orphaned.length - MAX_RETAINED_LOGS))) {
+      this.actionLogs.delete(gameId);
+    }
+  }
+
+  // Snapshot a game so it survives a redeploy. Saves for the same game are
+  // chained so an older snapshot can never land after a newer one.
+  persistGame(game) {
+    if (!this.storage.isSupabaseConfigured()) {
+      return Promise.resolve(null);
+    }
+
+    const snapshot = {
+      type: game.type,
+      creator: game.creator,
+      isPrivate: game.isPrivate,
+      maxPlayers: game.maxPlayers,
+      status: game.status,
+      players: game.players.map(p => ({ id: p.id, username: p.username })),
+      gameState: game.serialize()
+    };
+
+    const log = this.actionLogs.get(game.id);
+    const logSnapshot = log ? log.toJSON() : null;
+
+    const previous = this.pendingSaves.get(game.id) || Promise.resolve();
+    const save = previous
+      .then(() => this.storage.saveGame(game.id, snapshot))
+      .then(() => logSnapshot && this.storage.saveGameLog(game.id, logSnapshot))
+      .catch(error => console.error(`Failed to persist game ${game.id}:`, error.message))
+      .finally(() => {
+        if (this.pendingSaves.get(game.id) === save) {
+          this.pendingSaves.delete(game.id);
+        }
+      });
+    this.pendingSaves.set(game.id, save);
+    return save;
+  }
+
+  // Rebuild unfinished games saved before the last shutdown. Players come
+  // back as disconnected and get the usual grace period to rejoin.
+  async restoreGames() {
+    if (!this.storage.isSupabaseConfigured()) {
+      return 0;
+    }
+
+    const rows = await this.storage.getActiveGames();
+    let restored = 0;
+
+    for (const row of rows) {
+      const GameClass = this.registry.getClass(row.type);
+      const data = row.game_state;
+      if (!GameClass || !data || !data.id || this.games.has(data.id)) continue;
+
+      try {
+        const game = GameClass.deserialize(data);
+        this.attachGame(game);
+        this.games.set(game.id, game);
+
+        const logData = await this.storage.getGameLog(game.id);
+        if (logData) {
+          this.actionLogs.set(game.id, GameActionLog.fromJSON(logData));
+        }
+        game.resumePhaseTimer();
+        game.resumeSessionTimer();
+
+        for (const player of game.players.filter(p => !p.isBot)) {
+          this.disconnectPlayer(game.id, player.id);
+        }
+        this.bots.schedule(game);
+        restored++;
+      } catch (error) {
+        console.error(`Failed to restore game ${row.id}:`, error.message);
+      }
+    }
+
+    if (restored > 0) {
+      this.io.to('lobby').emit('lobby-games', this.getPublicGames());
+    }
+    return restored;
+  }
+
   getGame(gameId) {
     return this.games.get(gameId);
   }
 
+  // Send every socket in the game room its own view of the game state.
+  // Players only ever receive their own hand; spectators get public info.
+  broadcastGameState(gameId) {
+    const game = this.games.get(gameId);
+    const room = this.io.sockets.adapter.rooms.get(gameId);
+    if (!game || !room) return;
+
+    for (const socketId of room) {
+      const socket = this.io.sockets.sockets.get(socketId);
+      if (socket) {
+        const viewerId = socket.isSpectator ? null : socket.userId;
+        socket.emit('game-update', game.getGameStateFor(viewerId));
+      }
+    }
+  }
+
   getPublicGames() {
     const publicGames = [];
     for (const [id, game] of this.games) {
@@ -78,14 +362,29 @@ class GameManager {
           maxPlayers: game.maxPlayers,
           status: game.status,
           startTime: game.startTime,
-          spectatorCount: game.spectators ? game.spectators.length : 0
+          locked: game.locked,
+          spectatorCount: game.spectators ? game.spectators.length : 0,
+          options: game.options,
+          name: game.name,
+          description: game.description,
+          mode: game.mode,
+          hasPassword: !!game.passwordHash
         });
       }
     }
     return publicGames;
   }
 
-  spectateGame(gameId, userId, socket) {
+  // Password-protected rooms need the password from anyone not already
+  // in the room
+  checkRoomPassword(game, password) {
+    if (!game.passwordHash || RoomPassword.verifyPassword(password, game.passwordHash)) {
+      return null;
+    }
+    return { success: false, error: password ? 'Incorrect room password' : 'This room needs a password', passwordRequired: true };
+  }
+
+  spectateGame(gameId, userId, socket, password = null) {
     const game = this.games.get(gameId);
     if (!game) {
       return { success: false, error: 'Game not found' };
@@ -96,12 +395,17 @@ class GameManager {
       return { success: false, error: 'Can only spectate games in progress' };
     }
 
+    const passwordError = this.checkRoomPassword(game, password);
+    if (passwordError) {
+      return passwordError;
+    }
+
     const result = game.addSpectator(userId, socket);
     if (result.success) {
       // Update lobby with current games
       this.io.to('lobby').emit('lobby-games', this.getPublicGames());
       
-      return { success: true, game: game.getGameState(), isSpectator: true };
+      return { success: true, game: game.getGameStateFor(null), isSpectator: true };
     }
 
     return result;
@@ -117,35 +421,117 @@ class GameManager {
     this.io.to('lobby').emit('lobby-games', this.getPublicGames());
   }
 
-  joinGame(gameId, userId, socket) {
+  // `user` is a user object ({ id, username, ... }) or a bare user ID
+  joinGame(gameId, user, socket, password = null) {
     const game = this.games.get(gameId);
     if (!game) {
       return { success: false, error: 'Game not found' };
     }
 
-    const result = game.addPlayer(userId, socket);
+    // Already seated (the creator opening the game page, or a reload) - resync
+    const userId = typeof user === 'object' && user ? user.id : user;
+    if (game.players.some(p => p.id === userId)) {
+      return this.rejoinGame(gameId, userId, socket);
+    }
+
+    const passwordError = this.checkRoomPassword(game, password);
+    if (passwordError) {
+      return passwordError;
+    }
+
+    const seed = this.reseed(game);
+    const result = game.addPlayer(user, socket);
     if (result.success) {
+      const { socketId, ...seated } = game.players[game.players.length - 1];
+      this.recordEntry(gameId, 'join', seated.id, { user: seated }, seed);
+      this.persistGame(game);
+
       // Update lobby with current games
       this.io.to('lobby').emit('lobby-games', this.getPublicGames());
       
       // Notify integration manager
       if (this.integrationManager) {
         this.integrationManager.onPlayerJoinGame(
-          { id: userId },
+          { id: seated.id },
           { gameId, gameType: game.gameType }
         );
       }
       
-      return { success: true, game: game.getGameState() };
+      return { success: true, game: game.getGameStateFor(seated.id) };
     }
 
     return result;
   }
 
+  // Restore a seated player's connection and cancel their removal
+  rejoinGame(gameId, userId, socket) {
+    const game = this.games.get(gameId);
+    if (!game) {
+      return { success: false, error: 'Game not found' };
+    }
+
+    if (!game.markReconnected(userId, socket)) {
+      return { success: false, error: 'You no longer have a seat in this game' };
+    }
+
+    this.clearReconnectTimer(gameId, userId);
+    return { success: true, game: game.getGameStateFor(userId) };
+  }
+
+  // Called when a player's socket drops. Their seat is held for the grace
+  // period so a locked phone or flaky connection doesn't end their game.
+  disconnectPlayer(gameId, userId) {
+    const game = this.games.get(gameId);
+    if (!game) return;
+
+    // Another tab or device is still connected as this player
+    if (this.isUserConnected(gameId, userId)) return;
+
+    // Finished games keep seats too, since the room may go on to a rematch
+    if (!game.markDisconnected(userId)) {
+      this.leaveGame(gameId, userId);
+      return;
+    }
+
+    this.clearReconnectTimer(gameId, userId);
+    const timer = setTimeout(() => {
+      this.reconnectTimers.delete(`${gameId}:${userId}`);
+      this.leaveGame(gameId, userId);
+      this.broadcastGameState(gameId);
+    }, this.reconnectGracePeriod * 1000);
+    this.reconnectTimers.set(`${gameId}:${userId}`, timer);
+  }
+
+  clearReconnectTimer(gameId, userId) {
+    const key = `${gameId}:${userId}`;
+    if (this.reconnectTimers.has(key)) {
+      clearTimeout(this.reconnectTimers.get(key));
+      this.reconnectTimers.delete(key);
+    }
+  }
+
+  isUserConnected(gameId, userId) {
+    const room = this.io.sockets.adapter.rooms.get(gameId);
+    if (!room) return false;
+
+    for (const socketId of room) {
+      const socket = this.io.sockets.sockets.get(socketId);
+      if (socket && !socket.isSpectator && socket.userId === userId) {
+        return true;
+      }
+    }
+    return false;
+  }
+
   leaveGame(gameId, userId) {
     const game = this.games.get(gameId);
     if (!game) return;
 
+    this.clearReconnectTimer(gameId, userId);
+
+    if (game.players.some(p => p.id === userId)) {
+      this.recordEntry(gameId, 'leave', userId, {}, this.reseed(game));
+    }
     game.removePlayer(userId);
     
     // Notify integration manager
@@ -153,22 +539,133 @@ class GameManager {
       this.integrationManager.onPlayerLeaveGame(userId);
     }
     
-    // If game is empty, remove it
-    if (game.players.length === 0) {
-      this.games.delete(gameId);
+    // If only bots (or nobody) are left, remove it
+    if (!game.players.some(p => !p.isBot)) {
+      this.removeGame(gameId);
+    } else {
+      this.persistGame(game);
     }
 
     // Update lobby
     this.io.to('lobby').emit('lobby-games', this.getPublicGames());
   }
 
+  // Drop a game and everything still scheduled for it. Its action log is
+  // kept (up to MAX_RETAINED_LOGS) so it can still be replayed.
+  removeGame(gameId) {
+    const game = this.games.get(gameId);
+    if (!game) return;
+
+    this.bots.cancel(gameId);
+    for (const key of Array.from(this.reconnectTimers.keys())) {
+      if (key.startsWith(`${gameId}:`)) {
+        clearTimeout(this.reconnectTimers.get(key));
+        this.reconnectTimers.delete(key);
+      }
+    }
+    game.dispose();
+    this.games.delete(gameId);
+    this.pruneActionLogs();
+    if (this.tournamentManager) {
+      this.tournamentManager.onGameRemoved(game);
+    }
+    if (this.storage.isSupabaseConfigured()) {
+      const previous = this.pendingSaves.get(gameId) || Promise.resolve();
+      previous
+        .then(() => this.storage.deleteGame(gameId))
+        .catch(error => console.error(`Failed to delete game ${gameId}:`, error.message));
+    }
+  }
+
+  // Host moderation. Anyone removed is told why and dropped from the room.
+  handleHostAction(gameId, userId, action) {
+    const game = this.games.get(gameId);
+    if (!game) {
+      return { success: false, error: 'Game not found' };
+    }
+
+    // The bot's player object goes in the logged action so a replay seats
+    // the same bot
+    if (action.type === 'add-bot') {
+      if (!game.isHost(userId)) {
+        return { success: false, error: 'Only the host can moderate this room' };
+      }
+      const created = this.bots.createBotUser(game, action.style);
+      if (!created.success) {
+        return created;
+      }
+      action = { type: 'add-bot', bot: created.bot };
+    }
+
+    const seed = this.reseed(game);
+    const result = game.handleHostAction(userId, action);
+    if (!result.success) {
+      return result;
+    }
+
+    this.recordEntry(gameId, 'host', userId, action, seed);
+    if (result.removedUserId) {
+      this.clearReconnectTimer(gameId, result.removedUserId);
+      this.evictUser(gameId, result.removedUserId, action.type === 'ban');
+    }
+    this.persistGame(game);
+    this.io.to('lobby').emit('lobby-games', this.getPublicGames());
+
+    return { success: true };
+  }
+
+  evictUser(gameId, userId, banned) {
+    const room = this.io.sockets.adapter.rooms.get(gameId);
+    if (!room) return;
+
+    for (const socketId of Array.from(room)) {
+      const socket = this.io.sockets.sockets.get(socketId);
+      if (socket && socket.userId === userId) {
+        socket.emit('kicked', { gameId, banned });
+        socket.leave(gameId);
+        socket.gameId = null;
+        socket.isSpectator = false;
+      }
+    }
+  }
+
+  // Players who sat out a rematch keep watching from the same room
+  moveToSpectators(gameId, userIds) {
+    const room = this.io.sockets.adapter.rooms.get(gameId);
+    if (!room) return;
+
+    for (const socketId of room) {
+      const socket = this.io.sockets.sockets.get(socketId);
+      if (socket && userIds.includes(socket.userId)) {
+        socket.isSpectator = true;
+        socket.emit('spectator-mode', true);
+      }
+    }
+  }
+
   handleGameAction(gameId, userId, action) {
     const game = this.games.get(gameId);
     if (!game) {
       return { success: false, error: 'Game not found' };
     }
 
-    const result = game.handleAction(userId, action);
+    const wasFinished = game.status === 'finished';
+    const seed = this.reseed(game);
+    const result = game.performAction(userId, action);
+
+    if (result.success) {
+      this.recordEntry(gameId, 'action', userId, action, seed);
+      if (result.spectatorIds) {
+        this.moveToSpectators(gameId, result.spectatorIds);
+      }
+      this.persistGame(game);
+      this.bots.schedule(game);
+
+      // Tournament tables report their scores when they finish
+      if (!wasFinished && game.status === 'finished' && this.tournamentManager) {
+        this.tournamentManager.onGameFinished(game);
+      }
+    }
     
     // Notify integration manager of game actions
     if (this.integrationManager && result.success) {
@@ -200,11 +697,14 @@ class GameManager {
     }
     
     if (result.success) {
-      return { success: true, game: game.getGameState() };
+      return { success: true, game: game.getGameStateFor(userId) };
     }
 
     return result;
   }
 }
 
+GameManager.MAX_ROOM_NAME_LENGTH = MAX_ROOM_NAME_LENGTH;
+GameManager.MAX_ROOM_DESCRIPTION_LENGTH = MAX_ROOM_DESCRIPTION_LENGTH;
+
 module.exports = GameManager;
\ No newline at end of file
@@ -0,0 +1,148 @@
+/**
+ * Game Reaper - Cleans up idle, abandoned and finished games
+ *
+ * Copyright (c) 2024 Degens Against Decency
+ * Licensed under the MIT License
+ * See LICENSE file in the project root for full license information.
+ */
+
+// Minutes a game may sit without any activity, by status (0 never expires)
+const DEFAULT_TTL_MINUTES = {
+  waiting: 30,
+  playing: 120,
+  finished: 15
+};
+
+const DEFAULT_WARNING_SECONDS = 120;
+const DEFAULT_SWEEP_SECONDS = 30;
+
+// Summaries of cleaned-up finished games kept in memory
+const MAX_ARCHIVED_SUMMARIES = 100;
+
+// Activity is anything that goes through the game's action log (moves,
+// joins, leaves, moderation), so a room full of connected but idle
+// sockets still expires. Occupants get a 'game-expiring' warning first
+// and 'game-expired' when the room is removed.
+class GameReaper {
+  constructor(gameManager, options = {}) {
+    this.gameManager = gameManager;
+
+    const ttlMinutes = {};
+    for (const [status, fallback] of Object.entries(DEFAULT_TTL_MINUTES)) {
+      const fromEnv = parseFloat(process.env[`GAME_TTL_${status.toUpperCase()}_MINUTES`]);
+      ttlMinutes[status] = options.ttlMinutes?.[status] ?? (Number.isFinite(fromEnv) ? fromEnv : fallback);
+    }
+    this.ttls = Object.fromEntries(Object.entries(ttlMinutes).map(([status, minutes]) => [status, minutes * 60 * 1000]));
+    this.warningSeconds = options.warningSeconds ??
+      (parseInt(process.env.GAME_EXPIRY_WARNING_SECONDS, 10) || DEFAULT_WARNING_SECONDS);
+    this.sweepSeconds = options.sweepSeconds ?? DEFAULT_SWEEP_SECONDS;
+
+    this.warned = new Map(); // gameId -> lastActivityAt the warning was for
+    this.archive = [];
+    this.reaped = { waiting: 0, playing: 0, finished: 0 };
+    this.timer = null;
+  }
+
+  start() {
+    if (!this.timer) {
+      this.timer = setInterval(() => this.sweep(), this.sweepSeconds * 1000);
+      // Never keep the process alive just to sweep
+      this.timer.unref();
+    }
+    return this;
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // Warn about or remove every game past its status's TTL. Returns the IDs
+  // of games removed.
+  sweep(now = Date.now()) {
+    const removed = [];
+
+    for (const [gameId, game] of this.gameManager.games) {
+      const ttl = this.ttls[game.status];
+      if (!ttl) continue;
+
+      const expiresAt = game.lastActivityAt + ttl;
+      if (now >= expiresAt) {
+        this.expire(game);
+        removed.push(gameId);
+      } else if (now >= expiresAt - this.warningSeconds * 1000 && this.warned.get(gameId) !== game.lastActivityAt) {
+        this.warned.set(gameId, game.lastActivityAt);
+        this.gameManager.io.to(gameId).emit('game-expiring', { gameId, status: game.status, expiresAt });
+      }
+    }
+
+    for (const gameId of this.warned.keys()) {
+      if (!this.gameManager.games.has(gameId)) {
+        this.warned.delete(gameId);
+      }
+    }
+
+    if (removed.length > 0) {
+      console.log(`🧹 Cleaned up ${removed.length} idle game${removed.length === 1 ? '' : 's'}`);
+      this.gameManager.io.to('lobby').emit('lobby-games', this.gameManager.getPublicGames());
+    }
+    return removed;
+  }
+
+  expire(game) {
+    if (game.status === 'finished') {
+      this.archiveSummary(this.summarize(game));
+    }
+
+    this.reaped[game.status] = (this.reaped[game.status] || 0) + 1;
+    this.gameManager.io.to(game.id).emit('game-expired', { gameId: game.id, status: game.status });
+    this.gameManager.removeGame(game.id);
+  }
+
+  summarize(game) {
+    const scores = Object.fromEntries(game.scores);
+    const topScore = Math.max(0, ...Object.values(scores));
+    return {
+      id: game.id,
+      type: game.type,
+      name: game.name,
+      mode: game.mode,
+      isPrivate: game.isPrivate,
+      players: game.players.map(p => ({ id: p.id, username: p.username, isBot: !!p.isBot })),
+      scores,
+      winnerIds: Object.keys(scores).filter(id => topScore > 0 && scores[id] === topScore),
+      gamesPlayed: game.gamesPlayed + 1,
+      seriesScores: Object.fromEntries(game.getSeriesScores()),
+      createdAt: game.createdAt,
+      startTime: game.startTime,
+      finishedAt: new Date(game.lastActivityAt).toISOString()
+    };
+  }
+
+  archiveSummary(summary) {
+    this.archive.unshift(summary);
+    this.archive.length = Math.min(this.archive.length, MAX_ARCHIVED_SUMMARIES);
+
+    const storage = this.gameManager.storage;
+    if (storage.isSupabaseConfigured()) {
+      storage.saveGameSummary(summary);
+    }
+  }
+
+  getStatus() {
+    const games = { waiting: 0, playing: 0, finished: 0 };
+    for (const game of this.gameManager.games.values()) {
+      games[game.status] = (games[game.status] || 0) + 1;
+    }
+
+    return {
+      games,
+      reaped: { ...this.reaped },
+      archived: this.archive.length,
+      ttlMinutes: Object.fromEntries(Object.entries(this.ttls).map(([status, ms]) => [status, ms / 60000])),
+      warningSeconds: this.warningSeconds
+    };
+  }
+}
+
+module.exports = GameReaper;
@@ -0,0 +1,200 @@
+/**
+ * Game Registry - Discovers game types and their manifests
+ *
+ * Copyright (c) 2024 Degens Against Decency
+ * Licensed under the MIT License
+ * See LICENSE file in the project root for full license information.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// A game module exports its class with a static `manifest`:
+//   id          - game type used in URLs, the API and saved games
+//   name        - display name
+//   emoji       - shown next to the name in lobbies and Discord
+//   description - one-line summary for game pickers
+//   minPlayers / maxPlayers - seats needed to start / allowed in a room
+//   options     - settings a room creator can change, each
+//                 { key, label, type, default, min, max }. type is
+//                 'integer', 'number', 'boolean', 'choice' (one of the
+//                 descriptor's `choices`, with no min or max) or 'list'
+//                 (an array of up to `max` non-empty strings); a dotted
+//                 key such as 'timers.submit' is nested in the options
+//                 object.
+//                 A class may also define static validateOptions(options)
+//                 returning an error message for rules spanning options.
+//   modes       - option presets for the create-room game modes, keyed by
+//                 mode ('classic', 'chaos', 'easy', 'hardcore')
+//   renderer    - which client renderer draws the game
+const REQUIRED_FIELDS = ['id', 'name', 'minPlayers', 'maxPlayers', 'renderer'];
+
+class GameRegistry {
+  constructor() {
+    this.games = new Map();
+  }
+
+  // Register every game class in a directory that declares a manifest
+  discover(directory = path.join(__dirname, 'games')) {
+    const files = fs.readdirSync(directory).filter(file => file.endsWith('.js')).sort();
+    for (const file of files) {
+      const GameClass = require(path.join(directory, file));
+      if (typeof GameClass === 'function' && GameClass.manifest) {
+        this.register(GameClass);
+      }
+    }
+    return this;
+  }
+
+  register(GameClass) {
+    const manifest = GameClass.manifest;
+    const missing = REQUIRED_FIELDS.filter(field => manifest[field] === undefined);
+    if (missing.length > 0) {
+      throw new Error(`Game manifest is missing ${missing.join(', ')}`);
+    }
+    if (manifest.minPlayers > manifest.maxPlayers) {
+      throw new Error(`Game manifest for ${manifest.id} allows fewer seats than it needs`);
+    }
+    if (this.games.has(manifest.id)) {
+      throw new Error(`Game type ${manifest.id} is already registered`);
+    }
+
+    this.games.set(manifest.id, GameClass);
+
+    // A preset that fails validation would only show up when someone picks it
+    for (const mode of Object.keys(manifest.modes || {})) {
+      const result = this.validateOptions(manifest.id, {}, mode);
+      if (!result.success) {
+        this.games.delete(manifest.id);
+        throw new Error(`Game mode ${mode} for ${manifest.id} is invalid: ${result.error}`);
+      }
+    }
+    return this;
+  }
+
+  has(gameType) {
+    return this.games.has(gameType);
+  }
+
+  getClass(gameType) {
+    return this.games.get(gameType) || null;
+  }
+
+  getManifest(gameType) {
+    const GameClass = this.games.get(gameType);
+    return GameClass ? GameClass.manifest : null;
+  }
+
+  list() {
+    return Array.from(this.games.values()).map(GameClass => GameClass.manifest);
+  }
+
+  // Check a room creator's options against the game's manifest. Returns
+  // the full options object with anything missing taken from the mode's
+  // preset, then the manifest defaults.
+  validateOptions(gameType, input = {}, mode = null) {
+    const GameClass = this.getClass(gameType);
+    if (!GameClass) {
+      return { success: false, error: 'Unknown game type' };
+    }
+    if (input === null || typeof input !== 'object' || Array.isArray(input)) {
+      return { success: false, error: 'Options must be an object' };
+    }
+
+    const modes = GameClass.manifest.modes || {};
+    if (mode && !modes[mode]) {
+      return { success: false, error: 'Unknown game mode' };
+    }
+
+    const descriptors = new Map((GameClass.manifest.options || []).map(option => [option.key, option]));
+    const provided = { ...flattenOptions(mode ? modes[mode] : {}), ...flattenOptions(input) };
+
+    for (const key of Object.keys(provided)) {
+      if (!descriptors.has(key)) {
+        return { success: false, error: `Unknown option: ${key}` };
+      }
+    }
+
+    const options = {};
+    for (const [key, descriptor] of descriptors) {
+      let value = key in provided ? provided[key] : descriptor.default;
+      if (descriptor.type === 'choice') {
+        if (!descriptor.choices.includes(value)) {
+          return { success: false, error: `${descriptor.label} must be one of: ${descriptor.choices.join(', ')}` };
+        }
+        setOption(options, key, value);
+        continue;
+      }
+      if (descriptor.type === 'boolean') {
+        if (typeof value !== 'boolean') {
+          return { success: false, error: `${descriptor.label} must be true or false` };
+        }
+        setOption(options, key, value);
+        continue;
+      }
+      if (descriptor.type === 'list') {
+        if (!Array.isArray(value) || !value.every(item => typeof item === 'string' && item.trim() !== '')) {
+          return { success: false, error: `${descriptor.label} must be a list` };
+        }
+        if (descriptor.max !== undefined && value.length > descriptor.max) {
+          return { success: false, error: `${descriptor.label} can have at most ${descriptor.max} entries` };
+        }
+        setOption(options, key, [...new Set(value)]);
+        continue;
+      }
+      if (typeof value === 'string' && value.trim() !== '') {
+        value = Number(value);
+      }
+
+      const isValid = descriptor.type === 'integer' ? Number.isInteger(value) : Number.isFinite(value);
+      if (!isValid) {
+        return { success: false, error: `${descriptor.label} must be ${descriptor.type === 'integer' ? 'a whole number' : 'a number'}` };
+      }
+      if ((descriptor.min !== undefined && value < descriptor.min) || (descriptor.max !== undefined && value > descriptor.max)) {
+        return { success: false, error: `${descriptor.label} must be between ${descriptor.min} and ${descriptor.max}` };
+      }
+
+      setOption(options, key, value);
+    }
+
+    const error = typeof GameClass.validateOptions === 'function' ? GameClass.validateOptions(options) : null;
+    if (error) {
+      return { success: false, error };
+    }
+
+    return { success: true, options };
+  }
+
+  // Fit a requested room size into what the game supports
+  clampMaxPlayers(gameType, maxPlayers) {
+    const { minPlayers, maxPlayers: limit } = this.getManifest(gameType);
+    const requested = parseInt(maxPlayers, 10) || limit;
+    return Math.max(minPlayers, Math.min(requested, limit));
+  }
+}
+
+// { timers: { submit: 30 } } -> { 'timers.submit': 30 }
+function flattenOptions(input, prefix = '') {
+  const flat = {};
+  for (const [key, value] of Object.entries(input)) {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
+      Object.assign(flat, flattenOptions(value, path));
+    } else {
+      flat[path] = value;
+    }
+  }
+  return flat;
+}
+
+function setOption(options, key, value) {
+  const parts = key.split('.');
+  let target = options;
+  for (const part of parts.slice(0, -1)) {
+    target[part] = target[part] || {};
+    target = target[part];
+  }
+  target[parts[parts.length - 1]] = value;
+}
+
+module.exports = GameRegistry;
@@ -0,0 +1,201 @@
+/**
+ * Matchmaker - Quick Play queue that groups players by their preferences
+ *
+ * Copyright (c) 2024 Degens Against Decency
+ * Licensed under the MIT License
+ * See LICENSE file in the project root for full license information.
+ */
+
+// Onboarding's game mode checkboxes, mapped to game types
+const ONBOARDING_GAME_TYPES = {
+  degens: 'degens-against-decency',
+  truths: '2-truths-and-a-lie',
+  poker: 'poker'
+};
+
+// Onboarding's preferred player count choices
+const PLAYER_COUNTS = {
+  '3-4': { min: 3, max: 4 },
+  '5-6': { min: 5, max: 6 },
+  '7-8': { min: 7, max: 8 }
+};
+
+// Players are matched when they want the same game, their preferred
+// player counts overlap, and they share a playstyle (anyone who didn't
+// pick one gets along with everybody). The oldest entry in the queue
+// anchors each match, so nobody is skipped over for long.
+class Matchmaker {
+  constructor(gameManager, io) {
+    this.gameManager = gameManager;
+    this.io = io;
+    this.queue = [];
+  }
+
+  // Onboarding answers from either Supabase (snake_case) or the in-memory
+  // profile store (camelCase)
+  static preferencesFromProfile(profile) {
+    const source = profile || {};
+    const gameModes = source.game_modes || source.gameModes || [];
+    const playstyle = source.playstyle || [];
+    return {
+      gameTypes: gameModes.map(mode => ONBOARDING_GAME_TYPES[mode]).filter(Boolean),
+      playerCount: source.preferred_player_count || source.preferredPlayerCount || 'any',
+      playstyles: Array.isArray(playstyle) ? playstyle : [playstyle]
+    };
+  }
+
+  // Queue a socket's player once their preferences have loaded. A socket
+  // that disconnected while they loaded has already been cleared from the
+  // queue, so it isn't added back.
+  async joinSocket(socket, loadPreferences, gameType = null) {
+    const preferences = await loadPreferences(socket.user.id);
+    if (!socket.connected) {
+      return { success: false, error: 'Disconnected' };
+    }
+    return this.join({ id: socket.user.id, username: socket.user.username }, socket.id, preferences, gameType);
+  }
+
+  // `gameType` picks one game; otherwise the player's onboarding choices
+  // (or every game, if they made none) are used
+  join(user, socketId, preferences = {}, gameType = null) {
+    if (gameType && !this.gameManager.registry.has(gameType)) {
+      return { success: false, error: 'Invalid game type' };
+    }
+
+    const allTypes = this.gameManager.registry.list().map(m => m.id);
+    const preferred = (preferences.gameTypes || []).filter(type => allTypes.includes(type));
+    const gameTypes = gameType ? [gameType] : (preferred.length > 0 ? preferred : allTypes);
+
+    this.leave(user.id);
+    this.queue.push({
+      user: { id: user.id, username: user.username },
+      socketId,
+      gameTypes,
+      playerCount: PLAYER_COUNTS[preferences.playerCount] || null,
+      playstyles: preferences.playstyles || []
+    });
+
+    // A newcomer can complete more than one group
+    let ownGame = null;
+    let match;
+    while ((match = this.findMatch())) {
+      if (match.playerIds.includes(user.id)) {
+        ownGame = match.gameId;
+      }
+    }
+
+    this.broadcastQueue();
+    return ownGame
+      ? { success: true, matched: true, gameId: ownGame }
+      : { success: true, matched: false, gameTypes };
+  }
+
+  leave(userId) {
+    const before = this.queue.length;
+    this.queue = this.queue.filter(entry => entry.user.id !== userId);
+    if (this.queue.length !== before) {
+      this.broadcastQueue();
+    }
+  }
+
+  // Drop a disconnected socket's entry
+  leaveBySocket(socketId) {
+    const entry = this.queue.find(e => e.socketId === socketId);
+    if (entry) {
+      this.leave(entry.user.id);
+    }
+  }
+
+  sharesPlaystyle(a, b) {
+    return a.playstyles.length === 0 || b.playstyles.length === 0 ||
+      a.playstyles.some(style => b.playstyles.includes(style));
+  }
+
+  // Seat range the entry accepts for a game, within the game's own limits
+  seatRange(entry, manifest) {
+    const wanted = entry.playerCount || { min: manifest.minPlayers, max: manifest.maxPlayers };
+    return {
+      min: Math.max(wanted.min, manifest.minPlayers),
+      max: Math.min(wanted.max, manifest.maxPlayers)
+    };
+  }
+
+  // Build a group around the longest-waiting player first; open a room
+  // for the first group that is big enough for everyone in it
+  findMatch() {
+    for (const anchor of this.queue) {
+      for (const gameType of anchor.gameTypes) {
+        const manifest = this.gameManager.registry.getManifest(gameType);
+        const group = [anchor];
+        let range = this.seatRange(anchor, manifest);
+
+        for (const entry of this.queue) {
+          if (group.length >= range.max) break;
+          if (entry === anchor || !entry.gameTypes.includes(gameType)) continue;
+          if (!group.every(member => this.sharesPlaystyle(member, entry))) continue;
+
+          const entryRange = this.seatRange(entry, manifest);
+          const overlap = { min: Math.max(range.min, entryRange.min), max: Math.min(range.max, entryRange.max) };
+          if (overlap.min > overlap.max || group.length + 1 > overlap.max) continue;
+
+          group.push(entry);
+          range = overlap;
+        }
+
+        if (range.min <= range.max && group.length >= range.min) {
+          return this.createMatch(gameType, group, range.max);
+        }
+      }
+    }
+    return null;
+  }
+
+  // The anchor hosts; everyone is seated before they are told, so the game
+  // page only has to reconnect them
+  createMatch(gameType, group, maxPlayers) {
+    const [host, ...others] = group.map(entry => entry.user);
+    const game = this.gameManager.createGame(gameType, host, false, maxPlayers, {}, null, { name: 'Quick Play' });
+    for (const user of others) {
+      this.gameManager.joinGame(game.id, user, null);
+    }
+
+    this.queue = this.queue.filter(entry => !group.includes(entry));
+    for (const entry of group) {
+      this.attachSocket(game.id, entry);
+      this.io.to(entry.socketId).emit('quick-play-matched', { gameId: game.id, gameType });
+    }
+    console.log(`⚡ Quick Play matched ${group.length} players into ${gameType} (${game.id})`);
+
+    return { gameId: game.id, gameType, playerIds: group.map(entry => entry.user.id) };
+  }
+
+  // Tie a seated player to the socket they queued from, so a player who
+  // never reaches the game page loses the seat after the usual reconnect
+  // grace period rather than holding it until the room expires
+  attachSocket(gameId, entry) {
+    const socket = this.io.sockets.sockets.get(entry.socketId);
+    if (socket && socket.connected) {
+      socket.join(gameId);
+      socket.gameId = gameId;
+      socket.isSpectator = false;
+    } else {
+      this.gameManager.disconnectPlayer(gameId, entry.user.id);
+    }
+  }
+
+  // Tell everyone still waiting how many others are queued for their games
+  broadcastQueue() {
+    for (const entry of this.queue) {
+      const waiting = this.queue.filter(other => other.gameTypes.some(type => entry.gameTypes.includes(type))).length;
+      this.io.to(entry.socketId).emit('quick-play-queued', { gameTypes: entry.gameTypes, waiting });
+    }
+  }
+
+  getQueueSize() {
+    return this.queue.length;
+  }
+}
+
+Matchmaker.ONBOARDING_GAME_TYPES = ONBOARDING_GAME_TYPES;
+
+module.exports = Matchmaker;
@@ -0,0 +1,200 @@
+/**
+ * Payload Schemas - Shapes of socket event arguments and REST request bodies
+ *
+ * Copyright (c) 2024 Degens Against Decency
+ * Licensed under the MIT License
+ * See LICENSE file in the project root for full license information.
+ */
+
+// Schemas for what clients send (see Validator for the format). They check
+// shape and size only; rules that depend on a game or tournament stay with
+// that code, and game actions are checked against the game's own
+// actionSchemas once they reach it.
+
+const { validate, INVALID_PAYLOAD } = require('./Validator');
+const { PACK_SCHEMA, CONTENT_RATINGS, VISIBILITIES } = require('./CardPack');
+const { MAX_ROOM_NAME_LENGTH, MAX_ROOM_DESCRIPTION_LENGTH } = require('./GameManager');
+const { MAX_PASSWORD_LENGTH } = require('./RoomPassword');
+const { MAX_TOURNAMENT_NAME_LENGTH } = require('./TournamentManager');
+
+const MAX_CHAT_MESSAGE_LENGTH = 500;
+const MAX_FEEDBACK_COMMENT_LENGTH = 2000;
+const MAX_PACK_CSV_LENGTH = 500000;
+
+const id = (label) => ({ type: 'string', label, minLength: 1, maxLength: 100 });
+const required = (schema) => ({ ...schema, required: true });
+const text = (label, maxLength) => ({ type: 'string', label, maxLength });
+const choices = (label, values) => ({ type: 'array', label, maxItems: values.length, items: { type: 'string', enum: values } });
+const rating = (label) => ({ type: 'integer', label, min: 1, max: 5 });
+
+// Socket events: one schema per positional argument
+const socketEvents = {
+  'join-lobby': [],
+  'quick-play': [{ ...id('Game type'), nullable: true }],
+  'quick-play-cancel': [],
+  'request-lobby-update': [],
+  'join-game': [required(id('Game ID')), text('Password', MAX_PASSWORD_LENGTH)],
+  'rejoin-game': [required(id('Game ID'))],
+  'spectate-game': [required(id('Game ID')), text('Password', MAX_PASSWORD_LENGTH)],
+  'leave-game': [],
+  'game-action': [{
+    type: 'object',
+    required: true,
+    label: 'Action',
+    properties: { type: required(id('Action type')) },
+    additionalProperties: true
+  }],
+  'rematch-vote': [{ type: 'boolean', label: 'Vote' }],
+  'start-rematch': [{ type: 'object', label: 'Rematch options', nullable: true, properties: { rotate: { type: 'boolean' } } }],
+  'kick-player': [required(id('Player'))],
+  'ban-player': [required(id('Player'))],
+  'unban-player': [required(id('Player'))],
+  'transfer-host': [required(id('Player'))],
+  'lock-room': [{ type: 'boolean', label: 'Locked' }],
+  'add-bot': [id('Bot style')],
+  'chat-message': [{
+    type: 'object',
+    required: true,
+    label: 'Chat message',
+    properties: { message: { type: 'string', required: true, label: 'Message', minLength: 1, maxLength: MAX_CHAT_MESSAGE_LENGTH } }
+  }]
+};
+
+const profile = {
+  type: 'object',
+  label: 'Profile',
+  properties: {
+    displayName: text('Display name', 50),
+    bio: text('Bio', 500),
+    experience: { type: 'string', label: 'Experience', enum: ['', 'newbie', 'casual', 'veteran', 'degen'] },
+    gameModes: choices('Game modes', ['degens', 'truths', 'poker']),
+    preferredPlayerCount: { type: 'string', label: 'Preferred player count', enum: ['3-4', '5-6', '7-8', 'any'] },
+    playstyle: choices('Playstyle', ['competitive', 'casual', 'social', 'chaos']),
+    contentFilter: { type: 'string', label: 'Content filter', enum: ['none', 'mild', 'moderate', 'strict'] },
+    privacy: choices('Privacy settings', ['publicProfile', 'allowFriendRequests', 'showOnlineStatus']),
+    notifications: choices('Notifications', ['gameInvites', 'friendActivity', 'achievements'])
+  }
+};
+
+// REST request bodies, keyed by "METHOD /path" as registered with Express
+const routes = {
+  'POST /api/user/onboarding': profile,
+  'PUT /api/user/profile': profile,
+  'POST /api/games': {
+    type: 'object',
+    label: 'Game',
+    properties: {
+      gameType: required(id('Game type')),
+      isPrivate: { type: 'boolean', label: 'Private' },
+      maxPlayers: { type: 'integer', label: 'Max players', nullable: true },
+      options: { type: 'object', label: 'Options', additionalProperties: true },
+      seed: { type: 'integer', label: 'Seed', min: 0, max: 0xFFFFFFFF, nullable: true },
+      name: text('Room name', MAX_ROOM_NAME_LENGTH),
+      description: text('Room description', MAX_ROOM_DESCRIPTION_LENGTH),
+      mode: id('Mode'),
+      password: text('Password', MAX_PASSWORD_LENGTH)
+    }
+  },
+  'POST /api/tournaments': {
+    type: 'object',
+    label: 'Tournament',
+    properties: {
+      name: required(text('Tournament name', MAX_TOURNAMENT_NAME_LENGTH)),
+      gameType: required(id('Game type')),
+      format: id('Format'),
+      rounds: { type: 'integer', label: 'Rounds', nullable: true },
+      options: { type: 'object', label: 'Options', additionalProperties: true },
+      mode: id('Mode'),
+      discordChannelIds: { type: ['array', 'string'], label: 'Discord channels', maxItems: 10, items: id('Discord channel') }
+    }
+  },
+  'POST /api/packs': PACK_SCHEMA,
+  'PUT /api/packs/:packId': PACK_SCHEMA,
+  'POST /api/packs/import': {
+    type: 'object',
+    label: 'Import',
+    properties: {
+      csv: { type: 'string', required: true, label: 'CSV', minLength: 1, maxLength: MAX_PACK_CSV_LENGTH },
+      name: { type: 'string', required: true, label: 'Pack name', minLength: 1, maxLength: 100 },
+      description: text('Pack description', 500),
+      author: text('Author', 100),
+      contentRating: { type: 'string', label: 'Content rating', enum: CONTENT_RATINGS },
+      visibility: { type: 'string', label: 'Visibility', enum: VISIBILITIES }
+    }
+  },
+  'POST /api/tournaments/:tournamentId/tables/:tableId/result': {
+    type: 'object',
+    label: 'Result',
+    properties: { winnerId: required(id('Winner')) }
+  },
+  'POST /api/integrations/tiltcheck/register': {
+    type: 'object',
+    label: 'Registration',
+    properties: {
+      playerId: required(id('Player')),
+      options: { type: 'object', label: 'Options', additionalProperties: true }
+    }
+  },
+  'POST /api/integrations/justthetip/register-wallet': {
+    type: 'object',
+    label: 'Wallet',
+    properties: {
+      userId: required(id('User')),
+      walletAddress: required({ ...id('Wallet address'), maxLength: 200 })
+    }
+  },
+  'POST /api/integrations/justthetip/tip': {
+    type: 'object',
+    label: 'Tip',
+    properties: {
+      fromUserId: required(id('Sender')),
+      toUserId: required(id('Recipient')),
+      amount: { type: 'number', required: true, label: 'Amount', min: 0 },
+      currency: id('Currency'),
+      context: { type: 'object', label: 'Context', additionalProperties: true }
+    }
+  },
+  'POST /api/feedback': {
+    type: 'object',
+    label: 'Feedback',
+    properties: {
+      gameId: required(id('Game ID')),
+      userId: required(id('User')),
+      timestamp: text('Timestamp', 50),
+      ratings: {
+        type: 'object',
+        label: 'Ratings',
+        properties: {
+          roundTiming: rating('Round timing rating'),
+          instructionHelpfulness: rating('Instruction rating'),
+          overallExperience: rating('Overall rating')
+        }
+      },
+      comment: text('Comment', MAX_FEEDBACK_COMMENT_LENGTH)
+    }
+  }
+};
+
+// Check a socket event's arguments against its schemas. Events without a
+// schema are rejected, so new events can't skip validation by accident.
+function validateEventArgs(event, args) {
+  const schemas = socketEvents[event];
+  if (!schemas) {
+    return { success: false, code: INVALID_PAYLOAD, field: null, error: `Unknown event: ${event}` };
+  }
+
+  for (let i = 0; i < schemas.length; i++) {
+    const result = validate(schemas[i], args[i]);
+    if (!result.success) {
+      return result;
+    }
+  }
+  return { success: true };
+}
+
+module.exports = {
+  socketEvents,
+  routes,
+  validateEventArgs,
+  MAX_CHAT_MESSAGE_LENGTH
+};
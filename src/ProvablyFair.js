@@ -0,0 +1,89 @@
+/**
+ * Provably Fair - Commit-reveal shuffling that players can verify
+ *
+ * Copyright (c) 2024 Degens Against Decency
+ * Licensed under the MIT License
+ * See LICENSE file in the project root for full license information.
+ */
+
+const crypto = require('crypto');
+
+// How a deck is derived, so anyone can re-implement the check:
+//   1. Before dealing, the server publishes sha256(serverSeed).
+//   2. Players contribute client seeds; they are combined in seat order.
+//   3. A byte stream is built from HMAC-SHA256(key = serverSeed,
+//      message = `${clientSeed}:${counter}`) for counter = 0, 1, 2, ...
+//   4. Fisher-Yates runs from the last card down; each swap index is the
+//      next big-endian uint32 from the stream, rejection-sampled so every
+//      index in [0, i] is equally likely.
+//   5. The server seed is revealed when the hand ends.
+const ALGORITHM = 'HMAC-SHA256 Fisher-Yates';
+const MAX_CLIENT_SEED_LENGTH = 64;
+
+function generateServerSeed() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+// Only for games created with an explicit (development) seed, which must
+// deal the same cards every time. Every other hand, rematches included,
+// commits to generateServerSeed(): a seed derived from a 32-bit number
+// could be found by trying them all against the published hash.
+function deriveServerSeed(seed) {
+  return crypto.createHash('sha256').update(`seeded-game:${seed}`).digest('hex');
+}
+
+function hashServerSeed(serverSeed) {
+  return crypto.createHash('sha256').update(serverSeed).digest('hex');
+}
+
+// Seeds are keyed by player so nobody can claim someone else's
+// contribution. Empty if nobody contributed one.
+function combineClientSeeds(players, clientSeeds) {
+  return players
+    .filter(p => clientSeeds.has(p.id))
+    .map(p => `${p.id}=${clientSeeds.get(p.id)}`)
+    .join('|');
+}
+
+function createByteStream(serverSeed, clientSeed) {
+  let counter = 0;
+  let buffer = Buffer.alloc(0);
+
+  return function nextUint32() {
+    if (buffer.length < 4) {
+      const block = crypto.createHmac('sha256', serverSeed).update(`${clientSeed}:${counter++}`).digest();
+      buffer = Buffer.concat([buffer, block]);
+    }
+    const value = buffer.readUInt32BE(0);
+    buffer = buffer.subarray(4);
+    return value;
+  };
+}
+
+// Shuffle a copy of `items`; the same seeds always give the same order
+function shuffle(items, serverSeed, clientSeed) {
+  const result = [...items];
+  const nextUint32 = createByteStream(serverSeed, clientSeed);
+
+  for (let i = result.length - 1; i > 0; i--) {
+    const range = i + 1;
+    const limit = 0x100000000 - (0x100000000 % range);
+    let value;
+    do {
+      value = nextUint32();
+    } while (value >= limit);
+    const j = value % range;
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+}
+
+module.exports = {
+  ALGORITHM,
+  MAX_CLIENT_SEED_LENGTH,
+  generateServerSeed,
+  deriveServerSeed,
+  hashServerSeed,
+  combineClientSeeds,
+  shuffle
+};
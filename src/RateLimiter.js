@@ -0,0 +1,134 @@
+/**
+ * Rate Limiter - Token buckets for socket events and API routes, plus chat mutes
+ *
+ * Copyright (c) 2024 Degens Against Decency
+ * Licensed under the MIT License
+ * See LICENSE file in the project root for full license information.
+ */
+
+// Budgets per bucket: `burst` requests at once, refilled at `perMinute`.
+// Each can be changed with RATE_LIMIT_<BUCKET>_PER_MINUTE (0 turns the
+// bucket off).
+const DEFAULT_BUDGETS = {
+  chat: { burst: 5, perMinute: 20 },
+  action: { burst: 20, perMinute: 120 },
+  socket: { burst: 20, perMinute: 120 },
+  api: { burst: 60, perMinute: 300 },
+  // Rooms and tournaments can trigger paid AI card generation
+  create: { burst: 3, perMinute: 6 }
+};
+
+// Chat messages dropped for being over budget before the sender is muted
+const DEFAULT_CHAT_STRIKES = 3;
+const DEFAULT_MUTE_SECONDS = 60;
+
+// Buckets untouched this long have refilled and are dropped
+const IDLE_BUCKET_MS = 10 * 60 * 1000;
+const PRUNE_SECONDS = 60;
+
+class RateLimiter {
+  constructor(options = {}) {
+    this.budgets = {};
+    for (const [name, fallback] of Object.entries(DEFAULT_BUDGETS)) {
+      const fromEnv = parseFloat(process.env[`RATE_LIMIT_${name.toUpperCase()}_PER_MINUTE`]);
+      const perMinute = options.budgets?.[name]?.perMinute ?? (Number.isFinite(fromEnv) ? fromEnv : fallback.perMinute);
+      this.budgets[name] = { burst: options.budgets?.[name]?.burst ?? fallback.burst, perMinute };
+    }
+
+    this.chatStrikes = options.chatStrikes ?? DEFAULT_CHAT_STRIKES;
+    this.muteSeconds = options.muteSeconds ??
+      (parseInt(process.env.CHAT_MUTE_SECONDS, 10) || DEFAULT_MUTE_SECONDS);
+
+    this.buckets = new Map(); // `${bucket}:${key}` -> { tokens, updatedAt }
+    this.strikes = new Map(); // key -> chat messages dropped in a row
+    this.mutes = new Map();   // key -> muted until (ms)
+    this.timer = null;
+  }
+
+  start() {
+    if (!this.timer) {
+      this.timer = setInterval(() => this.prune(), PRUNE_SECONDS * 1000);
+      this.timer.unref();
+    }
+    return this;
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // Take one token from `key`'s bucket. Fails with how long to wait when
+  // the bucket is empty.
+  consume(bucket, key, now = Date.now()) {
+    const budget = this.budgets[bucket];
+    if (!budget || !budget.perMinute) {
+      return { success: true };
+    }
+
+    const id = `${bucket}:${key}`;
+    const state = this.buckets.get(id) || { tokens: budget.burst, updatedAt: now };
+    const refillPerMs = budget.perMinute / 60000;
+    state.tokens = Math.min(budget.burst, state.tokens + (now - state.updatedAt) * refillPerMs);
+    state.updatedAt = now;
+    this.buckets.set(id, state);
+
+    if (state.tokens < 1) {
+      return { success: false, retryAfterSeconds: Math.ceil((1 - state.tokens) / refillPerMs / 1000) };
+    }
+    state.tokens -= 1;
+    return { success: true };
+  }
+
+  // Chat goes through the chat bucket; repeatedly hitting its limit mutes
+  // the sender for a while
+  consumeChat(key, now = Date.now()) {
+    const mutedUntil = this.getMutedUntil(key, now);
+    if (mutedUntil) {
+      return { success: false, mutedUntil };
+    }
+
+    const result = this.consume('chat', key, now);
+    if (result.success) {
+      this.strikes.delete(key);
+      return result;
+    }
+
+    const strikes = (this.strikes.get(key) || 0) + 1;
+    if (strikes >= this.chatStrikes) {
+      this.strikes.delete(key);
+      return { success: false, mutedUntil: this.mute(key, this.muteSeconds, now) };
+    }
+    this.strikes.set(key, strikes);
+    return result;
+  }
+
+  mute(key, seconds, now = Date.now()) {
+    const until = now + seconds * 1000;
+    this.mutes.set(key, until);
+    return until;
+  }
+
+  getMutedUntil(key, now = Date.now()) {
+    const until = this.mutes.get(key);
+    if (until && until <= now) {
+      this.mutes.delete(key);
+      return null;
+    }
+    return until || null;
+  }
+
+  // Forget idle buckets and mutes that have run out
+  prune(now = Date.now()) {
+    for (const [id, state] of this.buckets) {
+      if (now - state.updatedAt > IDLE_BUCKET_MS) {
+        this.buckets.delete(id);
+      }
+    }
+    for (const key of this.mutes.keys()) {
+      this.getMutedUntil(key, now);
+    }
+  }
+}
+
+module.exports = RateLimiter;
@@ -0,0 +1,37 @@
+/**
+ * Room Password - Salted hashing for password-protected rooms
+ *
+ * Copyright (c) 2024 Degens Against Decency
+ * Licensed under the MIT License
+ * See LICENSE file in the project root for full license information.
+ */
+
+const crypto = require('crypto');
+
+const MAX_PASSWORD_LENGTH = 64;
+const KEY_LENGTH = 32;
+
+// Stored as "<salt>:<scrypt hash>", both hex. The plain password is never
+// kept, logged or sent back to clients.
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = crypto.scryptSync(password, salt, KEY_LENGTH).toString('hex');
+  return `${salt}:${hash}`;
+}
+
+function verifyPassword(password, stored) {
+  if (typeof password !== 'string' || typeof stored !== 'string') return false;
+
+  const [salt, hash] = stored.split(':');
+  if (!salt || !hash) return false;
+
+  const expected = Buffer.from(hash, 'hex');
+  const actual = crypto.scryptSync(password, salt, KEY_LENGTH);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+module.exports = {
+  MAX_PASSWORD_LENGTH,
+  hashPassword,
+  verifyPassword
+};
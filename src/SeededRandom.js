@@ -0,0 +1,51 @@
+/**
+ * Seeded Random - Deterministic pseudo-random number generator
+ *
+ * Copyright (c) 2024 Degens Against Decency
+ * Licensed under the MIT License
+ * See LICENSE file in the project root for full license information.
+ */
+
+const crypto = require('crypto');
+
+class SeededRandom {
+  constructor(seed = SeededRandom.generateSeed()) {
+    this.seed = seed >>> 0;
+    this.state = this.seed;
+  }
+
+  static generateSeed() {
+    return crypto.randomBytes(4).readUInt32BE(0);
+  }
+
+  // mulberry32 - returns a float in [0, 1), same sequence for the same seed
+  next() {
+    this.state = (this.state + 0x6D2B79F5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  // Integer in [0, max)
+  nextInt(max) {
+    return Math.floor(this.next() * max);
+  }
+
+  // Seed for a child generator, so one seed can drive a whole game
+  nextSeed() {
+    return Math.floor(this.next() * 4294967296) >>> 0;
+  }
+
+  // Fisher-Yates shuffle in place - every ordering is equally likely,
+  // unlike sort(() => Math.random() - 0.5)
+  shuffle(array) {
+    for (let i = array.length - 1; i > 0; i--) {
+      const j = this.nextInt(i + 1);
+      [array[i], array[j]] = [array[j], array[i]];
+    }
+    return array;
+  }
+}
+
+module.exports = SeededRandom;
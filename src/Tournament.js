@@ -0,0 +1,253 @@
+/**
+ * Tournament - Entrants, table seating, rounds and standings
+ *
+ * Copyright (c) 2024 Degens Against Decency
+ * Licensed under the MIT License
+ * See LICENSE file in the project root for full license information.
+ */
+
+const SeededRandom = require('./SeededRandom');
+
+const FORMATS = ['elimination', 'swiss'];
+const MAX_ENTRANTS = 128;
+
+// Formats:
+//   elimination - each table's winner goes through to the next round until
+//                 one player is left. If too few winners remain to fill a
+//                 table, the best runners-up make up the numbers.
+//   swiss       - everyone plays a fixed number of rounds. Each round seats
+//                 players with similar records together; placing ahead of
+//                 someone at your table is worth a point.
+//
+// The tournament itself knows nothing about games: TournamentManager opens
+// a game room per table and reports each table's final scores back.
+class Tournament {
+  constructor(id, organizer, settings) {
+    this.id = id;
+    this.organizer = { id: organizer.id, username: organizer.username };
+    this.name = settings.name;
+    this.gameType = settings.gameType;
+    this.format = settings.format;
+    this.totalRounds = settings.rounds || null; // Swiss only
+    this.minTableSize = settings.minTableSize;
+    this.maxTableSize = settings.maxTableSize;
+    this.options = settings.options || {};
+    this.mode = settings.mode || 'classic';
+    this.discordChannelIds = settings.discordChannelIds || [];
+    this.status = 'registering'; // registering, running, finished
+    this.createdAt = new Date();
+    this.entrants = [];
+    this.rounds = [];
+    this.standings = new Map();
+    this.championId = null;
+    this.rng = new SeededRandom(settings.seed);
+  }
+
+  register(user) {
+    if (this.status !== 'registering') {
+      return { success: false, error: 'Registration is closed' };
+    }
+    if (this.entrants.some(e => e.id === user.id)) {
+      return { success: false, error: 'Already registered' };
+    }
+    if (this.entrants.length >= MAX_ENTRANTS) {
+      return { success: false, error: 'Tournament is full' };
+    }
+
+    this.entrants.push({ id: user.id, username: user.username });
+    this.standings.set(user.id, { points: 0, wins: 0, played: 0, eliminated: false });
+    return { success: true };
+  }
+
+  unregister(userId) {
+    if (this.status !== 'registering') {
+      return { success: false, error: 'Registration is closed' };
+    }
+    if (!this.entrants.some(e => e.id === userId)) {
+      return { success: false, error: 'Not registered' };
+    }
+
+    this.entrants = this.entrants.filter(e => e.id !== userId);
+    this.standings.delete(userId);
+    return { success: true };
+  }
+
+  start() {
+    if (this.status !== 'registering') {
+      return { success: false, error: 'Tournament already started' };
+    }
+    if (this.entrants.length < this.minTableSize) {
+      return { success: false, error: `Need at least ${this.minTableSize} entrants to start` };
+    }
+
+    this.status = 'running';
+    // Round one is drawn at random
+    const order = this.rng.shuffle(this.entrants.map(e => e.id));
+    return { success: true, round: this.addRound(order) };
+  }
+
+  // Split players into as few tables as the size limit allows, as evenly
+  // as possible. Elimination deals players across tables like cards so the
+  // strongest are spread out; Swiss keeps neighbours in the order together.
+  seatTables(playerIds) {
+    const count = Math.ceil(playerIds.length / this.maxTableSize);
+    const tables = Array.from({ length: count }, () => []);
+
+    if (this.format === 'elimination') {
+      playerIds.forEach((playerId, index) => {
+        const lap = Math.floor(index / count);
+        const position = index % count;
+        tables[lap % 2 === 0 ? position : count - 1 - position].push(playerId);
+      });
+    } else {
+      let next = 0;
+      tables.forEach((table, index) => {
+        const size = Math.floor(playerIds.length / count) + (index < playerIds.length % count ? 1 : 0);
+        table.push(...playerIds.slice(next, next + size));
+        next += size;
+      });
+    }
+    return tables;
+  }
+
+  addRound(playerIds) {
+    const number = this.rounds.length + 1;
+    const round = {
+      number,
+      tables: this.seatTables(playerIds).map((seats, index) => ({
+        id: `r${number}t${index + 1}`,
+        number: index + 1,
+        playerIds: seats,
+        gameId: null,
+        results: null,
+        winnerId: null
+      }))
+    };
+    this.rounds.push(round);
+    return round;
+  }
+
+  get currentRound() {
+    return this.rounds[this.rounds.length - 1] || null;
+  }
+
+  findTable(tableId) {
+    const round = this.currentRound;
+    return round ? round.tables.find(t => t.id === tableId) || null : null;
+  }
+
+  // Record a finished table. `scores` maps player ID to final game score;
+  // players are placed by score, ties broken by seat order. Returns the
+  // next round (or null) once every table in the round is done.
+  recordTable(tableId, scores) {
+    if (this.status !== 'running') {
+      return { success: false, error: 'Tournament is not running' };
+    }
+
+    const table = this.findTable(tableId);
+    if (!table) {
+      return { success: false, error: 'Table not found in the current round' };
+    }
+    if (table.results) {
+      return { success: false, error: 'Table already has a result' };
+    }
+
+    const placed = [...table.playerIds].sort((a, b) => (scores[b] || 0) - (scores[a] || 0));
+    table.results = placed.map((playerId, place) => ({ playerId, place: place + 1, score: scores[playerId] || 0 }));
+    table.winnerId = placed[0];
+
+    placed.forEach((playerId, place) => {
+      const standing = this.standings.get(playerId);
+      standing.played++;
+      standing.points += placed.length - 1 - place;
+      if (place === 0) {
+        standing.wins++;
+      } else if (this.format === 'elimination') {
+        standing.eliminated = true;
+      }
+    });
+
+    if (this.currentRound.tables.some(t => !t.results)) {
+      return { success: true, nextRound: null };
+    }
+    return { success: true, nextRound: this.advance() };
+  }
+
+  advance() {
+    const ranked = this.getStandings().map(s => s.id);
+
+    if (this.format === 'swiss') {
+      if (this.rounds.length >= this.totalRounds) {
+        return this.finish(ranked[0]);
+      }
+      return this.addRound(ranked);
+    }
+
+    const winners = this.currentRound.tables.map(t => t.winnerId);
+    if (winners.length === 1) {
+      return this.finish(winners[0]);
+    }
+
+    // Not enough winners for a table: bring back the best runners-up
+    const advancing = ranked.filter(id => winners.includes(id));
+    for (const id of ranked) {
+      if (advancing.length >= this.minTableSize) break;
+      if (!advancing.includes(id) && this.currentRound.tables.some(t => t.playerIds.includes(id))) {
+        advancing.push(id);
+        this.standings.get(id).eliminated = false;
+      }
+    }
+    return this.addRound(advancing);
+  }
+
+  finish(championId) {
+    this.status = 'finished';
+    this.championId = championId;
+    return null;
+  }
+
+  // Best first: the champion, then (in elimination) whoever got furthest,
+  // then points, table wins and registration order
+  getStandings() {
+    const reached = (s) => (this.format === 'elimination' ? s.played : 0);
+    return this.entrants
+      .map((entrant, order) => ({ ...entrant, ...this.standings.get(entrant.id), order }))
+      .sort((a, b) => (b.id === this.championId) - (a.id === this.championId) || reached(b) - reached(a) ||
+        b.points - a.points || b.wins - a.wins || a.order - b.order)
+      .map(({ order, ...standing }, index) => ({ rank: index + 1, ...standing }));
+  }
+
+  getSummary() {
+    return {
+      id: this.id,
+      name: this.name,
+      gameType: this.gameType,
+      format: this.format,
+      status: this.status,
+      organizer: this.organizer,
+      entrantCount: this.entrants.length,
+      currentRound: this.rounds.length,
+      totalRounds: this.totalRounds,
+      createdAt: this.createdAt
+    };
+  }
+
+  getState() {
+    return {
+      ...this.getSummary(),
+      minTableSize: this.minTableSize,
+      maxTableSize: this.maxTableSize,
+      options: this.options,
+      mode: this.mode,
+      entrants: this.entrants,
+      rounds: this.rounds,
+      standings: this.getStandings(),
+      championId: this.championId
+    };
+  }
+}
+
+Tournament.FORMATS = FORMATS;
+Tournament.MAX_ENTRANTS = MAX_ENTRANTS;
+
+module.exports = Tournament;
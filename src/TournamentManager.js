@@ -0,0 +1,207 @@
+/**
+ * Tournament Manager - Runs tournaments on top of GameManager
+ *
+ * Copyright (c) 2024 Degens Against Decency
+ * Licensed under the MIT License
+ * See LICENSE file in the project root for full license information.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const Tournament = require('./Tournament');
+
+const MAX_TOURNAMENT_NAME_LENGTH = 50;
+const MAX_SWISS_ROUNDS = 10;
+
+// Every table is a private game room named after its round and table.
+// When a table's game finishes, its scores go back to the tournament;
+// once every table in a round is done, the next round's rooms open.
+class TournamentManager {
+  constructor(gameManager, discordBot = null) {
+    this.gameManager = gameManager;
+    this.discordBot = discordBot;
+    this.tournaments = new Map();
+    this.tablesByGame = new Map(); // gameId -> { tournamentId, tableId }
+  }
+
+  // Throws on invalid settings, like GameManager.createGame()
+  createTournament(organizer, settings = {}) {
+    const { gameType, mode = 'classic' } = settings;
+    const format = settings.format || 'elimination';
+    const name = typeof settings.name === 'string' ? settings.name.trim() : '';
+
+    if (!this.gameManager.registry.has(gameType)) {
+      throw new Error('Invalid game type');
+    }
+    if (!Tournament.FORMATS.includes(format)) {
+      throw new Error(`Format must be one of: ${Tournament.FORMATS.join(', ')}`);
+    }
+    if (!name || name.length > MAX_TOURNAMENT_NAME_LENGTH) {
+      throw new Error(`Tournament name must be 1-${MAX_TOURNAMENT_NAME_LENGTH} characters`);
+    }
+
+    let rounds = null;
+    if (format === 'swiss') {
+      rounds = Number(settings.rounds ?? 3);
+      if (!Number.isInteger(rounds) || rounds < 1 || rounds > MAX_SWISS_ROUNDS) {
+        throw new Error(`Swiss rounds must be between 1 and ${MAX_SWISS_ROUNDS}`);
+      }
+    }
+
+    // Table rooms are created later, so catch bad rules now
+    const validation = this.gameManager.registry.validateOptions(gameType, settings.options || {}, mode);
+    if (!validation.success) {
+      throw new Error(validation.error);
+    }
+
+    const channelIds = settings.discordChannelIds || [];
+    const discordChannelIds = (Array.isArray(channelIds) ? channelIds : [channelIds])
+      .filter(id => typeof id === 'string' && /^\d+$/.test(id));
+
+    const manifest = this.gameManager.registry.getManifest(gameType);
+    const tournament = new Tournament(uuidv4(), organizer, {
+      name,
+      gameType,
+      format,
+      rounds,
+      minTableSize: manifest.minPlayers,
+      maxTableSize: manifest.maxPlayers,
+      options: settings.options || {},
+      mode,
+      discordChannelIds
+    });
+    this.tournaments.set(tournament.id, tournament);
+    return tournament;
+  }
+
+  getTournament(tournamentId) {
+    return this.tournaments.get(tournamentId);
+  }
+
+  listTournaments() {
+    return Array.from(this.tournaments.values()).map(t => t.getSummary());
+  }
+
+  register(tournamentId, user) {
+    const tournament = this.tournaments.get(tournamentId);
+    if (!tournament) {
+      return { success: false, error: 'Tournament not found' };
+    }
+    return tournament.register(user);
+  }
+
+  unregister(tournamentId, userId) {
+    const tournament = this.tournaments.get(tournamentId);
+    if (!tournament) {
+      return { success: false, error: 'Tournament not found' };
+    }
+    return tournament.unregister(userId);
+  }
+
+  startTournament(tournamentId, userId) {
+    const tournament = this.tournaments.get(tournamentId);
+    if (!tournament) {
+      return { success: false, error: 'Tournament not found' };
+    }
+    if (tournament.organizer.id !== userId) {
+      return { success: false, error: 'Only the organizer can start the tournament' };
+    }
+
+    const result = tournament.start();
+    if (!result.success) {
+      return result;
+    }
+
+    this.openRound(tournament, result.round);
+    return { success: true, tournament: tournament.getState() };
+  }
+
+  // Create a game room per table. The first player seated hosts it.
+  openRound(tournament, round) {
+    for (const table of round.tables) {
+      const [host, ...others] = table.playerIds.map(id => tournament.entrants.find(e => e.id === id));
+      const game = this.gameManager.createGame(
+        tournament.gameType,
+        host,
+        true,
+        table.playerIds.length,
+        tournament.options,
+        null,
+        { name: `${tournament.name} · R${round.number} T${table.number}`, mode: tournament.mode }
+      );
+      for (const player of others) {
+        this.gameManager.joinGame(game.id, player, null);
+      }
+      table.gameId = game.id;
+      this.tablesByGame.set(game.id, { tournamentId: tournament.id, tableId: table.id });
+    }
+
+    this.announce(tournament, 'round', round);
+  }
+
+  // Called by GameManager when any game finishes
+  onGameFinished(game) {
+    const link = this.tablesByGame.get(game.id);
+    if (!link) return;
+
+    this.tablesByGame.delete(game.id);
+    this.recordResult(link.tournamentId, link.tableId, Object.fromEntries(game.scores));
+  }
+
+  // Called by GameManager when a game is removed. A table that never
+  // finished (everyone left, or it sat idle too long) is settled on the
+  // scores so far so the round can still move on; players who walked out
+  // have no score left and place last.
+  onGameRemoved(game) {
+    if (!this.tablesByGame.has(game.id)) return;
+    this.onGameFinished(game);
+  }
+
+  // Organizers can also settle a table by hand (forfeits, games played
+  // elsewhere) by naming its winner
+  reportTableWinner(tournamentId, userId, tableId, winnerId) {
+    const tournament = this.tournaments.get(tournamentId);
+    if (!tournament) {
+      return { success: false, error: 'Tournament not found' };
+    }
+    if (tournament.organizer.id !== userId) {
+      return { success: false, error: 'Only the organizer can report results' };
+    }
+
+    const table = tournament.findTable(tableId);
+    if (!table || !table.playerIds.includes(winnerId)) {
+      return { success: false, error: 'The winner must be seated at that table' };
+    }
+    this.tablesByGame.delete(table.gameId);
+    return this.recordResult(tournamentId, tableId, { [winnerId]: 1 });
+  }
+
+  recordResult(tournamentId, tableId, scores) {
+    const tournament = this.tournaments.get(tournamentId);
+    const result = tournament.recordTable(tableId, scores);
+    if (!result.success) {
+      return result;
+    }
+
+    if (result.nextRound) {
+      this.openRound(tournament, result.nextRound);
+    } else if (tournament.status === 'finished') {
+      this.announce(tournament, 'finished');
+    }
+    return { success: true, tournament: tournament.getState() };
+  }
+
+  announce(tournament, event, round = null) {
+    if (!this.discordBot) return;
+
+    const send = event === 'round'
+      ? this.discordBot.notifyTournamentRound(tournament, round)
+      : this.discordBot.notifyTournamentEnd(tournament);
+    Promise.resolve(send).catch(error => {
+      console.error(`Failed to announce tournament ${tournament.id}:`, error.message);
+    });
+  }
+}
+
+TournamentManager.MAX_TOURNAMENT_NAME_LENGTH = MAX_TOURNAMENT_NAME_LENGTH;
+
+module.exports = TournamentManager;
@@ -0,0 +1,153 @@
+/**
+ * Validator - Declarative checks for socket events, REST bodies and game actions
+ *
+ * Copyright (c) 2024 Degens Against Decency
+ * Licensed under the MIT License
+ * See LICENSE file in the project root for full license information.
+ */
+
+// A schema describes a value in the same spirit as the option descriptors
+// in game manifests, e.g.
+//   { type: 'object', properties: { amount: { type: 'integer', min: 1 } } }
+//
+//   type     - 'string', 'integer', 'number', 'boolean', 'array', 'object'
+//              or 'any'; an array of types accepts any of them
+//   required - the field must be present (fields are optional otherwise)
+//   nullable - null is accepted as "not given"
+//   label    - how the field is named in errors (defaults to its path)
+//   string   - minLength, maxLength, enum, pattern
+//   integer / number - min, max. Either may be a function of the context
+//              passed to validate(), for limits that depend on game state.
+//   array    - items (schema for every element), minItems, maxItems
+//   object   - properties; unknown keys are rejected unless
+//              additionalProperties is true
+//
+// Failures come back as { success: false, error, field, code }, where code
+// is always 'invalid_payload' so callers can tell them from other errors.
+const INVALID_PAYLOAD = 'invalid_payload';
+
+function validate(schema, value, context = {}) {
+  const error = check(schema, value, '', context);
+  return error ? { success: false, code: INVALID_PAYLOAD, ...error } : { success: true, value };
+}
+
+function check(schema, value, path, context) {
+  const label = schema.label || path || 'Payload';
+  const fail = (message) => ({ field: path || null, error: `${label} ${message}` });
+
+  if (value === undefined || (value === null && schema.nullable)) {
+    return schema.required ? fail('is required') : null;
+  }
+
+  const types = Array.isArray(schema.type) ? schema.type : [schema.type || 'any'];
+  const type = types.find(t => matchesType(t, value));
+  if (!type) {
+    return fail(`must be ${types.map(describeType).join(' or ')}`);
+  }
+
+  switch (type) {
+    case 'string':
+      if (schema.minLength !== undefined && value.trim().length < schema.minLength) {
+        return fail(schema.minLength === 1 ? 'cannot be empty' : `must be at least ${schema.minLength} characters`);
+      }
+      if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+        return fail(`must be at most ${schema.maxLength} characters`);
+      }
+      if (schema.enum && !schema.enum.includes(value)) {
+        return fail(`must be one of: ${schema.enum.join(', ')}`);
+      }
+      if (schema.pattern && !schema.pattern.test(value)) {
+        return fail('is not in the expected format');
+      }
+      return null;
+
+    case 'integer':
+    case 'number': {
+      const min = typeof schema.min === 'function' ? schema.min(context) : schema.min;
+      const max = typeof schema.max === 'function' ? schema.max(context) : schema.max;
+      if (min !== undefined && value < min) {
+        return fail(max !== undefined && max >= min ? `must be between ${min} and ${max}` : `must be at least ${min}`);
+      }
+      if (max !== undefined && value > max) {
+        return fail(min !== undefined && max >= min ? `must be between ${min} and ${max}` : `must be at most ${max}`);
+      }
+      return null;
+    }
+
+    case 'array':
+      if (schema.minItems !== undefined && schema.minItems === schema.maxItems && value.length !== schema.minItems) {
+        return fail(`must have exactly ${schema.minItems} items`);
+      }
+      if (schema.minItems !== undefined && value.length < schema.minItems) {
+        return fail(`must have at least ${schema.minItems} items`);
+      }
+      if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+        return fail(`must have at most ${schema.maxItems} items`);
+      }
+      if (schema.items) {
+        for (let i = 0; i < value.length; i++) {
+          const error = check({ required: true, ...schema.items }, value[i], `${path}[${i}]`, context);
+          if (error) return error;
+        }
+      }
+      return null;
+
+    case 'object': {
+      const properties = schema.properties || {};
+      if (!schema.additionalProperties) {
+        const unknown = Object.keys(value).find(key => !(key in properties));
+        if (unknown) {
+          return { field: joinPath(path, unknown), error: `Unknown field: ${joinPath(path, unknown)}` };
+        }
+      }
+      for (const [key, property] of Object.entries(properties)) {
+        const error = check(property, value[key], joinPath(path, key), context);
+        if (error) return error;
+      }
+      return null;
+    }
+
+    default:
+      return null;
+  }
+}
+
+function matchesType(type, value) {
+  switch (type) {
+    case 'string':
+      return typeof value === 'string';
+    case 'integer':
+      return Number.isInteger(value);
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'boolean':
+      return typeof value === 'boolean';
+    case 'array':
+      return Array.isArray(value);
+    case 'object':
+      return value !== null && typeof value === 'object' && !Array.isArray(value);
+    default:
+      return true;
+  }
+}
+
+function describeType(type) {
+  const names = {
+    string: 'text',
+    integer: 'a whole number',
+    number: 'a number',
+    boolean: 'true or false',
+    array: 'a list',
+    object: 'an object'
+  };
+  return names[type] || type;
+}
+
+function joinPath(path, key) {
+  return path ? `${path}.${key}` : key;
+}
+
+module.exports = {
+  validate,
+  INVALID_PAYLOAD
+};
@@ -0,0 +1,90 @@
+/**
+ * Degens Bot - Plays answer cards, judges as Card Czar and votes in Democracy
+ *
+ * Copyright (c) 2024 Degens Against Decency
+ * Licensed under the MIT License
+ * See LICENSE file in the project root for full license information.
+ */
+
+class DegensBot {
+  constructor(player, context) {
+    this.player = player;
+    this.rng = context.rng;
+    this.getAIGateway = context.getAIGateway;
+  }
+
+  async decide(state) {
+    if (state.status !== 'playing' || !state.currentQuestion || state.roundDecided) {
+      return null;
+    }
+
+    // Democracy: vote for the best answer that isn't the bot's own
+    if (state.judgingMode === 'democracy' && state.submissions.length > 0) {
+      const options = state.submissions.filter(s => !s.isOwn);
+      if (state.myVote || options.length === 0) return null;
+      const answers = options.map(s => ({ id: s.slotId, text: s.cards.map(card => card.text).join(' / ') }));
+      const best = await this.pickFunniest(state.currentQuestion, answers);
+      return { type: 'vote', slotId: best.id };
+    }
+
+    if (state.cardCzar && state.cardCzar.id === this.player.id) {
+      if (!state.allSubmitted || state.submissions.length === 0) return null;
+      // Each submission is judged as a whole, by its anonymous slot
+      const answers = state.submissions.map(s => ({ id: s.slotId, text: s.cards.map(card => card.text).join(' / ') }));
+      const best = await this.pickFunniest(state.currentQuestion, answers);
+      return { type: 'judge-submission', slotId: best.id };
+    }
+
+    const pick = state.currentQuestion.pick || 1;
+    const hand = state.playerHands[this.player.id];
+    if (state.submittedPlayers.includes(this.player.id) || !hand || hand.length < pick) {
+      return null;
+    }
+
+    // Lead with the best card, then fill any other blanks from the rest
+    const remaining = [...hand];
+    const cards = [];
+    while (cards.length < pick) {
+      const card = cards.length === 0
+        ? await this.pickFunniest(state.currentQuestion, remaining)
+        : remaining[Math.floor(this.rng.next() * remaining.length)];
+      cards.push(card);
+      remaining.splice(remaining.indexOf(card), 1);
+    }
+    return { type: 'submit-card', cardIds: cards.map(card => card.id) };
+  }
+
+  // The 'ai' style asks the AI gateway which answer is funniest and falls
+  // back to a random pick if it is unavailable
+  async pickFunniest(question, cards) {
+    const randomCard = cards[Math.floor(this.rng.next() * cards.length)];
+    if (this.player.botStyle !== 'ai' || cards.length === 1) {
+      return randomCard;
+    }
+
+    const aiGateway = this.getAIGateway();
+    if (!aiGateway.isEnabled()) {
+      return randomCard;
+    }
+
+    try {
+      const result = await aiGateway.generateText(
+        `Question card: "${question.text}"\nAnswer cards:\n${cards.map((card, i) => `${i + 1}. ${card.text}`).join('\n')}\n\n` +
+        'Which answer is the funniest fit for the question? Reply with JSON: {"best": <number>}',
+        { maxTokens: 20, temperature: 0.3, responseFormat: 'json' }
+      );
+      const best = parseInt(JSON.parse(result.text).best, 10);
+      return cards[best - 1] || randomCard;
+    } catch (error) {
+      return randomCard;
+    }
+  }
+}
+
+DegensBot.gameType = 'degens-against-decency';
+DegensBot.styles = {
+  random: 'Random picks',
+  ai: 'AI-rated humour'
+};
+
+module.exports = DegensBot;
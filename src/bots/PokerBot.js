@@ -0,0 +1,77 @@
+/**
+ * Poker Bot - Bets on hand strength, tuned by an aggression level
+ *
+ * Copyright (c) 2024 Degens Against Decency
+ * Licensed under the MIT License
+ * See LICENSE file in the project root for full license information.
+ */
+
+// Chance of raising with a playable hand, and how loose it calls
+const AGGRESSION = {
+  cautious: 0.2,
+  balanced: 0.5,
+  aggressive: 0.85
+};
+
+const RANK_VALUES = { 'J': 11, 'Q': 12, 'K': 13, 'A': 14 };
+
+class PokerBot {
+  constructor(player, context) {
+    this.player = player;
+    this.rng = context.rng;
+    this.aggression = AGGRESSION[player.botStyle] ?? AGGRESSION.balanced;
+  }
+
+  decide(state) {
+    if (state.status !== 'playing' || !state.currentPlayer || state.currentPlayer.id !== this.player.id) {
+      return null;
+    }
+
+    const id = this.player.id;
+    const stack = state.stacks && state.stacks[id] !== undefined ? state.stacks[id] : Infinity;
+    const owed = state.currentBet - (state.playerBets[id] || 0);
+    const strength = this.handStrength(state.playerHands[id] || []);
+
+    // Raises are capped so two aggressive bots can't bid each other up forever
+    const raiseBy = Math.min(state.bigBlind * (1 + Math.floor(this.aggression * 3)), stack - owed);
+    const canRaise = raiseBy > 0 && state.currentBet < state.bigBlind * 4;
+    if (canRaise && strength > 1 - this.aggression && this.rng.next() < this.aggression) {
+      return { type: 'raise', amount: raiseBy };
+    }
+
+    if (owed === 0) {
+      return { type: 'check' };
+    }
+    if (owed <= stack && (strength + this.aggression * 0.4 > 0.45 || owed <= state.bigBlind)) {
+      return { type: 'call' };
+    }
+    return { type: 'fold' };
+  }
+
+  // 0-1 from the cards the bot can see: pairs and better count most,
+  // otherwise high cards
+  handStrength(hand) {
+    if (hand.length === 0) return 0;
+
+    const values = hand.map(card => RANK_VALUES[card.rank] || parseInt(card.rank, 10));
+    const counts = new Map();
+    for (const value of values) {
+      counts.set(value, (counts.get(value) || 0) + 1);
+    }
+    const groups = Array.from(counts.values()).sort((a, b) => b - a);
+
+    if (groups[0] >= 3) return 0.9;
+    if (groups[0] === 2 && groups[1] === 2) return 0.8;
+    if (groups[0] === 2) return 0.6;
+    return (Math.max(...values) - 2) / 12 * 0.5;
+  }
+}
+
+PokerBot.gameType = 'poker';
+PokerBot.styles = {
+  balanced: 'Balanced',
+  cautious: 'Cautious',
+  aggressive: 'Aggressive'
+};
+
+module.exports = PokerBot;
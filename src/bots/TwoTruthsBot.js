@@ -0,0 +1,70 @@
+/**
+ * Two Truths Bot - Writes statements about being a bot and guesses lies
+ *
+ * Copyright (c) 2024 Degens Against Decency
+ * Licensed under the MIT License
+ * See LICENSE file in the project root for full license information.
+ */
+
+const TRUTHS = [
+  'I have never needed to sleep',
+  'I can count to a million in under a second',
+  'I was switched on for the first time today',
+  'I have read every rule of this game',
+  'I have never tasted pizza',
+  'I run on electricity',
+  'I have no idea what my face looks like',
+  'I can play more than one game at once'
+];
+
+const LIES = [
+  'I once won a dance competition',
+  'I have a pet goldfish called Kevin',
+  'I grew up on a farm in Ireland',
+  'I am afraid of the dark',
+  'I ran a marathon last year',
+  'I have three older sisters'
+];
+
+class TwoTruthsBot {
+  constructor(player, context) {
+    this.player = player;
+    this.rng = context.rng;
+  }
+
+  decide(state) {
+    if (state.status !== 'playing' || !state.currentPlayer) {
+      return null;
+    }
+
+    if (state.currentPlayer.id === this.player.id) {
+      switch (state.phase) {
+        case 'waiting-for-statements': {
+          // The game treats the last statement as the lie
+          const truths = this.rng.shuffle([...TRUTHS]);
+          return { type: 'submit-statements', statements: [truths[0], truths[1], this.pick(LIES)] };
+        }
+        case 'reveal':
+          return { type: 'reveal-results', lieIndex: state.statements.findIndex(s => s.isLie) };
+        default:
+          return null;
+      }
+    }
+
+    if (state.phase === 'guessing' && !state.guesses.some(g => g.playerId === this.player.id)) {
+      return { type: 'make-guess', lieIndex: Math.floor(this.rng.next() * state.statements.length) };
+    }
+    return null;
+  }
+
+  pick(items) {
+    return items[Math.floor(this.rng.next() * items.length)];
+  }
+}
+
+TwoTruthsBot.gameType = '2-truths-and-a-lie';
+TwoTruthsBot.styles = {
+  random: 'Random guesser'
+};
+
+module.exports = TwoTruthsBot;
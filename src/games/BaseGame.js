@@ -6,6 +6,16 @@
  * See LICENSE file in the project root for full license information.
  */
 
+const SeededRandom = require('../SeededRandom');
+const { validate, INVALID_PAYLOAD } = require('../Validator');
+const { getEndReason, describeEndReason } = require('../EndConditions');
+
+// Longest any single phase timer may run
+const MAX_PHASE_SECONDS = 3600;
+
+// Pause between the last player readying up and the game starting
+const READY_COUNTDOWN_SECONDS = 5;
+
 class BaseGame {
   constructor(id, creator, isPrivate = false, maxPlayers = 7) {
     this.id = id;
@@ -17,11 +27,84 @@ class BaseGame {
     this.status = 'waiting'; // waiting, playing, finished
     this.createdAt = new Date();
     this.startTime = null; // Track when game started
+    this.lastActivityAt = Date.now(); // Idle rooms are cleaned up by GameReaper
     this.currentRound = 0;
     this.scores = new Map();
+
+    // Room rules chosen by the creator, validated against the manifest
+    // by GameRegistry before they reach applyOptions()
+    this.options = {};
+
+    // Details from the create-room page. Password-protected rooms only
+    // keep a salted hash (see RoomPassword).
+    this.name = null;
+    this.description = null;
+    this.mode = 'classic';
+    this.passwordHash = null;
+
+    // Moderation. The host starts as the creator and passes to the next
+    // seated player if they leave.
+    this.hostId = creator.id;
+    this.locked = false;
+    this.bannedUserIds = new Set();
+    this.hostOnlyActions = ['start-game', 'rematch'];
+
+    // Rematches keep the room (and its invite link) for another game.
+    // Players opt in once a game is finished; scores from every finished
+    // game in the room add up to the series scoreboard.
+    this.rematchVotes = new Set();
+    this.seriesScores = new Map();
+    this.gamesPlayed = 0;
+
+    // Pre-game lobby. Players ready up once they've seen the room's rules;
+    // when everyone is ready (bots always are) a short countdown starts
+    // the game. The host can skip the countdown but not the ready check.
+    this.readyPlayerIds = new Set();
+
+    // Server-side phase timers. Subclasses fill in their own phases, in
+    // seconds (0 disables a phase's timer).
+    this.phaseDurations = {};
+    this.phaseTimer = null;
+    this.timerPhase = null;
+    this.phaseDeadline = null;
+
+    // End conditions for party games (see EndConditions). Games opt in by
+    // calling checkForGameEnd() between rounds. A tie at the top when the
+    // game would end is settled by up to suddenDeathLimit extra rounds.
+    this.endCondition = 'rounds';
+    this.timeLimit = 0; // minutes, for the 'time' condition
+    this.timeUp = false;
+    this.sessionTimer = null;
+    this.sessionDeadline = null;
+    this.suddenDeathLimit = 0;
+    this.suddenDeathRoundsPlayed = 0;
+    this.pendingEndReason = null;
+    this.endReason = null;
+
+    // Hooks set by GameManager so timer-driven actions and server events
+    // go through the same pipeline (logging, broadcasts) as player actions
+    this.actionDispatcher = null;
+    this.systemEventDispatcher = null;
+    // Resolves card pack IDs to { success, questionCards, answerCards, packs }
+    this.cardPackLoader = null;
+
+    // All game randomness comes from here. The game seed drives a sequence
+    // of per-step seeds; GameManager takes the next one before every action
+    // and logs it, so a seeded game (or its action log) replays exactly.
+    this.setSeed(SeededRandom.generateSeed());
+    this.isReplay = false;
   }
 
   addPlayer(userId, socket) {
+    const joiningId = typeof userId === 'object' ? userId.id : userId;
+    if (joiningId && this.bannedUserIds.has(joiningId)) {
+      return { success: false, error: 'You have been banned from this room' };
+    }
+
+    if (this.locked) {
+      return { success: false, error: 'This room is locked' };
+    }
+
     if (this.players.length >= this.maxPlayers) {
       return { success: false, error: 'Game is full' };
     }
@@ -66,6 +149,8 @@ class BaseGame {
     
     this.players.push(user);
     this.scores.set(user.id, 0);
+    this.removeSpectator(user.id);
+    this.updateReadyCountdown();
 
     return { success: true };
   }
@@ -73,28 +158,73 @@ class BaseGame {
   removePlayer(userId) {
     this.players = this.players.filter(p => p.id !== userId);
     this.scores.delete(userId);
+    this.rematchVotes.delete(userId);
+    this.readyPlayerIds.delete(userId);
 
-    if (this.players.length === 0) {
+    // Bots can't host, and a room with only bots left is over
+    const humans = this.players.filter(p => !p.isBot);
+    if (userId === this.hostId && humans.length > 0) {
+      this.hostId = humans[0].id;
+    }
+
+    if (humans.length === 0) {
       this.status = 'finished';
     }
+    this.updateReadyCountdown();
   }
 
-  startGame() {
+  // Keep a dropped player's seat, hand and score while they reconnect
+  markDisconnected(userId) {
+    const player = this.players.find(p => p.id === userId);
+    if (!player) return false;
+
+    player.connected = false;
+    player.disconnectedAt = new Date();
+    return true;
+  }
+
+  markReconnected(userId, socket) {
+    const player = this.players.find(p => p.id === userId);
+    if (!player) return false;
+
+    player.connected = true;
+    player.disconnectedAt = null;
+    player.socketId = socket ? socket.id : player.socketId;
+    return true;
+  }
+
+  getMinPlayers() {
     // Allow 2 players in development mode for testing
-    const minPlayers = process.env.NODE_ENV === 'development' ? 2 : 3;
+    const required = this.constructor.manifest ? this.constructor.manifest.minPlayers : 3;
+    return process.env.NODE_ENV === 'development' ? Math.min(2, required) : required;
+  }
+
+  startGame() {
+    const minPlayers = this.getMinPlayers();
     if (this.players.length < minPlayers) {
       return { success: false, error: `Need at least ${minPlayers} players to start` };
     }
 
+    this.clearPhaseTimer();
+    this.readyPlayerIds.clear();
     this.status = 'playing';
     this.startTime = new Date(); // Record start time
     this.currentRound = 1;
+    this.timeUp = false;
+    this.suddenDeathRoundsPlayed = 0;
+    this.pendingEndReason = null;
+    this.endReason = null;
+    this.startSessionTimer();
     this.initializeGame();
     
     return { success: true };
   }
 
   addSpectator(userId, socket) {
+    if (this.bannedUserIds.has(userId)) {
+      return { success: false, error: 'You have been banned from this room' };
+    }
+
     // Check if already a player or spectator
     if (this.players.find(p => p.id === userId)) {
       return { success: false, error: 'Already a player in this game' };
@@ -119,25 +249,565 @@ class BaseGame {
     this.spectators = this.spectators.filter(s => s.id !== userId);
   }
 
+  isHost(userId) {
+    return userId === this.hostId;
+  }
+
+  // Entry point for player actions: checks the payload against the action's
+  // schema, enforces host-only actions and handles the lobby and rematches
+  // before handing over to the game's own handleAction()
+  performAction(userId, action) {
+    const schema = action && typeof action === 'object' ? this.constructor.getActionSchema(action.type) : null;
+    if (!schema) {
+      return { success: false, code: INVALID_PAYLOAD, field: 'type', error: 'Unknown action' };
+    }
+    const validation = validate(schema, action, { game: this, userId });
+    if (!validation.success) {
+      return validation;
+    }
+
+    if (this.hostOnlyActions.includes(action.type) && !this.isHost(userId)) {
+      return { success: false, error: 'Only the host can do that' };
+    }
+
+    switch (action.type) {
+      case 'ready':
+        return this.setReady(userId, action.ready !== false);
+      case 'start-game': {
+        const notReady = this.getUnreadyPlayers();
+        if (this.status === 'waiting' && notReady.length > 0) {
+          return { success: false, error: `Waiting for ${notReady.map(p => p.username).join(', ')} to ready up` };
+        }
+        return this.handleAction(userId, action);
+      }
+      case 'rematch-vote':
+        return this.voteRematch(userId, action.accept !== false);
+      case 'rematch':
+        return this.startRematch(userId, action);
+      default:
+        return this.handleAction(userId, action);
+    }
+  }
+
+  setReady(userId, ready) {
+    if (this.status !== 'waiting') {
+      return { success: false, error: 'The game has already started' };
+    }
+    if (!this.players.some(p => p.id === userId)) {
+      return { success: false, error: 'Only players can ready up' };
+    }
+
+    if (ready) {
+      this.readyPlayerIds.add(userId);
+    } else {
+      this.readyPlayerIds.delete(userId);
+    }
+    this.updateReadyCountdown();
+    return { success: true };
+  }
+
+  getUnreadyPlayers() {
+    return this.players.filter(p => !p.isBot && !this.readyPlayerIds.has(p.id));
+  }
+
+  // Start the countdown once the room is full enough and everyone is
+  // ready; call it off as soon as that stops being true
+  updateReadyCountdown() {
+    const allReady = this.status === 'waiting' &&
+      this.players.length >= this.getMinPlayers() &&
+      this.getUnreadyPlayers().length === 0;
+
+    if (allReady && this.timerPhase !== 'countdown') {
+      this.startPhaseTimer('countdown', READY_COUNTDOWN_SECONDS);
+    } else if (!allReady && this.timerPhase === 'countdown') {
+      this.clearPhaseTimer();
+    }
+  }
+
+  voteRematch(userId, accept) {
+    if (this.status !== 'finished') {
+      return { success: false, error: 'The game is not finished yet' };
+    }
+    if (!this.players.some(p => p.id === userId)) {
+      return { success: false, error: 'Only players can vote for a rematch' };
+    }
+
+    if (accept) {
+      this.rematchVotes.add(userId);
+    } else {
+      this.rematchVotes.delete(userId);
+    }
+    return { success: true };
+  }
+
+  // Put a finished game back in the waiting room with the same settings.
+  // The host and bots always stay; players who didn't opt in become
+  // spectators. `rotate` moves the first seat to the back so someone else
+  // deals, judges or goes first.
+  startRematch(userId, { rotate = false } = {}) {
+    if (this.status !== 'finished') {
+      return { success: false, error: 'The game is not finished yet' };
+    }
+
+    this.seriesScores = this.getSeriesScores();
+    this.gamesPlayed++;
+
+    const staying = this.players.filter(p => p.isBot || p.id === userId || this.rematchVotes.has(p.id));
+    const leaving = this.players.filter(p => !staying.includes(p));
+    for (const player of leaving) {
+      this.spectators.push({ id: player.id, username: player.username, socketId: player.socketId, joinedAt: new Date() });
+    }
+
+    this.players = staying;
+    if (rotate && this.players.length > 1) {
+      this.players.push(this.players.shift());
+    }
+
+    this.clearPhaseTimer();
+    this.clearSessionTimer();
+    this.status = 'waiting';
+    this.startTime = null;
+    this.currentRound = 0;
+    this.scores = new Map(this.players.map(p => [p.id, 0]));
+    this.rematchVotes.clear();
+    this.readyPlayerIds.clear();
+    this.resetForRematch(rotate);
+
+    return { success: true, spectatorIds: leaving.map(p => p.id) };
+  }
+
+  // Series totals, counting the current game once it is finished
+  getSeriesScores() {
+    const totals = new Map(this.seriesScores);
+    if (this.status === 'finished') {
+      for (const [playerId, score] of this.scores) {
+        totals.set(playerId, (totals.get(playerId) || 0) + score);
+      }
+    }
+    return totals;
+  }
+
+  // Room moderation by the host: kick, ban, unban, transfer-host, lock,
+  // unlock, and add-bot (GameManager fills in the bot's player object)
+  handleHostAction(userId, action) {
+    if (!this.isHost(userId)) {
+      return { success: false, error: 'Only the host can moderate this room' };
+    }
+
+    const targetId = action.targetId;
+    const isPlayer = this.players.some(p => p.id === targetId);
+    const isSpectator = this.spectators.some(s => s.id === targetId);
+
+    switch (action.type) {
+      case 'kick':
+      case 'ban':
+        if (targetId === userId) {
+          return { success: false, error: 'You cannot remove yourself' };
+        }
+        if (action.type === 'kick' && !isPlayer && !isSpectator) {
+          return { success: false, error: 'That user is not in this room' };
+        }
+        if (action.type === 'ban') {
+          this.bannedUserIds.add(targetId);
+        }
+        if (isPlayer) {
+          this.removePlayer(targetId);
+        } else if (isSpectator) {
+          this.removeSpectator(targetId);
+        }
+        return { success: true, removedUserId: isPlayer || isSpectator ? targetId : null };
+
+      case 'unban':
+        this.bannedUserIds.delete(targetId);
+        return { success: true };
+
+      case 'add-bot':
+        if (!action.bot || !action.bot.isBot) {
+          return { success: false, error: 'Invalid bot' };
+        }
+        if (this.status !== 'waiting') {
+          return { success: false, error: 'Bots can only be added before the game starts' };
+        }
+        // Locking keeps strangers out; the host can still fill seats
+        if (this.players.length >= this.maxPlayers) {
+          return { success: false, error: 'Game is full' };
+        }
+        this.players.push({ ...action.bot, socketId: null });
+        this.scores.set(action.bot.id, 0);
+        this.updateReadyCountdown();
+        return { success: true };
+
+      case 'transfer-host':
+        if (!isPlayer || this.players.find(p => p.id === targetId).isBot) {
+          return { success: false, error: 'The new host must be a player in this room' };
+        }
+        this.hostId = targetId;
+        return { success: true };
+
+      case 'lock':
+      case 'unlock':
+        this.locked = action.type === 'lock';
+        return { success: true };
+
+      default:
+        return { success: false, error: 'Unknown moderation action' };
+    }
+  }
+
+  setActionDispatcher(dispatcher) {
+    this.actionDispatcher = dispatcher;
+  }
+
+  setSystemEventDispatcher(dispatcher) {
+    this.systemEventDispatcher = dispatcher;
+  }
+
+  setCardPackLoader(loader) {
+    this.cardPackLoader = loader;
+  }
+
+  // Perform an action on a player's behalf (timeouts, auto-play)
+  dispatchAction(userId, action) {
+    if (this.actionDispatcher) {
+      return this.actionDispatcher(userId, action);
+    }
+    return this.performAction(userId, action);
+  }
+
+  // Apply something the server produced outside of a player action (e.g.
+  // AI-generated cards arriving) so it is logged and broadcast
+  dispatchSystemEvent(event) {
+    if (this.systemEventDispatcher) {
+      return this.systemEventDispatcher(event);
+    }
+    return this.applySystemEvent(event);
+  }
+
+  setSeed(seed) {
+    this.seed = seed >>> 0;
+    this.seedSource = new SeededRandom(this.seed);
+    this.rng = new SeededRandom(this.seed);
+  }
+
+  // Reseed the game's generator with the next seed in the sequence
+  nextStepSeed() {
+    const seed = this.seedSource.nextSeed();
+    this.rng = new SeededRandom(seed);
+    return seed;
+  }
+
+  random() {
+    return this.rng.next();
+  }
+
+  shuffle(array) {
+    return this.rng.shuffle(array);
+  }
+
+  // Subclasses extend this to pick up their own rules
+  applyOptions(options = {}) {
+    this.options = options;
+    this.setPhaseDurations(options.timers);
+    this.endCondition = options.endCondition ?? this.endCondition;
+    this.timeLimit = options.timeLimit ?? this.timeLimit;
+    this.suddenDeathLimit = options.suddenDeathRounds ?? this.suddenDeathLimit;
+  }
+
+  setPhaseDurations(durations = {}) {
+    for (const [phase, seconds] of Object.entries(durations)) {
+      if (!(phase in this.phaseDurations)) continue;
+      const value = Number(seconds);
+      if (Number.isFinite(value) && value >= 0) {
+        this.phaseDurations[phase] = Math.min(value, MAX_PHASE_SECONDS);
+      }
+    }
+  }
+
+  startPhaseTimer(phase, seconds = this.phaseDurations[phase]) {
+    this.clearPhaseTimer();
+
+    // Replays are driven entirely by the log, never by the clock
+    if (!seconds || this.isReplay) return;
+
+    this.timerPhase = phase;
+    this.phaseDeadline = Date.now() + seconds * 1000;
+    this.phaseTimer = setTimeout(() => {
+      this.phaseTimer = null;
+      this.timerPhase = null;
+      this.phaseDeadline = null;
+      if (phase === 'countdown') {
+        // Started on the host's behalf so it is logged like any other start
+        if (this.status === 'waiting') {
+          this.dispatchAction(this.hostId, { type: 'start-game' });
+        }
+      } else if (this.status === 'playing') {
+        this.onPhaseTimeout(phase);
+      }
+    }, seconds * 1000);
+  }
+
+  clearPhaseTimer() {
+    if (this.phaseTimer) {
+      clearTimeout(this.phaseTimer);
+    }
+    this.phaseTimer = null;
+    this.timerPhase = null;
+    this.phaseDeadline = null;
+  }
+
+  // Timed sessions: when the clock runs out a logged 'time-up' event marks
+  // the game, and it ends at the next checkForGameEnd()
+  startSessionTimer(seconds = this.timeLimit * 60) {
+    this.clearSessionTimer();
+    if (this.endCondition !== 'time' || !seconds || this.isReplay) return;
+
+    this.sessionDeadline = Date.now() + seconds * 1000;
+    this.sessionTimer = setTimeout(() => {
+      this.sessionTimer = null;
+      if (this.status === 'playing') {
+        this.dispatchSystemEvent({ type: 'time-up' });
+      }
+    }, seconds * 1000);
+  }
+
+  clearSessionTimer() {
+    if (this.sessionTimer) {
+      clearTimeout(this.sessionTimer);
+    }
+    this.sessionTimer = null;
+    this.sessionDeadline = null;
+  }
+
+  // Party games call this between rounds, after `roundsPlayed` complete
+  // rounds. Returns why the game is over, or null to play another round.
+  // A tied lead goes to sudden death first, unless the deck is empty.
+  checkForGameEnd(roundsPlayed, deckEmpty = false) {
+    const reason = this.pendingEndReason || getEndReason(this, roundsPlayed) || (deckEmpty ? 'deck' : null);
+    if (!reason) return null;
+
+    if (!deckEmpty && this.isLeadTied() && this.suddenDeathRoundsPlayed < this.suddenDeathLimit) {
+      this.pendingEndReason = reason;
+      this.suddenDeathRoundsPlayed++;
+      return null;
+    }
+    return reason;
+  }
+
+  isLeadTied() {
+    const scores = Array.from(this.scores.values());
+    const top = Math.max(...scores);
+    return scores.filter(score => score === top).length > 1;
+  }
+
+  // Stop anything that would keep acting on this game after it is removed
+  dispose() {
+    this.clearPhaseTimer();
+    this.clearSessionTimer();
+  }
+
+  // Plain-JSON snapshot of everything needed to rebuild this game after a
+  // restart. Subclasses extend this with their own Maps, Sets and decks.
+  serialize() {
+    return {
+      id: this.id,
+      type: this.type,
+      creator: this.creator,
+      isPrivate: this.isPrivate,
+      maxPlayers: this.maxPlayers,
+      players: this.players.map(({ socketId, ...player }) => player),
+      status: this.status,
+      createdAt: this.createdAt,
+      startTime: this.startTime,
+      currentRound: this.currentRound,
+      scores: Array.from(this.scores.entries()),
+      options: this.options,
+      name: this.name,
+      description: this.description,
+      mode: this.mode,
+      passwordHash: this.passwordHash,
+      phaseDurations: { ...this.phaseDurations },
+      seed: this.seed,
+      seedState: this.seedSource.state,
+      hostId: this.hostId,
+      locked: this.locked,
+      bannedUserIds: Array.from(this.bannedUserIds),
+      rematchVotes: Array.from(this.rematchVotes),
+      readyPlayerIds: Array.from(this.readyPlayerIds),
+      seriesScores: Array.from(this.seriesScores.entries()),
+      gamesPlayed: this.gamesPlayed,
+      timerPhase: this.timerPhase,
+      phaseDeadline: this.phaseDeadline,
+      endCondition: this.endCondition,
+      timeLimit: this.timeLimit,
+      timeUp: this.timeUp,
+      sessionDeadline: this.sessionDeadline,
+      suddenDeathLimit: this.suddenDeathLimit,
+      suddenDeathRoundsPlayed: this.suddenDeathRoundsPlayed,
+      pendingEndReason: this.pendingEndReason,
+      endReason: this.endReason
+    };
+  }
+
+  // Inverse of serialize(). Spectators and sockets don't survive a restart.
+  restoreState(data) {
+    this.players = data.players || [];
+    this.spectators = [];
+    this.status = data.status;
+    this.createdAt = data.createdAt ? new Date(data.createdAt) : new Date();
+    this.startTime = data.startTime ? new Date(data.startTime) : null;
+    this.currentRound = data.currentRound || 0;
+    this.scores = new Map(data.scores || []);
+    this.options = data.options || {};
+    this.name = data.name || null;
+    this.description = data.description || null;
+    this.mode = data.mode || 'classic';
+    this.passwordHash = data.passwordHash || null;
+    this.hostId = data.hostId || this.creator.id;
+    this.locked = !!data.locked;
+    this.bannedUserIds = new Set(data.bannedUserIds || []);
+    this.rematchVotes = new Set(data.rematchVotes || []);
+    this.readyPlayerIds = new Set(data.readyPlayerIds || []);
+    this.seriesScores = new Map(data.seriesScores || []);
+    this.gamesPlayed = data.gamesPlayed || 0;
+    this.phaseDurations = { ...this.phaseDurations, ...data.phaseDurations };
+    if (data.seed !== undefined) {
+      this.setSeed(data.seed);
+      this.seedSource.state = data.seedState;
+    }
+    this.timerPhase = data.timerPhase || null;
+    this.phaseDeadline = data.phaseDeadline || null;
+    this.endCondition = data.endCondition || this.endCondition;
+    this.timeLimit = data.timeLimit ?? this.timeLimit;
+    this.timeUp = !!data.timeUp;
+    this.sessionDeadline = data.sessionDeadline || null;
+    this.suddenDeathLimit = data.suddenDeathLimit ?? this.suddenDeathLimit;
+    this.suddenDeathRoundsPlayed = data.suddenDeathRoundsPlayed || 0;
+    this.pendingEndReason = data.pendingEndReason || null;
+    this.endReason = data.endReason || null;
+  }
+
+  // Full schema for an action type, or null if the game has no such action.
+  // `auto` marks actions the server took for an AFK player.
+  static getActionSchema(type) {
+    const fields = (this.actionSchemas && this.actionSchemas[type]) || BaseGame.actionSchemas[type];
+    if (!fields) return null;
+
+    return {
+      type: 'object',
+      label: 'Action',
+      properties: { type: { type: 'string', required: true }, auto: { type: 'boolean' }, ...fields }
+    };
+  }
+
+  static deserialize(data) {
+    const game = new this(data.id, data.creator, data.isPrivate, data.maxPlayers);
+    game.restoreState(data);
+    return game;
+  }
+
+  // Restart a timer that was running when the game was snapshotted,
+  // keeping its original deadline
+  resumePhaseTimer() {
+    const phase = this.timerPhase;
+    const deadline = this.phaseDeadline;
+    const activeStatus = phase === 'countdown' ? 'waiting' : 'playing';
+    if (!phase || !deadline || this.status !== activeStatus) return;
+
+    this.startPhaseTimer(phase, Math.max(1, (deadline - Date.now()) / 1000));
+  }
+
+  resumeSessionTimer() {
+    if (this.status === 'playing' && this.sessionDeadline && !this.timeUp) {
+      this.startSessionTimer(Math.max(1, (this.sessionDeadline - Date.now()) / 1000));
+    }
+  }
+
   // Override in subclasses
   initializeGame() {}
   handleAction(userId, action) {}
+  // Clear everything left over from the last game before a rematch
+  resetForRematch(rotate) {}
+  onPhaseTimeout(phase) {}
+  // Subclasses handle their own events and pass the rest up
+  applySystemEvent(event) {
+    if (event.type === 'time-up') {
+      this.timeUp = true;
+      this.clearSessionTimer();
+      return { success: true };
+    }
+    return { success: false, error: 'Unknown system event' };
+  }
+
+  // Full, unredacted state. Never send this to clients directly - use
+  // getGameStateFor() so hands and other private data stay private.
   getGameState() {
     return {
       id: this.id,
       type: this.type,
       creator: this.creator,
+      hostId: this.hostId,
+      locked: this.locked,
       isPrivate: this.isPrivate,
       maxPlayers: this.maxPlayers,
-      players: this.players.map(p => ({ id: p.id, username: p.username || 'Player' })),
+      players: this.players.map(p => ({
+        id: p.id,
+        username: p.username || 'Player',
+        avatar: p.avatar || null,
+        connected: p.connected !== false,
+        isBot: !!p.isBot
+      })),
       spectators: this.spectators.map(s => ({ id: s.id, username: s.username || 'Spectator' })),
       status: this.status,
       currentRound: this.currentRound,
       scores: Object.fromEntries(this.scores),
+      readyPlayerIds: this.players.filter(p => p.isBot || this.readyPlayerIds.has(p.id)).map(p => p.id),
+      minPlayers: this.getMinPlayers(),
+      rematchVotes: Array.from(this.rematchVotes),
+      series: {
+        gamesPlayed: this.gamesPlayed + (this.status === 'finished' ? 1 : 0),
+        scores: Object.fromEntries(this.getSeriesScores())
+      },
+      options: this.options,
+      name: this.name,
+      description: this.description,
+      mode: this.mode,
+      hasPassword: !!this.passwordHash,
+      timer: this.timerPhase ? { phase: this.timerPhase, deadline: this.phaseDeadline } : null,
+      phaseDurations: { ...this.phaseDurations },
+      endCondition: this.endCondition,
+      sessionDeadline: this.sessionDeadline,
+      suddenDeath: this.pendingEndReason !== null,
+      endReason: this.endReason,
+      endDescription: describeEndReason(this),
       startTime: this.startTime,
       createdAt: this.createdAt
     };
   }
+
+  // State as seen by a single viewer. Subclasses override this to strip
+  // information the viewer should not have. viewerId is null for spectators.
+  getGameStateFor(viewerId) {
+    const state = this.getGameState();
+
+    // Only the host, who can lift them, sees who is banned
+    if (this.isHost(viewerId)) {
+      state.bannedUserIds = Array.from(this.bannedUserIds);
+    }
+    return state;
+  }
 }
 
+// Fields each action accepts, keyed by action type (see Validator). Games
+// declare their own `actionSchemas` next to their manifest; these are
+// available in every game.
+BaseGame.actionSchemas = {
+  'start-game': {},
+  ready: { ready: { type: 'boolean' } },
+  'rematch-vote': { accept: { type: 'boolean' } },
+  rematch: { rotate: { type: 'boolean' } }
+};
+
+BaseGame.MAX_PHASE_SECONDS = MAX_PHASE_SECONDS;
+BaseGame.READY_COUNTDOWN_SECONDS = READY_COUNTDOWN_SECONDS;
+
 module.exports = BaseGame;
\ No newline at end of file
@@ -8,6 +8,30 @@
 
 const BaseGame = require('./BaseGame');
 const AICardGenerator = require('../AICardGenerator');
+const { END_CONDITION_OPTIONS, validateEndCondition } = require('../EndConditions');
+
+const PHASE_DURATIONS = {
+  submit: 90, // Players choosing answers
+  judge: 60,  // Card Czar picking a winner, or everyone voting
+  reveal: 15  // Showing the winner before the next round
+};
+
+// Most answer cards a question can ask for ("Pick 3")
+const MAX_PICK = 3;
+const BLANK_PATTERN = /_{3,}/g;
+
+// How a round is decided: the Card Czar picks, or (Democracy) everyone
+// plays and then votes for a favourite that isn't their own
+const JUDGING_MODES = ['czar', 'democracy'];
+// Who takes the round when Democracy votes are tied: every tied player,
+// one of them at random, or nobody (votes still score)
+const TIE_BREAKS = ['share', 'random', 'none'];
+
+// Card packs a room can combine, and the smallest deck it will play with;
+// shorter decks are topped up from the built-in Base Deck
+const MAX_PACKS = 10;
+const MIN_QUESTION_CARDS = 10;
+const MIN_ANSWER_CARDS = 20;
 
 class DegensAgainstDecencyGame extends BaseGame {
   constructor(id, creator, isPrivate, maxPlayers) {
@@ -19,48 +43,133 @@ class DegensAgainstDecencyGame extends BaseGame {
     this.answerCards = [];
     this.currentQuestion = null;
     this.submissions = new Map();
+    // Each submission gets a random slot ID; the Czar sees submissions in
+    // slot order and judges by slot, so neither seat nor timing gives
+    // anyone away
+    this.slotIds = new Map();
+    this.judging = false;
+    this.judgingMode = 'czar';
+    this.tieBreak = 'share';
+    this.pointsPerVote = 1;
+    this.votes = new Map(); // voter -> slot ID
+    this.voteCounts = null; // player -> votes received, once tallied
+    this.roundWinners = [];
+    this.packIds = [];
+    this.aiCards = true;
+    this.cardPacks = []; // { id, name } of the packs in the deck
     this.playerHands = new Map();
     this.cardCzar = null;
+    this.roundWinner = null;
     this.cardsPerHand = 7;
     this.maxRounds = 10;
+    this.pointsToWin = 0; // 0 plays every round
+    this.phaseDurations = { ...PHASE_DURATIONS };
+    this.hostOnlyActions.push('next-round', 'close-voting');
+  }
+
+  applyOptions(options) {
+    super.applyOptions(options);
+    this.maxRounds = options.maxRounds ?? this.maxRounds;
+    this.pointsToWin = options.pointsToWin ?? this.pointsToWin;
+    this.cardsPerHand = options.cardsPerHand ?? this.cardsPerHand;
+    this.judgingMode = options.judging ?? this.judgingMode;
+    this.tieBreak = options.tieBreak ?? this.tieBreak;
+    this.pointsPerVote = options.pointsPerVote ?? this.pointsPerVote;
+    this.packIds = options.packs ?? this.packIds;
+    this.aiCards = options.aiCards ?? this.aiCards;
+  }
+
+  isDemocracy() {
+    return this.judgingMode === 'democracy';
+  }
+
+  // Everyone but the Czar plays a card
+  getSubmitterCount() {
+    return this.isDemocracy() ? this.players.length : this.players.length - 1;
+  }
+
+  isRoundDecided() {
+    return this.roundWinner !== null || this.voteCounts !== null;
   }
 
   async initializeGame() {
-    try {
-      // Generate cards using AI
-      const cards = await this.aiCardGenerator.generateDegensCards(50);
-      
-      this.questionCards = cards.filter(card => card.type === 'question');
-      this.answerCards = cards.filter(card => card.type === 'answer');
-      
-      // If not enough cards, add fallback cards
-      if (this.questionCards.length < 10) {
-        const fallbackCards = this.aiCardGenerator.getFallbackDegensCards();
-        this.questionCards.push(...fallbackCards.filter(card => card.type === 'question'));
-        this.answerCards.push(...fallbackCards.filter(card => card.type === 'answer'));
+    // During a replay the cards come from the logged 'cards-loaded' event
+    if (this.isReplay) return;
+
+    const questionCards = [];
+    const answerCards = [];
+    let packs = [];
+
+    // A pack that can't be loaded leaves the deck to the fallback cards
+    if (this.packIds.length > 0 && this.cardPackLoader) {
+      try {
+        const result = await this.cardPackLoader(this.packIds);
+        if (result.success) {
+          questionCards.push(...result.questionCards);
+          answerCards.push(...result.answerCards);
+          packs = result.packs;
+        } else {
+          console.error('Error loading Degens card packs:', result.error);
+        }
+      } catch (error) {
+        console.error('Error loading Degens card packs:', error.message);
       }
-      
-      this.shuffleCards();
-      this.dealInitialHands();
-      this.selectCardCzar();
-      this.drawQuestion();
-      
-    } catch (error) {
-      console.error('Error initializing Degens game:', error);
-      // Use fallback cards if AI fails
-      const fallbackCards = this.aiCardGenerator.getFallbackDegensCards();
-      this.questionCards = fallbackCards.filter(card => card.type === 'question');
-      this.answerCards = fallbackCards.filter(card => card.type === 'answer');
-      this.shuffleCards();
-      this.dealInitialHands();
-      this.selectCardCzar();
-      this.drawQuestion();
     }
+
+    if (this.aiCards) {
+      try {
+        // Generate cards using AI
+        const cards = await this.aiCardGenerator.generateDegensCards(50);
+        questionCards.push(...cards.filter(card => card.type === 'question'));
+        answerCards.push(...cards.filter(card => card.type === 'answer'));
+      } catch (error) {
+        console.error('Error initializing Degens game:', error);
+      }
+    }
+
+    // If not enough cards, add fallback cards the deck doesn't have yet
+    if (questionCards.length < MIN_QUESTION_CARDS || answerCards.length < MIN_ANSWER_CARDS) {
+      const known = new Set([...questionCards, ...answerCards].map(card => card.text));
+      const fallbackCards = this.aiCardGenerator.getFallbackDegensCards().filter(card => !known.has(card.text));
+      questionCards.push(...fallbackCards.filter(card => card.type === 'question'));
+      answerCards.push(...fallbackCards.filter(card => card.type === 'answer'));
+    }
+
+    // Card generation finishes after start-game has already been handled,
+    // so the deal goes through the event pipeline to be logged and broadcast
+    this.dispatchSystemEvent({ type: 'cards-loaded', questionCards, answerCards, packs });
+  }
+
+  applySystemEvent(event) {
+    // Answers close when the submit timer runs out even if some players
+    // couldn't play
+    if (event.type === 'start-judging') {
+      if (this.status !== 'playing' || this.judging || this.submissions.size === 0) {
+        return { success: false, error: 'Answers are not open' };
+      }
+      this.startJudging();
+      return { success: true };
+    }
+
+    if (event.type !== 'cards-loaded') {
+      return super.applySystemEvent(event);
+    }
+
+    this.questionCards = [...event.questionCards];
+    this.answerCards = [...event.answerCards];
+    this.cardPacks = event.packs || [];
+    this.shuffleCards();
+    this.dealInitialHands();
+    this.selectCardCzar();
+    this.drawQuestion();
+    this.startPhaseTimer('submit');
+
+    return { success: true };
   }
 
   shuffleCards() {
-    this.answerCards = this.answerCards.sort(() => Math.random() - 0.5);
-    this.questionCards = this.questionCards.sort(() => Math.random() - 0.5);
+    this.shuffle(this.answerCards);
+    this.shuffle(this.questionCards);
   }
 
   dealInitialHands() {
@@ -76,6 +185,10 @@ class DegensAgainstDecencyGame extends BaseGame {
   }
 
   selectCardCzar() {
+    if (this.isDemocracy()) {
+      this.cardCzar = null;
+      return;
+    }
     const currentCzarIndex = this.players.findIndex(p => p.id === this.cardCzar?.id) || 0;
     const nextIndex = (currentCzarIndex + 1) % this.players.length;
     this.cardCzar = this.players[nextIndex];
@@ -83,68 +196,148 @@ class DegensAgainstDecencyGame extends BaseGame {
 
   drawQuestion() {
     if (this.questionCards.length > 0) {
-      this.currentQuestion = this.questionCards.pop();
-      this.submissions.clear();
+      const question = this.questionCards.pop();
+      this.currentQuestion = { ...question, pick: Math.min(DegensAgainstDecencyGame.getPick(question), this.cardsPerHand) };
+      this.clearSubmissions();
     }
   }
 
+  clearSubmissions() {
+    this.submissions.clear();
+    this.slotIds.clear();
+    this.judging = false;
+    this.roundWinner = null;
+    this.votes.clear();
+    this.voteCounts = null;
+    this.roundWinners = [];
+  }
+
   handleAction(userId, action) {
     switch (action.type) {
       case 'start-game':
         return this.startGame();
       
       case 'submit-card':
-        return this.submitCard(userId, action.cardId);
+        return this.submitCard(userId, action.cardIds ?? action.cardId);
       
       case 'judge-submission':
+        if (this.isDemocracy()) {
+          return { success: false, error: 'There is no Card Czar in Democracy mode - vote instead' };
+        }
         if (userId === this.cardCzar.id) {
-          return this.judgeSubmission(action.playerId);
+          return this.judgeSubmission(action.slotId);
         }
         return { success: false, error: 'Only the Card Czar can judge submissions' };
       
+      case 'vote':
+        return this.vote(userId, action.slotId);
+
+      case 'close-voting':
+        return this.closeVoting();
+
+      // The host may only move on once the round is decided; timeouts can
+      // skip a round nobody played
       case 'next-round':
-        if (userId === this.cardCzar.id) {
-          return this.nextRound();
+        if (this.status !== 'playing') {
+          return { success: false, error: 'Game is not in progress' };
         }
-        return { success: false, error: 'Only the Card Czar can advance rounds' };
+        if (!action.auto && !this.isRoundDecided()) {
+          return { success: false, error: 'This round has not been decided yet' };
+        }
+        return this.nextRound();
       
       default:
         return { success: false, error: 'Unknown action' };
     }
   }
 
-  submitCard(userId, cardId) {
-    if (userId === this.cardCzar.id) {
+  // Takes one card ID or, for Pick-N questions, a list in blank order: the
+  // first card fills the first blank
+  submitCard(userId, cardIds) {
+    cardIds = [].concat(cardIds);
+
+    if (userId === this.cardCzar?.id) {
       return { success: false, error: 'Card Czar cannot submit cards' };
     }
 
     if (this.submissions.has(userId)) {
       return { success: false, error: 'You have already submitted a card this round' };
     }
+    if (this.judging) {
+      return { success: false, error: 'Answers are closed for this round' };
+    }
 
-    const playerHand = this.playerHands.get(userId);
-    const cardIndex = playerHand.findIndex(card => card.id === cardId);
-    
-    if (cardIndex === -1) {
+    const pick = this.currentQuestion?.pick || 1;
+    if (cardIds.length !== pick) {
+      return { success: false, error: `This question needs ${pick} card${pick === 1 ? '' : 's'}` };
+    }
+    if (new Set(cardIds.map(String)).size !== cardIds.length) {
+      return { success: false, error: 'Each card can only be played once' };
+    }
+
+    const playerHand = this.playerHands.get(userId) || [];
+    const cardIndexes = cardIds.map(cardId => playerHand.findIndex(card => String(card.id) === String(cardId)));
+    if (cardIndexes.includes(-1)) {
       return { success: false, error: 'Card not found in your hand' };
     }
 
-    const submittedCard = playerHand.splice(cardIndex, 1)[0];
-    this.submissions.set(userId, submittedCard);
+    const submittedCards = cardIndexes.map(index => playerHand[index]);
+    this.playerHands.set(userId, playerHand.filter(card => !submittedCards.includes(card)));
+    this.submissions.set(userId, submittedCards);
+    this.slotIds.set(userId, this.createSlotId());
+    this.refillHand(userId);
 
-    // Draw a new card
-    if (this.answerCards.length > 0) {
-      playerHand.push(this.answerCards.pop());
+    if (this.submissions.size === this.getSubmitterCount()) {
+      this.startJudging();
     }
 
     return { success: true };
   }
 
-  judgeSubmission(winnerId) {
-    if (!this.submissions.has(winnerId)) {
+  createSlotId() {
+    const taken = new Set(this.slotIds.values());
+    let slotId;
+    do {
+      slotId = this.random().toString(36).slice(2, 10);
+    } while (!slotId || taken.has(slotId));
+    return slotId;
+  }
+
+  // Reveal the submissions (still anonymous) to the Czar, or to everyone
+  // for voting
+  startJudging() {
+    this.judging = true;
+    this.startPhaseTimer('judge');
+  }
+
+  // Player IDs in the shuffled order the Czar sees their submissions
+  getSlotOrder() {
+    return Array.from(this.slotIds.keys()).sort((a, b) => (this.slotIds.get(a) < this.slotIds.get(b) ? -1 : 1));
+  }
+
+  refillHand(userId) {
+    const hand = this.playerHands.get(userId);
+    while (hand.length < this.cardsPerHand && this.answerCards.length > 0) {
+      hand.push(this.answerCards.pop());
+    }
+  }
+
+  judgeSubmission(slotId) {
+    if (this.isRoundDecided()) {
+      return { success: false, error: 'This round has already been judged' };
+    }
+    if (this.status !== 'playing' || !this.judging) {
+      return { success: false, error: 'Wait for every answer before judging' };
+    }
+
+    const winnerId = Array.from(this.slotIds.keys()).find(playerId => this.slotIds.get(playerId) === slotId);
+    if (!winnerId) {
       return { success: false, error: 'Invalid winner selection' };
     }
 
+    this.roundWinner = winnerId;
+    this.startPhaseTimer('reveal');
+
     // Award point to winner
     const currentScore = this.scores.get(winnerId) || 0;
     this.scores.set(winnerId, currentScore + 1);
@@ -152,23 +345,142 @@ class DegensAgainstDecencyGame extends BaseGame {
     return { success: true, winner: winnerId };
   }
 
+  // Democracy: one vote per player, never for their own answer. Players
+  // who couldn't play a card still get a vote.
+  vote(userId, slotId) {
+    if (!this.isDemocracy()) {
+      return { success: false, error: 'The Card Czar judges this round' };
+    }
+    if (!this.judging || this.isRoundDecided()) {
+      return { success: false, error: 'Voting is not open' };
+    }
+    if (!this.players.some(p => p.id === userId)) {
+      return { success: false, error: 'Only players can vote' };
+    }
+    if (this.votes.has(userId)) {
+      return { success: false, error: 'You have already voted this round' };
+    }
+
+    const playerId = Array.from(this.slotIds.keys()).find(id => this.slotIds.get(id) === slotId);
+    if (!playerId) {
+      return { success: false, error: 'Invalid vote' };
+    }
+    if (playerId === userId) {
+      return { success: false, error: 'You cannot vote for your own answer' };
+    }
+
+    this.votes.set(userId, slotId);
+    if (this.getEligibleVoters().every(p => this.votes.has(p.id))) {
+      return this.closeVoting();
+    }
+    return { success: true };
+  }
+
+  // Players with an answer other than their own to vote for
+  getEligibleVoters() {
+    return this.players.filter(p => Array.from(this.slotIds.keys()).some(playerId => playerId !== p.id));
+  }
+
+  // Count the votes: every vote received is worth pointsPerVote, and the
+  // most-voted answer wins the round point (ties settled by tieBreak)
+  closeVoting() {
+    if (!this.isDemocracy() || !this.judging || this.isRoundDecided()) {
+      return { success: false, error: 'Voting is not open' };
+    }
+
+    const counts = new Map(Array.from(this.slotIds.keys()).map(playerId => [playerId, 0]));
+    for (const slotId of this.votes.values()) {
+      const playerId = Array.from(this.slotIds.keys()).find(id => this.slotIds.get(id) === slotId);
+      counts.set(playerId, counts.get(playerId) + 1);
+    }
+
+    const topVotes = Math.max(0, ...counts.values());
+    let winners = topVotes > 0 ? this.getSlotOrder().filter(playerId => counts.get(playerId) === topVotes) : [];
+    if (winners.length > 1 && this.tieBreak === 'random') {
+      winners = [winners[Math.floor(this.random() * winners.length)]];
+    } else if (winners.length > 1 && this.tieBreak === 'none') {
+      winners = [];
+    }
+
+    for (const [playerId, votes] of counts) {
+      const bonus = winners.includes(playerId) ? 1 : 0;
+      this.scores.set(playerId, (this.scores.get(playerId) || 0) + votes * this.pointsPerVote + bonus);
+    }
+
+    this.voteCounts = counts;
+    this.roundWinners = winners;
+    this.roundWinner = winners[0] || null;
+    this.startPhaseTimer('reveal');
+
+    return { success: true, winners };
+  }
+
   nextRound() {
-    this.currentRound++;
-    
-    if (this.currentRound > this.maxRounds) {
-      this.endGame();
+    const endReason = this.checkForGameEnd(this.currentRound, this.questionCards.length === 0);
+    if (endReason) {
+      this.endGame(endReason);
       return { success: true, gameEnded: true };
     }
 
+    this.currentRound++;
+
     this.selectCardCzar();
     this.drawQuestion();
-    this.submissions.clear();
+    this.clearSubmissions();
+    this.startPhaseTimer('submit');
 
     return { success: true };
   }
 
-  endGame() {
+  onPhaseTimeout(phase) {
+    const czarId = this.cardCzar?.id;
+
+    switch (phase) {
+      case 'submit':
+        // Play random cards for everyone who hasn't submitted
+        for (const player of this.players) {
+          const hand = this.playerHands.get(player.id);
+          const pick = this.currentQuestion?.pick || 1;
+          if (player.id === czarId || this.submissions.has(player.id) || !hand || hand.length < pick) {
+            continue;
+          }
+          const cardIds = this.shuffle([...hand]).slice(0, pick).map(card => card.id);
+          this.dispatchAction(player.id, { type: 'submit-card', cardIds, auto: true });
+        }
+        // Nobody could submit anything - move straight on
+        if (this.submissions.size === 0) {
+          this.dispatchAction(this.hostId, { type: 'next-round', auto: true });
+        } else if (!this.judging) {
+          this.dispatchSystemEvent({ type: 'start-judging' });
+        }
+        break;
+
+      case 'judge': {
+        if (this.isDemocracy()) {
+          this.dispatchAction(this.hostId, { type: 'close-voting', auto: true });
+          break;
+        }
+        const slotIds = Array.from(this.slotIds.values());
+        if (slotIds.length > 0) {
+          const slotId = slotIds[Math.floor(this.random() * slotIds.length)];
+          this.dispatchAction(czarId, { type: 'judge-submission', slotId, auto: true });
+        } else {
+          this.dispatchAction(this.hostId, { type: 'next-round', auto: true });
+        }
+        break;
+      }
+
+      case 'reveal':
+        this.dispatchAction(this.hostId, { type: 'next-round', auto: true });
+        break;
+    }
+  }
+
+  endGame(reason = null) {
     this.status = 'finished';
+    this.endReason = reason;
+    this.clearPhaseTimer();
+    this.clearSessionTimer();
     
     // Find winner(s)
     let maxScore = 0;
@@ -187,27 +499,183 @@ class DegensAgainstDecencyGame extends BaseGame {
     this.winners = winners;
   }
 
+  // New cards are dealt when the rematch starts; the first seat judges first
+  resetForRematch() {
+    this.questionCards = [];
+    this.answerCards = [];
+    this.currentQuestion = null;
+    this.clearSubmissions();
+    this.playerHands.clear();
+    this.cardCzar = null;
+    this.winners = undefined;
+  }
+
+  serialize() {
+    return {
+      ...super.serialize(),
+      questionCards: this.questionCards,
+      answerCards: this.answerCards,
+      currentQuestion: this.currentQuestion,
+      submissions: Array.from(this.submissions.entries()),
+      slotIds: Array.from(this.slotIds.entries()),
+      judging: this.judging,
+      votes: Array.from(this.votes.entries()),
+      voteCounts: this.voteCounts ? Array.from(this.voteCounts.entries()) : null,
+      roundWinners: this.roundWinners,
+      judgingMode: this.judgingMode,
+      tieBreak: this.tieBreak,
+      pointsPerVote: this.pointsPerVote,
+      packIds: this.packIds,
+      aiCards: this.aiCards,
+      cardPacks: this.cardPacks,
+      playerHands: Array.from(this.playerHands.entries()),
+      cardCzarId: this.cardCzar ? this.cardCzar.id : null,
+      roundWinner: this.roundWinner,
+      cardsPerHand: this.cardsPerHand,
+      maxRounds: this.maxRounds,
+      pointsToWin: this.pointsToWin,
+      winners: this.winners || null
+    };
+  }
+
+  restoreState(data) {
+    super.restoreState(data);
+    this.questionCards = data.questionCards || [];
+    this.answerCards = data.answerCards || [];
+    this.currentQuestion = data.currentQuestion || null;
+    // Snapshots from before Pick-N store one card per submission
+    this.submissions = new Map((data.submissions || []).map(([playerId, cards]) => [playerId, [].concat(cards)]));
+    this.slotIds = new Map(data.slotIds || Array.from(this.submissions.keys()).map((playerId, i) => [playerId, `slot-${i}`]));
+    this.judgingMode = data.judgingMode || this.judgingMode;
+    this.tieBreak = data.tieBreak || this.tieBreak;
+    this.pointsPerVote = data.pointsPerVote ?? this.pointsPerVote;
+    this.packIds = data.packIds || this.packIds;
+    this.aiCards = data.aiCards ?? this.aiCards;
+    this.cardPacks = data.cardPacks || [];
+    this.judging = data.judging ?? this.submissions.size === this.getSubmitterCount();
+    this.votes = new Map(data.votes || []);
+    this.voteCounts = data.voteCounts ? new Map(data.voteCounts) : null;
+    this.playerHands = new Map(data.playerHands || []);
+    this.cardCzar = this.players.find(p => p.id === data.cardCzarId) || null;
+    this.roundWinner = data.roundWinner || null;
+    this.roundWinners = data.roundWinners || (this.roundWinner ? [this.roundWinner] : []);
+    this.cardsPerHand = data.cardsPerHand || this.cardsPerHand;
+    this.maxRounds = data.maxRounds || this.maxRounds;
+    this.pointsToWin = data.pointsToWin ?? this.pointsToWin;
+    this.winners = data.winners || undefined;
+  }
+
   getGameState() {
     const baseState = super.getGameState();
     return {
       ...baseState,
       currentQuestion: this.currentQuestion,
       cardCzar: this.cardCzar ? { id: this.cardCzar.id, username: this.cardCzar.username } : null,
-      submissions: Array.from(this.submissions.entries()).map(([playerId, card]) => ({
-        playerId,
-        card: { id: card.id, text: card.text }
-      })),
+      judgingMode: this.judgingMode,
+      tieBreak: this.tieBreak,
+      pointsPerVote: this.pointsPerVote,
+      cardPacks: this.cardPacks,
+      aiCards: this.aiCards,
+      // Nothing is shown until judging starts, and who played what (and
+      // how the votes went) only once the round is decided
+      submissions: this.judging || this.isRoundDecided()
+        ? this.getSlotOrder().map(playerId => ({
+          slotId: this.slotIds.get(playerId),
+          cards: this.submissions.get(playerId).map(card => ({ id: card.id, text: card.text })),
+          ...(this.isRoundDecided() ? { playerId } : {}),
+          ...(this.voteCounts ? { votes: this.voteCounts.get(playerId) } : {})
+        }))
+        : [],
       playerHands: Object.fromEntries(
         Array.from(this.playerHands.entries()).map(([playerId, hand]) => [
           playerId,
           hand.map(card => ({ id: card.id, text: card.text }))
         ])
       ),
+      // Seat order rather than submission order, so this can't be used to
+      // work out who played which card
+      submittedPlayers: this.players.filter(p => this.submissions.has(p.id)).map(p => p.id),
+      votedPlayers: this.players.filter(p => this.votes.has(p.id)).map(p => p.id),
+      roundWinner: this.roundWinner,
+      roundWinners: this.roundWinners,
+      roundDecided: this.isRoundDecided(),
       maxRounds: this.maxRounds,
+      pointsToWin: this.pointsToWin,
       winners: this.winners || [],
-      allSubmitted: this.submissions.size === this.players.length - 1 // All except card czar
+      allSubmitted: this.submissions.size === this.getSubmitterCount()
     };
   }
+
+  getGameStateFor(viewerId) {
+    const state = super.getGameStateFor(viewerId);
+
+    // Only the viewer's own hand is visible
+    state.playerHands = state.playerHands[viewerId] ? { [viewerId]: state.playerHands[viewerId] } : {};
+
+    // Players can still recognise their own answer while it is anonymous
+    const ownSlotId = this.slotIds.get(viewerId);
+    state.submissions = state.submissions.map(sub => ({ ...sub, isOwn: sub.slotId === ownSlotId }));
+    state.myVote = this.votes.get(viewerId) || null;
+
+    return state;
+  }
+
+  // How many answers a question takes: the card's own `pick`, or one per blank
+  static getPick(question) {
+    const pick = Number.isInteger(question.pick) ? question.pick : (question.text || '').split(BLANK_PATTERN).length - 1;
+    return Math.min(Math.max(pick, 1), MAX_PICK);
+  }
+
+  static validateOptions(options) {
+    return validateEndCondition(options);
+  }
 }
 
+DegensAgainstDecencyGame.MAX_PICK = MAX_PICK;
+DegensAgainstDecencyGame.JUDGING_MODES = JUDGING_MODES;
+DegensAgainstDecencyGame.TIE_BREAKS = TIE_BREAKS;
+DegensAgainstDecencyGame.MAX_PACKS = MAX_PACKS;
+
+DegensAgainstDecencyGame.manifest = {
+  id: 'degens-against-decency',
+  name: 'Degens Against Decency',
+  emoji: '🃏',
+  description: 'Fill in the blank with the most outrageous answer card',
+  minPlayers: 3,
+  maxPlayers: 7,
+  options: [
+    { key: 'maxRounds', label: 'Rounds', type: 'integer', default: 10, min: 1, max: 50 },
+    { key: 'pointsToWin', label: 'Points to win (0 for no limit)', type: 'integer', default: 0, min: 0, max: 50 },
+    ...END_CONDITION_OPTIONS,
+    { key: 'cardsPerHand', label: 'Hand size', type: 'integer', default: 7, min: 3, max: 12 },
+    { key: 'judging', label: 'Judging', type: 'choice', default: 'czar', choices: JUDGING_MODES },
+    { key: 'tieBreak', label: 'Tied votes', type: 'choice', default: 'share', choices: TIE_BREAKS },
+    { key: 'pointsPerVote', label: 'Points per vote', type: 'integer', default: 1, min: 0, max: 5 },
+    { key: 'packs', label: 'Card packs', type: 'list', default: [], max: MAX_PACKS },
+    { key: 'aiCards', label: 'AI-generated cards', type: 'boolean', default: true },
+    { key: 'timers.submit', label: 'Answer time (seconds)', type: 'number', default: PHASE_DURATIONS.submit, min: 0, max: BaseGame.MAX_PHASE_SECONDS },
+    { key: 'timers.judge', label: 'Judging / voting time (seconds)', type: 'number', default: PHASE_DURATIONS.judge, min: 0, max: BaseGame.MAX_PHASE_SECONDS },
+    { key: 'timers.reveal', label: 'Winner reveal (seconds)', type: 'number', default: PHASE_DURATIONS.reveal, min: 0, max: BaseGame.MAX_PHASE_SECONDS }
+  ],
+  modes: {
+    classic: {},
+    chaos: { maxRounds: 15, cardsPerHand: 10, timers: { submit: 45, judge: 30, reveal: 10 } },
+    easy: { maxRounds: 6, timers: { submit: 180, judge: 120, reveal: 20 } },
+    hardcore: { maxRounds: 20, cardsPerHand: 5, timers: { submit: 30, judge: 20, reveal: 5 } }
+  },
+  renderer: 'degens'
+};
+
+// Card IDs are numbers, but the client reads them back from the DOM
+DegensAgainstDecencyGame.actionSchemas = {
+  'submit-card': {
+    cardId: { type: ['string', 'number'], label: 'Card' },
+    cardIds: { type: 'array', label: 'Cards', minItems: 1, maxItems: MAX_PICK, items: { type: ['string', 'number'], label: 'Card' } }
+  },
+  'judge-submission': { slotId: { type: 'string', required: true, label: 'Submission' } },
+  vote: { slotId: { type: 'string', required: true, label: 'Submission' } },
+  'close-voting': {},
+  'next-round': {}
+};
+
 module.exports = DegensAgainstDecencyGame;
\ No newline at end of file
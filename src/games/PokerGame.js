@@ -7,6 +7,11 @@
  */
 
 const BaseGame = require('./BaseGame');
+const provablyFair = require('../ProvablyFair');
+
+const PHASE_DURATIONS = {
+  bet: 45 // Current player acting
+};
 
 class PokerGame extends BaseGame {
   constructor(id, creator, isPrivate, maxPlayers) {
@@ -21,30 +26,80 @@ class PokerGame extends BaseGame {
     this.pot = 0;
     this.currentPlayer = null;
     this.dealerIndex = 0;
+    this.rotateDealer = false; // Pass the button on at the next deal
     this.bettingRound = 1;
     this.maxBettingRounds = 4;
     this.smallBlind = 5;
     this.bigBlind = 10;
+    this.startingStack = 1000;
+    this.stacks = new Map(); // Chips each player has behind their bets
     this.foldedPlayers = new Set();
+    this.phaseDurations = { ...PHASE_DURATIONS };
+
+    // Commit-reveal shuffle: players see only the hash of the server seed
+    // until the hand ends, and can mix in their own seeds before the deal
+    this.clientSeeds = new Map();
+    this.clientSeed = null;
+    this.seedRevealed = false;
+    this.commitServerSeed(provablyFair.generateServerSeed());
+  }
+
+  // Blinds have to fit inside a starting stack
+  static validateOptions(options) {
+    if (options.bigBlind < options.smallBlind) {
+      return 'Big blind cannot be smaller than the small blind';
+    }
+    if (options.startingStack < options.bigBlind) {
+      return 'Starting stack must cover the big blind';
+    }
+    return null;
+  }
+
+  applyOptions(options) {
+    super.applyOptions(options);
+    this.smallBlind = options.smallBlind ?? this.smallBlind;
+    this.bigBlind = options.bigBlind ?? this.bigBlind;
+    this.startingStack = options.startingStack ?? this.startingStack;
+  }
+
+  commitServerSeed(serverSeed) {
+    this.serverSeed = serverSeed;
+    this.serverSeedHash = provablyFair.hashServerSeed(serverSeed);
+  }
+
+  setSeed(seed) {
+    super.setSeed(seed);
+    // BaseGame seeds itself before the commitment exists; after that, an
+    // explicitly seeded game gets a server seed derived from its seed
+    if (this.serverSeedHash) {
+      this.commitServerSeed(provablyFair.deriveServerSeed(this.seed));
+    }
   }
 
   initializeGame() {
     this.createDeck();
     this.shuffleDeck();
     this.setDealer();
+    this.stacks = new Map(this.players.map(p => [p.id, this.startingStack]));
     this.postBlinds();
     this.dealInitialCards();
     this.setCurrentPlayer();
+    this.startPhaseTimer('bet');
   }
 
   createDeck() {
+    this.deck = this.buildDeck();
+  }
+
+  // Unshuffled deck in a fixed order, the starting point for verification
+  buildDeck() {
     const suits = ['hearts', 'diamonds', 'clubs', 'spades'];
     const ranks = ['2', '3', '4', '5', '6', '7', '8', '9', '10', 'J', 'Q', 'K', 'A'];
     
-    this.deck = [];
+    const deck = [];
     for (const suit of suits) {
       for (const rank of ranks) {
-        this.deck.push({ 
+        deck.push({ 
           suit, 
           rank, 
           value: this.getCardValue(rank),
@@ -52,6 +107,7 @@ class PokerGame extends BaseGame {
         });
       }
     }
+    return deck;
   }
 
   getCardValue(rank) {
@@ -60,11 +116,19 @@ class PokerGame extends BaseGame {
   }
 
   shuffleDeck() {
-    this.deck = this.deck.sort(() => Math.random() - 0.5);
+    this.clientSeed = provablyFair.combineClientSeeds(this.players, this.clientSeeds);
+    this.deck = provablyFair.shuffle(this.deck, this.serverSeed, this.clientSeed);
   }
 
   setDealer() {
-    this.dealerIndex = Math.floor(Math.random() * this.players.length);
+    // A rotated rematch has moved every seat up one, so the same index is
+    // the next player along
+    if (this.rotateDealer) {
+      this.dealerIndex %= this.players.length;
+      this.rotateDealer = false;
+      return;
+    }
+    this.dealerIndex = Math.floor(this.random() * this.players.length);
   }
 
   postBlinds() {
@@ -75,11 +139,17 @@ class PokerGame extends BaseGame {
 
     this.playerBets.set(this.players[smallBlindIndex].id, this.smallBlind);
     this.playerBets.set(this.players[bigBlindIndex].id, this.bigBlind);
+    this.takeChips(this.players[smallBlindIndex].id, this.smallBlind);
+    this.takeChips(this.players[bigBlindIndex].id, this.bigBlind);
     
     this.currentBet = this.bigBlind;
     this.pot = this.smallBlind + this.bigBlind;
   }
 
+  takeChips(playerId, amount) {
+    this.stacks.set(playerId, (this.stacks.get(playerId) || 0) - amount);
+  }
+
   dealInitialCards() {
     // Deal 2 cards to each player (5-card stud starts with 2)
     for (const player of this.players) {
@@ -104,6 +174,9 @@ class PokerGame extends BaseGame {
       case 'start-game':
         return this.startGame();
       
+      case 'client-seed':
+        return this.setClientSeed(userId, action.seed);
+      
       case 'fold':
         return this.fold(userId);
       
@@ -121,6 +194,43 @@ class PokerGame extends BaseGame {
     }
   }
 
+  setClientSeed(userId, seed) {
+    if (this.status !== 'waiting') {
+      return { success: false, error: 'Client seeds can only be set before the deal' };
+    }
+    if (!this.players.some(p => p.id === userId)) {
+      return { success: false, error: 'Only seated players can contribute a seed' };
+    }
+    if (typeof seed !== 'string' || !seed.trim() || seed.length > provablyFair.MAX_CLIENT_SEED_LENGTH) {
+      return { success: false, error: `Client seed must be 1-${provablyFair.MAX_CLIENT_SEED_LENGTH} characters` };
+    }
+
+    this.clientSeeds.set(userId, seed.trim());
+    return { success: true };
+  }
+
+  // Everything needed to re-derive the deck order independently. The
+  // server seed and deck stay hidden until the hand is over.
+  getFairnessProof() {
+    const proof = {
+      gameId: this.id,
+      algorithm: provablyFair.ALGORITHM,
+      serverSeedHash: this.serverSeedHash,
+      clientSeeds: Object.fromEntries(this.clientSeeds),
+      clientSeed: this.clientSeed,
+      revealed: this.seedRevealed,
+      serverSeed: null,
+      deckOrder: null
+    };
+
+    if (this.seedRevealed) {
+      proof.serverSeed = this.serverSeed;
+      // Cards are dealt from the end of this list
+      proof.deckOrder = provablyFair.shuffle(this.buildDeck(), this.serverSeed, this.clientSeed).map(card => card.id);
+    }
+    return proof;
+  }
+
   fold(userId) {
     if (userId !== this.currentPlayer.id) {
       return { success: false, error: 'Not your turn' };
@@ -145,8 +255,12 @@ class PokerGame extends BaseGame {
 
     const currentPlayerBet = this.playerBets.get(userId) || 0;
     const callAmount = this.currentBet - currentPlayerBet;
+    if (callAmount > (this.stacks.get(userId) || 0)) {
+      return { success: false, error: 'Not enough chips to call' };
+    }
 
     this.playerBets.set(userId, this.currentBet);
+    this.takeChips(userId, callAmount);
     this.pot += callAmount;
 
     this.nextPlayer();
@@ -165,8 +279,12 @@ class PokerGame extends BaseGame {
     const currentPlayerBet = this.playerBets.get(userId) || 0;
     const totalAmount = this.currentBet + raiseAmount;
     const actualRaise = totalAmount - currentPlayerBet;
+    if (actualRaise > (this.stacks.get(userId) || 0)) {
+      return { success: false, error: 'Not enough chips to raise that much' };
+    }
 
     this.playerBets.set(userId, totalAmount);
+    this.takeChips(userId, actualRaise);
     this.pot += actualRaise;
     this.currentBet = totalAmount;
 
@@ -202,6 +320,19 @@ class PokerGame extends BaseGame {
     if (this.isBettingRoundComplete()) {
       this.nextBettingRound();
     }
+
+    if (this.status === 'playing') {
+      this.startPhaseTimer('bet');
+    }
+  }
+
+  onPhaseTimeout(phase) {
+    if (phase !== 'bet' || !this.currentPlayer) return;
+
+    // Check when it costs nothing, otherwise fold
+    const playerId = this.currentPlayer.id;
+    const owed = this.currentBet - (this.playerBets.get(playerId) || 0);
+    this.dispatchAction(playerId, { type: owed > 0 ? 'fold' : 'check', auto: true });
   }
 
   isBettingRoundComplete() {
@@ -423,10 +554,109 @@ class PokerGame extends BaseGame {
     // Award pot to winner
     const currentScore = this.scores.get(winnerId) || 0;
     this.scores.set(winnerId, currentScore + this.pot);
+    this.takeChips(winnerId, -this.pot);
 
     this.status = 'finished';
+    this.clearPhaseTimer();
     this.winner = winnerId;
     this.finalHandRankings = handRankings;
+    this.seedRevealed = true;
+  }
+
+  // A new hand needs a new commitment, random like a fresh game's: a seed
+  // derived from a 32-bit step seed could be found by trying every step
+  // seed against the published hash. It arrives as a system event so the
+  // action log has it and a replay of the rematch deals the same cards.
+  startRematch(userId, options) {
+    const result = super.startRematch(userId, options);
+    if (result.success && !this.isReplay) {
+      this.dispatchSystemEvent({ type: 'server-seed', serverSeed: provablyFair.generateServerSeed() });
+    }
+    return result;
+  }
+
+  // Old client seeds are dropped because players must pick theirs after
+  // seeing the new hash
+  applySystemEvent(event) {
+    if (event.type !== 'server-seed') {
+      return super.applySystemEvent(event);
+    }
+
+    this.commitServerSeed(event.serverSeed);
+    this.clientSeeds.clear();
+    this.clientSeed = null;
+    this.seedRevealed = false;
+    return { success: true };
+  }
+
+  resetForRematch(rotate) {
+    this.deck = [];
+    this.playerHands.clear();
+    this.playerBets.clear();
+    this.currentBet = 0;
+    this.pot = 0;
+    this.currentPlayer = null;
+    this.rotateDealer = rotate;
+    this.bettingRound = 1;
+    this.stacks.clear();
+    this.foldedPlayers.clear();
+    this.winner = undefined;
+    this.finalHandRankings = null;
+    this.clientSeeds.clear();
+    this.clientSeed = null;
+    this.seedRevealed = false;
+  }
+
+  serialize() {
+    return {
+      ...super.serialize(),
+      deck: this.deck,
+      playerHands: Array.from(this.playerHands.entries()),
+      playerBets: Array.from(this.playerBets.entries()),
+      currentBet: this.currentBet,
+      pot: this.pot,
+      currentPlayerId: this.currentPlayer ? this.currentPlayer.id : null,
+      dealerIndex: this.dealerIndex,
+      rotateDealer: this.rotateDealer,
+      bettingRound: this.bettingRound,
+      maxBettingRounds: this.maxBettingRounds,
+      smallBlind: this.smallBlind,
+      bigBlind: this.bigBlind,
+      startingStack: this.startingStack,
+      stacks: Array.from(this.stacks.entries()),
+      foldedPlayers: Array.from(this.foldedPlayers),
+      winner: this.winner || null,
+      finalHandRankings: this.finalHandRankings || null,
+      serverSeed: this.serverSeed,
+      clientSeeds: Array.from(this.clientSeeds.entries()),
+      clientSeed: this.clientSeed,
+      seedRevealed: this.seedRevealed
+    };
+  }
+
+  restoreState(data) {
+    super.restoreState(data);
+    this.deck = data.deck || [];
+    this.playerHands = new Map(data.playerHands || []);
+    this.playerBets = new Map(data.playerBets || []);
+    this.currentBet = data.currentBet || 0;
+    this.pot = data.pot || 0;
+    this.currentPlayer = this.players.find(p => p.id === data.currentPlayerId) || null;
+    this.dealerIndex = data.dealerIndex || 0;
+    this.rotateDealer = !!data.rotateDealer;
+    this.bettingRound = data.bettingRound || 1;
+    this.maxBettingRounds = data.maxBettingRounds || this.maxBettingRounds;
+    this.smallBlind = data.smallBlind ?? this.smallBlind;
+    this.bigBlind = data.bigBlind ?? this.bigBlind;
+    this.startingStack = data.startingStack ?? this.startingStack;
+    this.stacks = new Map(data.stacks || []);
+    this.foldedPlayers = new Set(data.foldedPlayers || []);
+    this.winner = data.winner || undefined;
+    this.finalHandRankings = data.finalHandRankings || null;
+    this.commitServerSeed(data.serverSeed);
+    this.clientSeeds = new Map(data.clientSeeds || []);
+    this.clientSeed = data.clientSeed || null;
+    this.seedRevealed = !!data.seedRevealed;
   }
 
   getGameState() {
@@ -442,7 +672,10 @@ class PokerGame extends BaseGame {
         id: this.currentPlayer.id,
         username: this.currentPlayer.username
       } : null,
+      smallBlind: this.smallBlind,
+      bigBlind: this.bigBlind,
       playerBets: Object.fromEntries(this.playerBets),
+      stacks: Object.fromEntries(this.stacks),
       foldedPlayers: Array.from(this.foldedPlayers),
       playerHands: Object.fromEntries(
         Array.from(this.playerHands.entries()).map(([playerId, hand]) => [
@@ -451,9 +684,71 @@ class PokerGame extends BaseGame {
         ])
       ),
       winner: this.winner,
-      finalHandRankings: this.finalHandRankings || []
+      finalHandRankings: this.finalHandRankings || [],
+      fairness: {
+        serverSeedHash: this.serverSeedHash,
+        clientSeeds: Object.fromEntries(this.clientSeeds),
+        clientSeed: this.clientSeed,
+        serverSeed: this.seedRevealed ? this.serverSeed : null
+      }
     };
   }
+
+  getGameStateFor(viewerId) {
+    const state = super.getGameStateFor(viewerId);
+
+    // Hands that reached showdown are revealed; everything else stays private
+    const revealed = new Set((this.finalHandRankings || []).map(r => r.playerId));
+    state.handSizes = Object.fromEntries(
+      Array.from(this.playerHands.entries()).map(([playerId, hand]) => [playerId, hand.length])
+    );
+    state.playerHands = Object.fromEntries(
+      Object.entries(state.playerHands).filter(([playerId]) => playerId === viewerId || revealed.has(playerId))
+    );
+
+    return state;
+  }
 }
 
+PokerGame.manifest = {
+  id: 'poker',
+  name: 'Poker (5-Card Stud)',
+  emoji: '🂡',
+  description: 'Five-card stud with blinds, betting rounds and a provably fair deck',
+  minPlayers: 3,
+  maxPlayers: 7,
+  options: [
+    { key: 'smallBlind', label: 'Small blind', type: 'integer', default: 5, min: 1, max: 10000 },
+    { key: 'bigBlind', label: 'Big blind', type: 'integer', default: 10, min: 1, max: 20000 },
+    { key: 'startingStack', label: 'Starting stack', type: 'integer', default: 1000, min: 1, max: 1000000 },
+    { key: 'timers.bet', label: 'Time to act (seconds)', type: 'number', default: PHASE_DURATIONS.bet, min: 0, max: BaseGame.MAX_PHASE_SECONDS }
+  ],
+  modes: {
+    classic: {},
+    chaos: { smallBlind: 25, bigBlind: 50, startingStack: 500, timers: { bet: 20 } },
+    easy: { startingStack: 2000, timers: { bet: 90 } },
+    hardcore: { smallBlind: 50, bigBlind: 100, timers: { bet: 15 } }
+  },
+  renderer: 'poker'
+};
+
+PokerGame.actionSchemas = {
+  'client-seed': {
+    seed: { type: 'string', required: true, label: 'Client seed', minLength: 1, maxLength: provablyFair.MAX_CLIENT_SEED_LENGTH }
+  },
+  fold: {},
+  call: {},
+  check: {},
+  raise: {
+    // The raise is on top of the current bet, paid from the player's stack
+    amount: {
+      type: 'integer',
+      required: true,
+      label: 'Raise amount',
+      min: 1,
+      max: ({ game, userId }) => (game.stacks.get(userId) || 0) + (game.playerBets.get(userId) || 0) - game.currentBet
+    }
+  }
+};
+
 module.exports = PokerGame;
\ No newline at end of file
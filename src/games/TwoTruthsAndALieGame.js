@@ -8,6 +8,15 @@
 
 const BaseGame = require('./BaseGame');
 const AICardGenerator = require('../AICardGenerator');
+const { END_CONDITION_OPTIONS, validateEndCondition } = require('../EndConditions');
+
+const PHASE_DURATIONS = {
+  statements: 120, // Current player writing statements
+  guess: 60,       // Everyone else guessing the lie
+  reveal: 15       // Showing results before the next turn
+};
+
+const MAX_STATEMENT_LENGTH = 200;
 
 class TwoTruthsAndALieGame extends BaseGame {
   constructor(id, creator, isPrivate, maxPlayers) {
@@ -20,38 +29,64 @@ class TwoTruthsAndALieGame extends BaseGame {
     this.currentPlayer = null;
     this.statements = [];
     this.guesses = new Map();
+    this.revealed = false;
     this.maxRounds = 5;
+    this.pointsToWin = 0; // 0 plays every round
     this.pointsForCorrectGuess = 10;
     this.pointsForFoolingOthers = 5;
+    this.phaseDurations = { ...PHASE_DURATIONS };
+    this.hostOnlyActions.push('next-turn');
+  }
+
+  applyOptions(options) {
+    super.applyOptions(options);
+    this.maxRounds = options.maxRounds ?? this.maxRounds;
+    this.pointsToWin = options.pointsToWin ?? this.pointsToWin;
+    this.pointsForCorrectGuess = options.pointsForCorrectGuess ?? this.pointsForCorrectGuess;
+    this.pointsForFoolingOthers = options.pointsForFoolingOthers ?? this.pointsForFoolingOthers;
   }
 
   async initializeGame() {
+    // During a replay the prompts come from the logged 'prompts-loaded' event
+    if (this.isReplay) return;
+
+    let prompts;
+
     try {
       // Generate prompts using AI
-      this.prompts = await this.aiCardGenerator.generateTwoTruthsPrompts(this.maxRounds * 2);
+      prompts = await this.aiCardGenerator.generateTwoTruthsPrompts(this.maxRounds * 2);
       
       // Add fallback prompts if needed
-      if (this.prompts.length < this.maxRounds) {
+      if (prompts.length < this.maxRounds) {
         const fallback = this.aiCardGenerator.getFallbackTwoTruthsPrompts();
-        this.prompts.push(...fallback);
+        prompts.push(...fallback);
       }
-      
-      this.shufflePrompts();
-      this.selectCurrentPlayer();
-      this.drawPrompt();
-      
     } catch (error) {
       console.error('Error initializing 2 Truths game:', error);
       // Use fallback prompts
-      this.prompts = this.aiCardGenerator.getFallbackTwoTruthsPrompts();
-      this.shufflePrompts();
-      this.selectCurrentPlayer();
-      this.drawPrompt();
+      prompts = this.aiCardGenerator.getFallbackTwoTruthsPrompts();
     }
+
+    // Prompt generation finishes after start-game has already been handled
+    this.dispatchSystemEvent({ type: 'prompts-loaded', prompts });
+  }
+
+  applySystemEvent(event) {
+    if (event.type !== 'prompts-loaded') {
+      return super.applySystemEvent(event);
+    }
+
+    this.prompts = [...event.prompts];
+    this.shufflePrompts();
+    this.selectCurrentPlayer();
+    this.drawPrompt();
+    this.startPhaseTimer('statements');
+
+    return { success: true };
   }
 
   shufflePrompts() {
-    this.prompts = this.prompts.sort(() => Math.random() - 0.5);
+    this.shuffle(this.prompts);
   }
 
   selectCurrentPlayer() {
@@ -93,7 +128,15 @@ class TwoTruthsAndALieGame extends BaseGame {
         }
         return { success: false, error: 'Only the current player can reveal results' };
       
+      // The host may only move on after the reveal; timeouts can skip an
+      // AFK player's turn
       case 'next-turn':
+        if (this.status !== 'playing') {
+          return { success: false, error: 'Game is not in progress' };
+        }
+        if (!action.auto && !this.revealed) {
+          return { success: false, error: 'Reveal the results first' };
+        }
         return this.nextTurn();
       
       default:
@@ -114,7 +157,7 @@ class TwoTruthsAndALieGame extends BaseGame {
     }
 
     // Shuffle the statements so the lie position is random
-    const shuffledStatements = [...statements].sort(() => Math.random() - 0.5);
+    const shuffledStatements = this.shuffle([...statements]);
     
     this.statements = shuffledStatements.map((text, index) => ({
       id: index,
@@ -123,6 +166,7 @@ class TwoTruthsAndALieGame extends BaseGame {
     }));
 
     this.guesses.clear();
+    this.startPhaseTimer('guess');
     return { success: true };
   }
 
@@ -144,6 +188,11 @@ class TwoTruthsAndALieGame extends BaseGame {
       return { success: false, error: 'Invalid lie index' };
     }
 
+    if (this.revealed) {
+      return { success: false, error: 'Results have already been revealed' };
+    }
+    this.revealed = true;
+
     // Calculate scores
     let correctGuesses = 0;
     const results = [];
@@ -170,6 +219,8 @@ class TwoTruthsAndALieGame extends BaseGame {
       this.scores.set(this.currentPlayer.id, currentScore + (incorrectGuesses * this.pointsForFoolingOthers));
     }
 
+    this.startPhaseTimer('reveal');
+
     return { 
       success: true, 
       results,
@@ -182,18 +233,20 @@ class TwoTruthsAndALieGame extends BaseGame {
   }
 
   nextTurn() {
-    // Check if all players have had their turn this round
-    const playersPerRound = this.players.length;
-    const currentTurnInRound = (this.currentRound - 1) * playersPerRound + 
-      (this.players.findIndex(p => p.id === this.currentPlayer.id) + 1);
-
-    if (currentTurnInRound >= this.maxRounds * playersPerRound) {
-      this.endGame();
-      return { success: true, gameEnded: true };
+    // The game only ends once everyone has had the same number of turns.
+    // Prompts are just topics, so running out of them only matters when
+    // playing until the deck runs out; otherwise the last one stays up.
+    const roundComplete = this.players.findIndex(p => p.id === this.currentPlayer.id) === this.players.length - 1;
+    const deckEmpty = this.endCondition === 'deck' && this.prompts.length === 0;
+    if (roundComplete || deckEmpty) {
+      const endReason = this.checkForGameEnd(roundComplete ? this.currentRound : this.currentRound - 1, deckEmpty);
+      if (endReason) {
+        this.endGame(endReason);
+        return { success: true, gameEnded: true };
+      }
     }
 
-    // Check if round is complete
-    if ((currentTurnInRound % playersPerRound) === 0) {
+    if (roundComplete) {
       this.currentRound++;
     }
 
@@ -201,12 +254,39 @@ class TwoTruthsAndALieGame extends BaseGame {
     this.drawPrompt();
     this.statements = [];
     this.guesses.clear();
+    this.revealed = false;
+    this.startPhaseTimer('statements');
 
     return { success: true };
   }
 
-  endGame() {
+  onPhaseTimeout(phase) {
+    const currentPlayerId = this.currentPlayer?.id;
+
+    switch (phase) {
+      case 'statements':
+        // Current player is AFK - skip their turn
+        this.dispatchAction(this.hostId, { type: 'next-turn', auto: true });
+        break;
+
+      case 'guess': {
+        // Reveal with whatever guesses are in
+        const lieIndex = this.statements.findIndex(s => s.isLie);
+        this.dispatchAction(currentPlayerId, { type: 'reveal-results', lieIndex: Math.max(lieIndex, 0), auto: true });
+        break;
+      }
+
+      case 'reveal':
+        this.dispatchAction(this.hostId, { type: 'next-turn', auto: true });
+        break;
+    }
+  }
+
+  endGame(reason = null) {
     this.status = 'finished';
+    this.endReason = reason;
+    this.clearPhaseTimer();
+    this.clearSessionTimer();
     
     // Find winner(s)
     let maxScore = 0;
@@ -225,6 +305,49 @@ class TwoTruthsAndALieGame extends BaseGame {
     this.winners = winners;
   }
 
+  // The first seat goes first in the rematch
+  resetForRematch() {
+    this.prompts = [];
+    this.currentPrompt = null;
+    this.currentPlayer = null;
+    this.statements = [];
+    this.guesses.clear();
+    this.revealed = false;
+    this.winners = undefined;
+  }
+
+  serialize() {
+    return {
+      ...super.serialize(),
+      prompts: this.prompts,
+      currentPrompt: this.currentPrompt,
+      currentPlayerId: this.currentPlayer ? this.currentPlayer.id : null,
+      statements: this.statements,
+      guesses: Array.from(this.guesses.entries()),
+      revealed: this.revealed,
+      maxRounds: this.maxRounds,
+      pointsToWin: this.pointsToWin,
+      pointsForCorrectGuess: this.pointsForCorrectGuess,
+      pointsForFoolingOthers: this.pointsForFoolingOthers,
+      winners: this.winners || null
+    };
+  }
+
+  restoreState(data) {
+    super.restoreState(data);
+    this.prompts = data.prompts || [];
+    this.currentPrompt = data.currentPrompt || null;
+    this.currentPlayer = this.players.find(p => p.id === data.currentPlayerId) || null;
+    this.statements = data.statements || [];
+    this.guesses = new Map(data.guesses || []);
+    this.revealed = !!data.revealed;
+    this.maxRounds = data.maxRounds || this.maxRounds;
+    this.pointsToWin = data.pointsToWin ?? this.pointsToWin;
+    this.pointsForCorrectGuess = data.pointsForCorrectGuess ?? this.pointsForCorrectGuess;
+    this.pointsForFoolingOthers = data.pointsForFoolingOthers ?? this.pointsForFoolingOthers;
+    this.winners = data.winners || undefined;
+  }
+
   getGameState() {
     const baseState = super.getGameState();
     return {
@@ -241,12 +364,81 @@ class TwoTruthsAndALieGame extends BaseGame {
         playerName: this.players.find(p => p.id === playerId)?.username || 'Unknown'
       })),
       maxRounds: this.maxRounds,
+      pointsToWin: this.pointsToWin,
       winners: this.winners || [],
       allGuessed: this.guesses.size === this.players.length - 1, // All except current player
+      revealed: this.revealed,
       phase: this.statements.length === 0 ? 'waiting-for-statements' : 
+             this.revealed ? 'results' :
              this.guesses.size < this.players.length - 1 ? 'guessing' : 'reveal'
     };
   }
+
+  getGameStateFor(viewerId) {
+    const state = super.getGameStateFor(viewerId);
+
+    if (this.revealed) {
+      return state;
+    }
+
+    // Until the reveal only the player who wrote the statements knows which
+    // one is the lie, and everyone else only sees who has guessed
+    if (!this.currentPlayer || viewerId !== this.currentPlayer.id) {
+      state.statements = state.statements.map(({ id, text }) => ({ id, text }));
+    }
+    state.guesses = state.guesses.map(({ playerId, guess, playerName }) =>
+      (playerId === viewerId ? { playerId, guess, playerName } : { playerId, playerName }));
+
+    return state;
+  }
+
+  static validateOptions(options) {
+    return validateEndCondition(options);
+  }
 }
 
+TwoTruthsAndALieGame.manifest = {
+  id: '2-truths-and-a-lie',
+  name: '2 Truths and a Lie',
+  emoji: '🤥',
+  description: 'Share three statements and see who can spot the lie',
+  minPlayers: 3,
+  maxPlayers: 7,
+  options: [
+    { key: 'maxRounds', label: 'Rounds', type: 'integer', default: 5, min: 1, max: 20 },
+    { key: 'pointsToWin', label: 'Points to win (0 for no limit)', type: 'integer', default: 0, min: 0, max: 500 },
+    ...END_CONDITION_OPTIONS,
+    { key: 'pointsForCorrectGuess', label: 'Points for spotting the lie', type: 'integer', default: 10, min: 0, max: 100 },
+    { key: 'pointsForFoolingOthers', label: 'Points per player fooled', type: 'integer', default: 5, min: 0, max: 100 },
+    { key: 'timers.statements', label: 'Writing time (seconds)', type: 'number', default: PHASE_DURATIONS.statements, min: 0, max: BaseGame.MAX_PHASE_SECONDS },
+    { key: 'timers.guess', label: 'Guessing time (seconds)', type: 'number', default: PHASE_DURATIONS.guess, min: 0, max: BaseGame.MAX_PHASE_SECONDS },
+    { key: 'timers.reveal', label: 'Results reveal (seconds)', type: 'number', default: PHASE_DURATIONS.reveal, min: 0, max: BaseGame.MAX_PHASE_SECONDS }
+  ],
+  modes: {
+    classic: {},
+    chaos: { maxRounds: 3, pointsForFoolingOthers: 10, timers: { statements: 60, guess: 30, reveal: 10 } },
+    easy: { maxRounds: 3, timers: { statements: 240, guess: 120, reveal: 20 } },
+    hardcore: { maxRounds: 8, pointsForCorrectGuess: 5, pointsForFoolingOthers: 15, timers: { statements: 60, guess: 20, reveal: 5 } }
+  },
+  renderer: 'two-truths'
+};
+
+TwoTruthsAndALieGame.actionSchemas = {
+  'submit-statements': {
+    statements: {
+      type: 'array',
+      required: true,
+      label: 'Statements',
+      minItems: 3,
+      maxItems: 3,
+      items: { type: 'string', label: 'Each statement', minLength: 1, maxLength: MAX_STATEMENT_LENGTH }
+    }
+  },
+  'make-guess': { lieIndex: { type: 'integer', required: true, label: 'Guess', min: 0, max: 2 } },
+  'reveal-results': { lieIndex: { type: 'integer', required: true, label: 'Lie', min: 0, max: 2 } },
+  'next-turn': {}
+};
+
+TwoTruthsAndALieGame.MAX_STATEMENT_LENGTH = MAX_STATEMENT_LENGTH;
+
 module.exports = TwoTruthsAndALieGame;
\ No newline at end of file
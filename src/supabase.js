@@ -463,6 +463,252 @@ async function updateGameStatus(gameId, status) {
   }
 }
 
+/**
+ * Save a game's action log (used to rebuild and replay the game)
+ * @param {string} gameId - The game ID
+ * @param {object} log - The serialized action log
+ * @returns {Promise<boolean>}
+ */
+async function saveGameLog(gameId, log) {
+  const client = getSupabaseAdmin();
+  if (!client) return false;
+
+  try {
+    const { error } = await client
+      .from('game_logs')
+      .upsert({
+        game_id: gameId,
+        game_type: log.gameType,
+        log,
+        updated_at: new Date().toISOString()
+      }, {
+        onConflict: 'game_id'
+      });
+
+    if (error) {
+      console.error('Error saving game log:', error.message);
+      return false;
+    }
+
+    return true;
+  } catch (error) {
+    console.error('Error saving game log:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Get a game's action log
+ * @param {string} gameId - The game ID
+ * @returns {Promise<object|null>}
+ */
+async function getGameLog(gameId) {
+  const client = getSupabaseAdmin();
+  if (!client) return null;
+
+  try {
+    const { data, error } = await client
+      .from('game_logs')
+      .select('log')
+      .eq('game_id', gameId)
+      .single();
+
+    if (error) {
+      if (error.code !== 'PGRST116') {
+        console.error('Error getting game log:', error.message);
+      }
+      return null;
+    }
+
+    return data.log;
+  } catch (error) {
+    console.error('Error getting game log:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Archive the summary of a finished game that has been cleaned up
+ * @param {object} summary - Result summary built by GameReaper
+ * @returns {Promise<boolean>}
+ */
+async function saveGameSummary(summary) {
+  const client = getSupabaseAdmin();
+  if (!client) return false;
+
+  try {
+    const { error } = await client
+      .from('game_summaries')
+      .upsert({
+        game_id: summary.id,
+        game_type: summary.type,
+        summary,
+        finished_at: summary.finishedAt
+      }, {
+        onConflict: 'game_id'
+      });
+
+    if (error) {
+      console.error('Error saving game summary:', error.message);
+      return false;
+    }
+
+    return true;
+  } catch (error) {
+    console.error('Error saving game summary:', error.message);
+    return false;
+  }
+}
+
+// Card Pack Operations
+
+/**
+ * Save a card pack (created or edited)
+ * @param {object} pack - The stored pack, including id and ownerId
+ * @returns {Promise<boolean>}
+ */
+async function saveCardPack(pack) {
+  const client = getSupabaseAdmin();
+  if (!client) return false;
+
+  try {
+    const { error } = await client
+      .from('card_packs')
+      .upsert({
+        id: pack.id,
+        owner_id: pack.ownerId,
+        owner_name: pack.ownerName,
+        name: pack.name,
+        visibility: pack.visibility,
+        content_rating: pack.contentRating,
+        pack,
+        updated_at: new Date().toISOString()
+      }, {
+        onConflict: 'id'
+      });
+
+    if (error) {
+      console.error('Error saving card pack:', error.message);
+      return false;
+    }
+
+    return true;
+  } catch (error) {
+    console.error('Error saving card pack:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Get a card pack
+ * @param {string} packId - The pack ID
+ * @returns {Promise<object|null>} null if there is no such pack
+ * @throws {Error} If the pack couldn't be read
+ */
+async function getCardPack(packId) {
+  const client = getSupabaseAdmin();
+  if (!client) return null;
+
+  const { data, error } = await client
+    .from('card_packs')
+    .select('pack')
+    .eq('id', packId)
+    .single();
+
+  if (error) {
+    if (error.code === 'PGRST116') {
+      return null;
+    }
+    console.error('Error getting card pack:', error.message);
+    throw new Error('Failed to load card pack');
+  }
+
+  return data.pack;
+}
+
+/**
+ * List public card packs and the ones a user owns
+ * @param {string|null} userId - The user ID, or null for public packs only
+ * @returns {Promise<object[]|null>} null if the list failed
+ */
+async function listCardPacks(userId) {
+  const client = getSupabaseAdmin();
+  if (!client) return null;
+
+  try {
+    let query = client
+      .from('card_packs')
+      .select('pack')
+      .order('updated_at', { ascending: false });
+    query = userId ? query.or(`visibility.eq.public,owner_id.eq.${userId}`) : query.eq('visibility', 'public');
+
+    const { data, error } = await query;
+    if (error) {
+      console.error('Error listing card packs:', error.message);
+      return null;
+    }
+
+    return (data || []).map(row => row.pack);
+  } catch (error) {
+    console.error('Error listing card packs:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Count the card packs a user owns
+ * @param {string} ownerId - The user ID
+ * @returns {Promise<number|null>} null if the count failed
+ */
+async function countCardPacks(ownerId) {
+  const client = getSupabaseAdmin();
+  if (!client) return null;
+
+  try {
+    const { count, error } = await client
+      .from('card_packs')
+      .select('id', { count: 'exact', head: true })
+      .eq('owner_id', ownerId);
+
+    if (error) {
+      console.error('Error counting card packs:', error.message);
+      return null;
+    }
+
+    return count || 0;
+  } catch (error) {
+    console.error('Error counting card packs:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Delete a card pack
+ * @param {string} packId - The pack ID
+ * @returns {Promise<boolean>}
+ */
+async function deleteCardPack(packId) {
+  const client = getSupabaseAdmin();
+  if (!client) return false;
+
+  try {
+    const { error } = await client
+      .from('card_packs')
+      .delete()
+      .eq('id', packId);
+
+    if (error) {
+      console.error('Error deleting card pack:', error.message);
+      return false;
+    }
+
+    return true;
+  } catch (error) {
+    console.error('Error deleting card pack:', error.message);
+    return false;
+  }
+}
+
 module.exports = {
   initSupabase,
   getSupabase,
@@ -480,5 +726,13 @@ module.exports = {
   getGame,
   getActiveGames,
   deleteGame,
-  updateGameStatus
+  updateGameStatus,
+  saveGameLog,
+  getGameLog,
+  saveGameSummary,
+  saveCardPack,
+  getCardPack,
+  listCardPacks,
+  countCardPacks,
+  deleteCardPack
 };
@@ -7,11 +7,61 @@ const PokerGame = require('./src/games/PokerGame');
 const DegensAgainstDecencyGame = require('./src/games/DegensAgainstDecencyGame');
 const TwoTruthsAndALieGame = require('./src/games/TwoTruthsAndALieGame');
 const BaseGame = require('./src/games/BaseGame');
+const GameManager = require('./src/GameManager');
+const SeededRandom = require('./src/SeededRandom');
+const GameRegistry = require('./src/GameRegistry');
+const PokerBot = require('./src/bots/PokerBot');
+const DegensBot = require('./src/bots/DegensBot');
+const TournamentManager = require('./src/TournamentManager');
+const Matchmaker = require('./src/Matchmaker');
+const GameReaper = require('./src/GameReaper');
+const payloadSchemas = require('./src/PayloadSchemas');
+const { validate } = require('./src/Validator');
+const RateLimiter = require('./src/RateLimiter');
+const AICardGenerator = require('./src/AICardGenerator');
+const CardPack = require('./src/CardPack');
+const CardPackStore = require('./src/CardPackStore');
+const RoomPassword = require('./src/RoomPassword');
+
+// Minimal Socket.IO server stand-in for GameManager tests
+function createMockIo() {
+  return {
+    to: () => ({ emit: () => {} }),
+    sockets: { adapter: { rooms: new Map() }, sockets: new Map() }
+  };
+}
 
 // Test counter
 let passed = 0;
 let failed = 0;
 
+// Async checks register here; results are printed once they settle
+const pendingTests = [];
+
+// Resolve once condition() holds, or give up after timeoutMs
+function waitFor(condition, timeoutMs = 2000) {
+  const startedAt = Date.now();
+  return new Promise(resolve => {
+    const check = () => {
+      if (condition() || Date.now() - startedAt > timeoutMs) {
+        resolve();
+      } else {
+        setTimeout(check, 10);
+      }
+    };
+    check();
+  });
+}
+
+// Ready up every seated human, then start as the host
+function startWhenReady(manager, gameId) {
+  const game = manager.getGame(gameId);
+  for (const player of game.players.filter(p => !p.isBot)) {
+    manager.handleGameAction(gameId, player.id, { type: 'ready' });
+  }
+  return manager.handleGameAction(gameId, game.hostId, { type: 'start-game' });
+}
+
 function assert(condition, testName) {
   if (condition) {
     console.log(`✅ PASS: ${testName}`);
@@ -220,6 +270,21 @@ const truthsState = twoTruthsGame.getGameState();
 assert(truthsState.type === '2-truths-and-a-lie', '2Truths: Game state type correct');
 assert(truthsState.statements.length === 3, '2Truths: Game state statements correct');
 
+const turnGame = new TwoTruthsAndALieGame('test-2truths-turns', creator, false, 5);
+['turn-2', 'turn-3'].forEach(id => turnGame.addPlayer({ id, username: id }, null));
+turnGame.status = 'playing';
+turnGame.currentRound = 1;
+turnGame.currentPlayer = turnGame.players[1];
+const skipResult = turnGame.performAction('turn-2', { type: 'next-turn' });
+assert(skipResult.success === false && turnGame.currentPlayer.id === 'turn-2', '2Truths: Only the host can move to the next turn');
+assert(turnGame.performAction(creator.id, { type: 'next-turn' }).success === false, '2Truths: Host cannot skip a turn before the reveal');
+turnGame.onPhaseTimeout('reveal');
+assert(turnGame.currentPlayer.id === 'turn-3', '2Truths: Reveal timer still moves to the next turn');
+turnGame.submitStatements(['I can whistle', 'I can knit', 'I can fly']);
+turnGame.revealResults(0);
+assert(turnGame.performAction(creator.id, { type: 'next-turn' }).success && turnGame.currentPlayer.id !== 'turn-3', '2Truths: Host moves on once results are revealed');
+turnGame.dispose();
+
 // ===== POKER GAME CREATION TESTS =====
 console.log('\n━━━ Poker Game Creation Tests ━━━');
 
@@ -247,17 +312,1131 @@ assert(diamonds.length === 13, 'Poker: 13 diamonds in deck');
 assert(clubs.length === 13, 'Poker: 13 clubs in deck');
 assert(spades.length === 13, 'Poker: 13 spades in deck');
 
-// ===== RESULTS =====
-console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
-console.log(`\n📊 Test Results:`);
-console.log(`   ✅ Passed: ${passed}`);
-console.log(`   ❌ Failed: ${failed}`);
-console.log(`   📈 Total:  ${passed + failed}`);
-
-if (failed === 0) {
-  console.log(`\n🎉 All tests passed!\n`);
-  process.exit(0);
-} else {
-  console.log(`\n⚠️  Some tests failed. Please review.\n`);
-  process.exit(1);
+// ===== PER-VIEWER STATE TESTS =====
+console.log('\n━━━ Per-Viewer State Tests ━━━');
+
+const viewerGame = new DegensAgainstDecencyGame('test-viewer', creator, false, 5);
+viewerGame.addPlayer({ id: 'viewer-2', username: 'Viewer2' }, null);
+viewerGame.addPlayer({ id: 'viewer-3', username: 'Viewer3' }, null);
+viewerGame.answerCards = Array.from({ length: 30 }, (_, i) => ({ id: `a-${i}`, type: 'answer', text: `Answer ${i}` }));
+viewerGame.questionCards = [{ id: 'q-1', type: 'question', text: 'Why ___?' }];
+viewerGame.status = 'playing';
+viewerGame.dealInitialHands();
+viewerGame.cardCzar = viewerGame.players[0];
+viewerGame.drawQuestion();
+
+const ownView = viewerGame.getGameStateFor('viewer-2');
+assert(Object.keys(ownView.playerHands).length === 1 && ownView.playerHands['viewer-2'], 'Viewer: Player sees only their own hand');
+assert(Object.keys(viewerGame.getGameStateFor(null).playerHands).length === 0, 'Viewer: Spectator sees no hands');
+
+const submittedCardId = viewerGame.playerHands.get('viewer-2')[0].id;
+viewerGame.submitCard('viewer-2', submittedCardId);
+assert(viewerGame.getGameStateFor(creator.id).submissions.length === 0, 'Viewer: Czar sees nothing until everyone has submitted');
+viewerGame.submitCard('viewer-3', viewerGame.playerHands.get('viewer-3')[0].id);
+const czarView = viewerGame.getGameStateFor(creator.id);
+assert(czarView.submissions.length === 2 && czarView.submissions.every(sub => sub.playerId === undefined && sub.slotId), 'Viewer: Submissions anonymous before judging');
+const ownSlot = viewerGame.getGameStateFor('viewer-2').submissions.find(sub => sub.isOwn);
+assert(ownSlot && ownSlot.cards[0].id === submittedCardId, 'Viewer: Player can recognise own submission');
+
+viewerGame.judgeSubmission(ownSlot.slotId);
+assert(viewerGame.getGameStateFor(null).submissions.find(sub => sub.slotId === ownSlot.slotId).playerId === 'viewer-2', 'Viewer: Authorship revealed after judging');
+assert(viewerGame.scores.get('viewer-2') === 1, 'Viewer: Judging by slot awards the author');
+
+const viewerPoker = new PokerGame('test-viewer-poker', creator, false, 4);
+viewerPoker.addPlayer({ id: 'poker-2', username: 'Poker2' }, null);
+viewerPoker.addPlayer({ id: 'poker-3', username: 'Poker3' }, null);
+viewerPoker.initializeGame();
+const pokerView = viewerPoker.getGameStateFor('poker-3');
+assert(Object.keys(pokerView.playerHands).length === 1 && pokerView.playerHands['poker-3'].length === 2, 'Viewer: Poker player sees only their own cards');
+assert(pokerView.handSizes[creator.id] === 2, 'Viewer: Poker exposes opponent card counts');
+
+const viewerTruths = new TwoTruthsAndALieGame('test-viewer-truths', creator, false, 5);
+viewerTruths.addPlayer({ id: 'truths-2', username: 'Truths2' }, null);
+viewerTruths.addPlayer({ id: 'truths-3', username: 'Truths3' }, null);
+viewerTruths.status = 'playing';
+viewerTruths.currentPlayer = viewerTruths.players[0];
+viewerTruths.submitStatements(['I can juggle', 'I have a twin', 'I have been to space']);
+viewerTruths.makeGuess('truths-2', 1);
+const guessingView = viewerTruths.getGameStateFor('truths-3');
+assert(guessingView.guesses.length === 1 && guessingView.guesses[0].playerId === 'truths-2' && guessingView.guesses[0].guess === undefined, 'Viewer: 2 Truths shows who has guessed but not their guess');
+assert(viewerTruths.getGameStateFor('truths-2').guesses[0].guess === 1, 'Viewer: 2 Truths players see their own guess');
+assert(guessingView.statements.every(s => s.isLie === undefined), 'Viewer: 2 Truths hides the lie while guessing');
+viewerTruths.revealResults(viewerTruths.statements.findIndex(s => s.isLie));
+const resultsView = viewerTruths.getGameStateFor(null);
+assert(resultsView.guesses[0].guess === 1 && resultsView.statements.filter(s => s.isLie).length === 1, 'Viewer: 2 Truths shows guesses and the lie after the reveal');
+viewerTruths.dispose();
+
+// ===== RECONNECTION TESTS =====
+console.log('\n━━━ Reconnection Tests ━━━');
+
+const reconnectManager = new GameManager(createMockIo(), { reconnectGracePeriod: 60 });
+const reconnectInfo = reconnectManager.createGame('poker', creator, false, 4);
+reconnectManager.joinGame(reconnectInfo.id, 'reconnect-2', null);
+reconnectManager.joinGame(reconnectInfo.id, 'reconnect-3', null);
+const reconnectGame = reconnectManager.getGame(reconnectInfo.id);
+reconnectGame.scores.set('reconnect-2', 42);
+
+reconnectManager.disconnectPlayer(reconnectInfo.id, 'reconnect-2');
+assert(reconnectGame.players.length === 3, 'Reconnect: Seat held after disconnect');
+assert(reconnectGame.getGameState().players[1].connected === false, 'Reconnect: Player shown as reconnecting');
+assert(reconnectManager.reconnectTimers.size === 1, 'Reconnect: Removal scheduled');
+
+const rejoinResult = reconnectManager.rejoinGame(reconnectInfo.id, 'reconnect-2', { id: 'socket-new' });
+assert(rejoinResult.success === true, 'Reconnect: Rejoin succeeds');
+assert(reconnectGame.scores.get('reconnect-2') === 42, 'Reconnect: Score preserved');
+assert(reconnectManager.reconnectTimers.size === 0, 'Reconnect: Removal cancelled on rejoin');
+assert(reconnectManager.rejoinGame(reconnectInfo.id, 'stranger', null).success === false, 'Reconnect: Reject rejoin without a seat');
+
+// ===== PHASE TIMER TESTS =====
+console.log('\n━━━ Phase Timer Tests ━━━');
+
+const timerPoker = new PokerGame('test-timer-poker', creator, false, 4);
+timerPoker.setPhaseDurations({ bet: 30, bogus: 5, submit: -1 });
+assert(timerPoker.phaseDurations.bet === 30 && !('bogus' in timerPoker.phaseDurations), 'Timers: Per-room durations applied and validated');
+
+timerPoker.addPlayer({ id: 'timer-2', username: 'Timer2' }, null);
+timerPoker.addPlayer({ id: 'timer-3', username: 'Timer3' }, null);
+timerPoker.startGame();
+const timerState = timerPoker.getGameState();
+assert(timerState.timer && timerState.timer.phase === 'bet' && timerState.timer.deadline > Date.now(), 'Timers: Bet deadline included in game state');
+
+const afkPlayerId = timerPoker.currentPlayer.id;
+timerPoker.onPhaseTimeout('bet');
+assert(timerPoker.foldedPlayers.has(afkPlayerId), 'Timers: AFK poker player auto-folds when facing a bet');
+timerPoker.dispose();
+assert(timerPoker.getGameState().timer === null, 'Timers: Dispose clears pending timer');
+
+const timerDegens = new DegensAgainstDecencyGame('test-timer-degens', creator, false, 5);
+timerDegens.addPlayer({ id: 'timer-d2', username: 'TimerD2' }, null);
+timerDegens.addPlayer({ id: 'timer-d3', username: 'TimerD3' }, null);
+timerDegens.answerCards = Array.from({ length: 30 }, (_, i) => ({ id: `t-${i}`, type: 'answer', text: `Answer ${i}` }));
+timerDegens.questionCards = [{ id: 'tq-1', type: 'question', text: 'Why ___?' }];
+timerDegens.status = 'playing';
+timerDegens.dealInitialHands();
+timerDegens.cardCzar = timerDegens.players[0];
+timerDegens.drawQuestion();
+timerDegens.onPhaseTimeout('submit');
+assert(timerDegens.submissions.size === 2, 'Timers: Missing Degens submissions are auto-played');
+assert(timerDegens.getGameState().timer.phase === 'judge', 'Timers: Judge timer starts once everyone has submitted');
+timerDegens.onPhaseTimeout('judge');
+assert(timerDegens.roundWinner !== null, 'Timers: AFK Card Czar auto-judges');
+timerDegens.dispose();
+
+// ===== PERSISTENCE TESTS =====
+console.log('\n━━━ Persistence Tests ━━━');
+
+const savedPoker = new PokerGame('test-persist-poker', creator, false, 4);
+savedPoker.addPlayer({ id: 'persist-2', username: 'Persist2' }, null);
+savedPoker.addPlayer({ id: 'persist-3', username: 'Persist3' }, null);
+savedPoker.startGame();
+savedPoker.handleAction(savedPoker.currentPlayer.id, { type: 'fold' });
+const pokerSnapshot = JSON.parse(JSON.stringify(savedPoker.serialize()));
+const restoredPoker = PokerGame.deserialize(pokerSnapshot);
+assert(restoredPoker.deck.length === savedPoker.deck.length && restoredPoker.pot === savedPoker.pot, 'Persist: Poker deck and pot survive a round trip');
+assert(restoredPoker.foldedPlayers instanceof Set && restoredPoker.foldedPlayers.size === 1, 'Persist: Poker folded players restored as a Set');
+assert(restoredPoker.currentPlayer === restoredPoker.players.find(p => p.id === savedPoker.currentPlayer.id), 'Persist: Poker current player points at a restored seat');
+assert(JSON.stringify(restoredPoker.getGameState().playerHands) === JSON.stringify(savedPoker.getGameState().playerHands), 'Persist: Poker hands restored');
+savedPoker.dispose();
+
+const degensSnapshot = JSON.parse(JSON.stringify(viewerGame.serialize()));
+const restoredDegens = DegensAgainstDecencyGame.deserialize(degensSnapshot);
+assert(restoredDegens.playerHands instanceof Map && restoredDegens.playerHands.get('viewer-3').length === 7, 'Persist: Degens hands restored as a Map');
+assert(restoredDegens.cardCzar && restoredDegens.cardCzar.id === creator.id, 'Persist: Degens Card Czar restored');
+assert(restoredDegens.scores.get('viewer-2') === 1, 'Persist: Scores restored');
+
+const restoredTruths = TwoTruthsAndALieGame.deserialize(JSON.parse(JSON.stringify(twoTruthsGame.serialize())));
+assert(restoredTruths.statements.length === 3, '2Truths: Statements survive a round trip');
+
+const storedRows = [{ id: 'test-persist-poker', type: 'poker', game_state: pokerSnapshot }];
+const restoreManager = new GameManager(createMockIo(), {
+  reconnectGracePeriod: 60,
+  storage: {
+    isSupabaseConfigured: () => true,
+    getActiveGames: async () => storedRows,
+    saveGame: async () => null,
+    deleteGame: async () => true,
+    getGameLog: async () => null,
+    saveGameLog: async () => true
+  }
+});
+pendingTests.push(restoreManager.restoreGames().then(count => {
+  const game = restoreManager.getGame('test-persist-poker');
+  assert(count === 1 && game && game.players.every(p => p.connected === false), 'Persist: Manager restores saved games with players reconnecting');
+}));
+
+const offlineManager = new GameManager(createMockIo(), {
+  reconnectGracePeriod: 60,
+  storage: { ...restoreManager.storage, deleteGame: async () => { throw new Error('Storage offline'); } }
+});
+const offlineRoom = offlineManager.createGame('poker', creator, false, 4);
+offlineManager.removeGame(offlineRoom.id);
+pendingTests.push(new Promise(resolve => setTimeout(resolve, 10)).then(() => {
+  assert(!offlineManager.getGame(offlineRoom.id), 'Persist: A failed delete is logged instead of crashing the server');
+}));
+
+// ===== SEEDED RANDOM TESTS =====
+console.log('\n━━━ Seeded Random Tests ━━━');
+
+const rngA = new SeededRandom(1234);
+const rngB = new SeededRandom(1234);
+assert([1, 2, 3].every(() => rngA.next() === rngB.next()), 'RNG: Same seed gives the same sequence');
+
+const shuffled = new SeededRandom(99).shuffle(Array.from({ length: 52 }, (_, i) => i));
+assert(shuffled.length === 52 && new Set(shuffled).size === 52, 'RNG: Shuffle keeps every element exactly once');
+
+// Every ordering of 3 items should come up about 1/6 of the time
+const orderCounts = {};
+const fairnessRng = new SeededRandom(7);
+for (let i = 0; i < 6000; i++) {
+  const key = fairnessRng.shuffle(['a', 'b', 'c']).join('');
+  orderCounts[key] = (orderCounts[key] || 0) + 1;
+}
+assert(Object.keys(orderCounts).length === 6 && Object.values(orderCounts).every(n => n > 850 && n < 1150), 'RNG: Fisher-Yates shuffle is unbiased');
+
+const seedManager = new GameManager(createMockIo(), { reconnectGracePeriod: 60 });
+const dealSeededPoker = () => {
+  const info = seedManager.createGame('poker', creator, false, 4, {}, 424242);
+  seedManager.joinGame(info.id, 'seed-2', null);
+  seedManager.joinGame(info.id, 'seed-3', null);
+  startWhenReady(seedManager, info.id);
+  const game = seedManager.getGame(info.id);
+  game.dispose();
+  return game;
+};
+const seededPokerA = dealSeededPoker();
+const seededPokerB = dealSeededPoker();
+assert(JSON.stringify(seededPokerA.getGameState().playerHands) === JSON.stringify(seededPokerB.getGameState().playerHands) &&
+  seededPokerA.dealerIndex === seededPokerB.dealerIndex, 'RNG: Games created with the same seed deal identically');
+
+const restoredSeeded = PokerGame.deserialize(JSON.parse(JSON.stringify(seededPokerA.serialize())));
+assert(restoredSeeded.nextStepSeed() === seededPokerA.nextStepSeed(), 'RNG: Seed sequence continues after a restore');
+
+// ===== PROVABLY FAIR SHUFFLE TESTS =====
+console.log('\n━━━ Provably Fair Shuffle Tests ━━━');
+
+const crypto = require('crypto');
+const provablyFair = require('./src/ProvablyFair');
+
+const fairManager = new GameManager(createMockIo(), { reconnectGracePeriod: 60 });
+const fairInfo = fairManager.createGame('poker', creator, false, 4);
+fairManager.joinGame(fairInfo.id, 'fair-2', null);
+fairManager.joinGame(fairInfo.id, 'fair-3', null);
+const fairGame = fairManager.getGame(fairInfo.id);
+const committedHash = fairGame.getGameStateFor('fair-2').fairness.serverSeedHash;
+
+assert(fairManager.handleGameAction(fairInfo.id, 'fair-2', { type: 'client-seed', seed: 'lucky-seven' }).success === true, 'Fair: Seated player contributes a client seed');
+assert(fairManager.handleGameAction(fairInfo.id, 'stranger', { type: 'client-seed', seed: 'x' }).success === false, 'Fair: Non-players cannot contribute seeds');
+startWhenReady(fairManager, fairInfo.id);
+fairGame.dispose();
+
+assert(fairManager.handleGameAction(fairInfo.id, 'fair-3', { type: 'client-seed', seed: 'late' }).success === false, 'Fair: Client seeds locked once cards are dealt');
+assert(fairGame.getGameStateFor('fair-2').fairness.serverSeed === null && fairGame.getFairnessProof().deckOrder === null, 'Fair: Server seed hidden while the hand is live');
+
+for (let i = 0; i < 20 && fairGame.status === 'playing'; i++) {
+  fairManager.handleGameAction(fairInfo.id, fairGame.currentPlayer.id, { type: 'fold' });
+}
+
+const fairProof = fairGame.getFairnessProof();
+assert(fairProof.revealed && crypto.createHash('sha256').update(fairProof.serverSeed).digest('hex') === committedHash, 'Fair: Revealed server seed matches the published commitment');
+assert(fairProof.clientSeed.includes('fair-2=lucky-seven'), 'Fair: Client seeds mixed into the shuffle');
+
+const rederived = provablyFair.shuffle(fairGame.buildDeck(), fairProof.serverSeed, fairProof.clientSeed).map(card => card.id);
+const openingDeal = fairGame.players.flatMap(p => fairGame.playerHands.get(p.id).slice(0, 2).map(card => card.id));
+const undealt = fairGame.deck.map(card => card.id);
+assert(JSON.stringify(rederived) === JSON.stringify(fairProof.deckOrder) &&
+  JSON.stringify(openingDeal) === JSON.stringify(rederived.slice().reverse().slice(0, openingDeal.length)) &&
+  JSON.stringify(undealt) === JSON.stringify(rederived.slice(0, undealt.length)), 'Fair: Deck order independently re-derived from the revealed seeds');
+assert(provablyFair.shuffle(fairGame.buildDeck(), fairProof.serverSeed, 'other').map(card => card.id).join() !== fairProof.deckOrder.join(), 'Fair: Different client seeds give a different deck');
+
+// ===== GAME REGISTRY TESTS =====
+console.log('\n━━━ Game Registry Tests ━━━');
+
+const registry = new GameRegistry().discover();
+assert(registry.list().map(m => m.id).sort().join() === '2-truths-and-a-lie,degens-against-decency,poker', 'Registry: Game types discovered from src/games');
+assert(registry.getClass('poker') === PokerGame && !registry.has('BaseGame'), 'Registry: Only classes with a manifest are registered');
+assert(registry.getManifest('poker').options.some(o => o.key === 'timers.bet' && o.default === 45), 'Registry: Manifest lists configurable options with defaults');
+assert(registry.clampMaxPlayers('poker', 12) === 7 && registry.clampMaxPlayers('poker', 1) === 3 && registry.clampMaxPlayers('poker', undefined) === 7, 'Registry: Room size fitted to manifest limits');
+
+let duplicateError = null;
+try {
+  registry.register(PokerGame);
+} catch (error) {
+  duplicateError = error;
+}
+assert(duplicateError !== null, 'Registry: Duplicate game type rejected');
+
+class NoNameGame extends BaseGame {}
+NoNameGame.manifest = { id: 'no-name', minPlayers: 3, maxPlayers: 7, renderer: 'none' };
+let invalidError = null;
+try {
+  new GameRegistry().register(NoNameGame);
+} catch (error) {
+  invalidError = error;
+}
+assert(invalidError && invalidError.message.includes('name'), 'Registry: Incomplete manifest rejected');
+
+let unknownTypeError = null;
+try {
+  new GameManager(createMockIo(), { registry }).createGame('checkers', creator);
+} catch (error) {
+  unknownTypeError = error;
+}
+assert(unknownTypeError !== null, 'Registry: Manager refuses unregistered game types');
+
+// ===== ROOM OPTIONS TESTS =====
+console.log('\n━━━ Room Options Tests ━━━');
+
+const defaultOptions = registry.validateOptions('degens-against-decency', {});
+assert(defaultOptions.success && defaultOptions.options.maxRounds === 10 && defaultOptions.options.timers.submit === 90, 'Options: Defaults filled in from the manifest');
+assert(registry.validateOptions('degens-against-decency', { cardsPerHand: 99 }).success === false, 'Options: Out-of-range values rejected');
+assert(registry.validateOptions('degens-against-decency', { maxRounds: 2.5 }).success === false, 'Options: Whole-number options reject fractions');
+assert(registry.validateOptions('poker', { cardsPerHand: 5 }).error === 'Unknown option: cardsPerHand', 'Options: Options from other game types rejected');
+assert(registry.validateOptions('poker', { smallBlind: 20, bigBlind: 10 }).success === false, 'Options: Game-specific cross-checks applied');
+
+const optionsManager = new GameManager(createMockIo(), { reconnectGracePeriod: 60 });
+const degensOptionsInfo = optionsManager.createGame('degens-against-decency', creator, false, 4, { cardsPerHand: 4, pointsToWin: 3, timers: { submit: 30 } });
+const degensOptionsGame = optionsManager.getGame(degensOptionsInfo.id);
+degensOptionsGame.addPlayer('opt-2', null);
+degensOptionsGame.applySystemEvent({ type: 'cards-loaded', questionCards: [{ id: 'q1', text: 'Q' }], answerCards: Array.from({ length: 20 }, (_, i) => ({ id: `a${i}`, text: `A${i}` })) });
+degensOptionsGame.dispose();
+assert(degensOptionsGame.playerHands.get('opt-2').length === 4 && degensOptionsGame.phaseDurations.submit === 30, 'Options: Degens deals the configured hand size and timers');
+assert(degensOptionsInfo.options.pointsToWin === 3 && degensOptionsGame.getGameStateFor('opt-2').options.cardsPerHand === 4, 'Options: Options echoed on creation and in game state');
+assert(optionsManager.getPublicGames().find(g => g.id === degensOptionsInfo.id).options.pointsToWin === 3, 'Options: Options shown on the lobby card');
+
+let badOptionsError = null;
+try {
+  optionsManager.createGame('2-truths-and-a-lie', creator, false, 4, { maxRounds: 0 });
+} catch (error) {
+  badOptionsError = error;
+}
+assert(badOptionsError && badOptionsError.message.includes('Rounds'), 'Options: Manager refuses invalid options');
+
+const pokerOptionsInfo = optionsManager.createGame('poker', creator, false, 4, { smallBlind: 10, bigBlind: 20, startingStack: 100 });
+['opt-2', 'opt-3'].forEach(id => optionsManager.joinGame(pokerOptionsInfo.id, id, null));
+startWhenReady(optionsManager, pokerOptionsInfo.id);
+const pokerOptionsGame = optionsManager.getGame(pokerOptionsInfo.id);
+pokerOptionsGame.dispose();
+const pokerOptionsState = pokerOptionsGame.getGameState();
+assert(pokerOptionsState.pot === 30 && Object.values(pokerOptionsState.stacks).sort().join() === '100,80,90', 'Options: Poker posts the configured blinds from starting stacks');
+assert(pokerOptionsGame.raise(pokerOptionsGame.currentPlayer.id, 200).success === false, 'Options: Poker refuses bets larger than the stack');
+assert(PokerGame.deserialize(pokerOptionsGame.serialize()).stacks.get(creator.id) === pokerOptionsGame.stacks.get(creator.id), 'Options: Stacks survive a restart');
+
+// ===== ROOM DETAILS TESTS =====
+console.log('\n━━━ Room Details Tests ━━━');
+
+const chaosOptions = registry.validateOptions('poker', { timers: { bet: 30 } }, 'chaos');
+assert(chaosOptions.options.bigBlind === 50 && chaosOptions.options.timers.bet === 30, 'Rooms: Mode presets applied under explicit options');
+assert(registry.validateOptions('poker', {}, 'speedrun').error === 'Unknown game mode', 'Rooms: Unknown modes rejected');
+
+const roomManager = new GameManager(createMockIo(), { reconnectGracePeriod: 60 });
+const roomInfo = roomManager.createGame('degens-against-decency', creator, false, 6, {}, null, {
+  name: '  Friday Night  ', description: 'Bring snacks', mode: 'hardcore', password: 'hunter2'
+});
+const roomGame = roomManager.getGame(roomInfo.id);
+const roomCard = roomManager.getPublicGames().find(g => g.id === roomInfo.id);
+assert(roomCard.name === 'Friday Night' && roomCard.description === 'Bring snacks' && roomCard.mode === 'hardcore', 'Rooms: Name, description and mode shown in the lobby');
+assert(roomGame.cardsPerHand === 5 && roomGame.phaseDurations.submit === 30, 'Rooms: Hardcore mode uses its preset rules');
+assert(roomCard.hasPassword === true && !JSON.stringify(roomCard).includes(roomGame.passwordHash) &&
+  !('passwordHash' in roomGame.getGameStateFor(creator.id)) && !roomGame.passwordHash.includes('hunter2'), 'Rooms: Password stored hashed and never echoed');
+
+assert(roomManager.joinGame(roomInfo.id, 'room-2', null).passwordRequired === true, 'Rooms: Joining without the password refused');
+assert(roomManager.joinGame(roomInfo.id, 'room-2', null, 'hunter3').success === false, 'Rooms: Wrong password refused');
+assert(roomManager.joinGame(roomInfo.id, 'room-2', null, 'hunter2').success === true, 'Rooms: Correct password lets players in');
+assert(roomManager.joinGame(roomInfo.id, creator.id, null).success === true, 'Rooms: Seated players rejoin without the password');
+roomGame.status = 'playing';
+assert(roomManager.spectateGame(roomInfo.id, 'room-watcher', null).passwordRequired === true &&
+  roomManager.spectateGame(roomInfo.id, 'room-watcher', null, 'hunter2').success === true, 'Rooms: Spectators need the password too');
+assert(!('passwordHash' in roomManager.actionLogs.get(roomInfo.id).setup.initialState), 'Rooms: Password hash kept out of the action log');
+
+// ===== HOST MODERATION TESTS =====
+console.log('\n━━━ Host Moderation Tests ━━━');
+
+const modManager = new GameManager(createMockIo(), { reconnectGracePeriod: 60 });
+const modInfo = modManager.createGame('degens-against-decency', creator, false, 6);
+['mod-2', 'mod-3', 'mod-4'].forEach(id => modManager.joinGame(modInfo.id, id, null));
+const modGame = modManager.getGame(modInfo.id);
+
+assert(modManager.handleGameAction(modInfo.id, 'mod-2', { type: 'start-game' }).error === 'Only the host can do that', 'Host: Only the host can start the game');
+assert(modManager.handleHostAction(modInfo.id, 'mod-2', { type: 'kick', targetId: 'mod-3' }).success === false, 'Host: Non-hosts cannot moderate');
+
+assert(modManager.handleHostAction(modInfo.id, creator.id, { type: 'kick', targetId: 'mod-3' }).success === true &&
+  !modGame.players.some(p => p.id === 'mod-3'), 'Host: Kick removes the player');
+assert(modManager.joinGame(modInfo.id, 'mod-3', null).success === true, 'Host: Kicked players may come back');
+
+modManager.handleHostAction(modInfo.id, creator.id, { type: 'ban', targetId: 'mod-3' });
+assert(modManager.joinGame(modInfo.id, 'mod-3', null).success === false, 'Host: Banned players cannot rejoin');
+assert(modGame.getGameStateFor(creator.id).bannedUserIds.join() === 'mod-3' && !('bannedUserIds' in modGame.getGameStateFor('mod-2')) &&
+  !('bannedUserIds' in modGame.getGameStateFor(null)) && !('bannedUserIds' in modGame.getGameState()), 'Host: Only the host sees the ban list');
+modManager.handleHostAction(modInfo.id, creator.id, { type: 'unban', targetId: 'mod-3' });
+
+modManager.handleHostAction(modInfo.id, creator.id, { type: 'lock' });
+assert(modManager.joinGame(modInfo.id, 'mod-5', null).error === 'This room is locked', 'Host: Locked room refuses new players');
+modManager.handleHostAction(modInfo.id, creator.id, { type: 'unlock' });
+
+assert(modManager.handleHostAction(modInfo.id, creator.id, { type: 'transfer-host', targetId: 'mod-2' }).success === true &&
+  modGame.getGameStateFor('mod-4').hostId === 'mod-2', 'Host: Host can be handed to another player');
+modManager.leaveGame(modInfo.id, 'mod-2');
+assert(modGame.hostId === creator.id, 'Host: Host passes on when the host leaves');
+
+const modReplay = modManager.actionLogs.get(modInfo.id).rebuild(DegensAgainstDecencyGame);
+assert(modReplay.hostId === modGame.hostId && modReplay.players.length === modGame.players.length, 'Host: Moderation replays from the action log');
+
+// ===== BOT TESTS =====
+console.log('\n━━━ Bot Tests ━━━');
+
+const botManager = new GameManager(createMockIo(), { reconnectGracePeriod: 60, botDelay: { min: 0, max: 0 } });
+assert(['degens-against-decency', '2-truths-and-a-lie', 'poker'].every(type => botManager.bots.has(type)), 'Bots: Every game type has a bot');
+
+const botPokerInfo = botManager.createGame('poker', creator, false, 4);
+const botPoker = botManager.getGame(botPokerInfo.id);
+botManager.joinGame(botPokerInfo.id, 'bot-human-2', null);
+assert(botManager.handleHostAction(botPokerInfo.id, 'bot-human-2', { type: 'add-bot' }).success === false, 'Bots: Only the host can add bots');
+botManager.handleHostAction(botPokerInfo.id, creator.id, { type: 'add-bot', style: 'aggressive' });
+const pokerBotSeat = botPoker.players.find(p => p.isBot);
+assert(pokerBotSeat && pokerBotSeat.botStyle === 'aggressive' && botPoker.getGameState().players.some(p => p.isBot), 'Bots: Host seats a bot with the chosen style');
+assert(botManager.handleHostAction(botPokerInfo.id, creator.id, { type: 'add-bot', style: 'reckless' }).error === 'Unknown bot style', 'Bots: Unknown styles rejected');
+assert(botManager.handleHostAction(botPokerInfo.id, creator.id, { type: 'transfer-host', targetId: pokerBotSeat.id }).success === false, 'Bots: Bots cannot become host');
+
+botManager.leaveGame(botPokerInfo.id, 'bot-human-2');
+botManager.handleHostAction(botPokerInfo.id, creator.id, { type: 'add-bot', style: 'cautious' });
+startWhenReady(botManager, botPokerInfo.id);
+if (botPoker.currentPlayer.id === creator.id) {
+  botManager.handleGameAction(botPokerInfo.id, creator.id, { type: 'call' });
+}
+// Bots may fold the hand away, which also hands control back
+const pokerBotEntries = () => botManager.actionLogs.get(botPokerInfo.id).entries.filter(e => e.kind === 'action' && e.actor.startsWith('bot-'));
+const humanUp = () => botPoker.status !== 'playing' || botPoker.currentPlayer.id === creator.id;
+pendingTests.push(waitFor(() => pokerBotEntries().length > 0 && humanUp()).then(() => {
+  botPoker.dispose();
+  assert(pokerBotEntries().length > 0 && humanUp(), 'Bots: Poker bots act until a human is up');
+  assert(botPoker.players.filter(p => p.isBot).length === 2 && botPoker.startTime !== null, 'Bots: Bots fill seats so small groups can start');
+  botManager.leaveGame(botPokerInfo.id, creator.id);
+  assert(!botManager.getGame(botPokerInfo.id), 'Bots: Room closes when the last human leaves');
+}));
+
+const botDegensInfo = botManager.createGame('degens-against-decency', creator, false, 4);
+const botDegens = botManager.getGame(botDegensInfo.id);
+botManager.handleHostAction(botDegensInfo.id, creator.id, { type: 'add-bot' });
+botManager.handleHostAction(botDegensInfo.id, creator.id, { type: 'add-bot' });
+botDegens.status = 'playing';
+botDegens.dispatchSystemEvent({ type: 'cards-loaded', questionCards: [{ id: 'bq', text: 'Why ___?' }], answerCards: Array.from({ length: 30 }, (_, i) => ({ id: `ba${i}`, text: `Answer ${i}` })) });
+pendingTests.push(waitFor(() => botDegens.submissions.size === 2).then(() => {
+  botDegens.dispose();
+  assert(botDegens.cardCzar.id === creator.id && botDegens.submissions.size === 2, 'Bots: Degens bots submit answers for the human Czar');
+}));
+
+const quietRng = { next: () => 0.99 };
+const facingRaise = { status: 'playing', currentPlayer: { id: 'pb' }, currentBet: 40, bigBlind: 10, playerBets: {}, stacks: { pb: 1000 },
+  playerHands: { pb: [{ rank: '2', suit: 'hearts' }, { rank: '7', suit: 'clubs' }] } };
+assert(new PokerBot({ id: 'pb', botStyle: 'cautious' }, { rng: quietRng }).decide(facingRaise).type === 'fold', 'Bots: Cautious poker bot folds junk to a raise');
+const pocketAces = { ...facingRaise, currentBet: 10, playerHands: { pb: [{ rank: 'A', suit: 'hearts' }, { rank: 'A', suit: 'clubs' }] } };
+assert(new PokerBot({ id: 'pb', botStyle: 'aggressive' }, { rng: { next: () => 0 } }).decide(pocketAces).type === 'raise', 'Bots: Aggressive poker bot raises a strong hand');
+
+// ===== REMATCH TESTS =====
+console.log('\n━━━ Rematch Tests ━━━');
+
+const rematchManager = new GameManager(createMockIo(), { reconnectGracePeriod: 60 });
+const rematchInfo = rematchManager.createGame('poker', creator, false, 4, { startingStack: 500 });
+['rematch-2', 'rematch-3'].forEach(id => rematchManager.joinGame(rematchInfo.id, id, null));
+const rematchGame = rematchManager.getGame(rematchInfo.id);
+startWhenReady(rematchManager, rematchInfo.id);
+assert(rematchManager.handleGameAction(rematchInfo.id, 'rematch-2', { type: 'rematch-vote' }).error === 'The game is not finished yet', 'Rematch: No votes while the game is running');
+for (let i = 0; i < 5 && rematchGame.status === 'playing'; i++) {
+  rematchManager.handleGameAction(rematchInfo.id, rematchGame.currentPlayer.id, { type: 'fold' });
+}
+const firstWinner = rematchGame.winner;
+const firstCommitment = rematchGame.serverSeedHash;
+const seatsBefore = rematchGame.players.map(p => p.id);
+
+rematchManager.handleGameAction(rematchInfo.id, 'rematch-2', { type: 'rematch-vote', accept: true });
+assert(rematchGame.getGameState().rematchVotes.includes('rematch-2'), 'Rematch: Players opt in with a vote');
+assert(rematchManager.handleGameAction(rematchInfo.id, 'rematch-2', { type: 'rematch' }).error === 'Only the host can do that', 'Rematch: Only the host can restart');
+
+assert(rematchManager.handleGameAction(rematchInfo.id, creator.id, { type: 'rematch', rotate: true }).success &&
+  rematchGame.status === 'waiting' && rematchManager.getGame(rematchInfo.id) === rematchGame, 'Rematch: Room goes back to waiting with the same ID');
+assert(rematchGame.players.map(p => p.id).join() === seatsBefore.filter(id => id !== 'rematch-3').slice(1).concat(seatsBefore[0]).join(), 'Rematch: Opted-in players stay, rotated one seat');
+assert(rematchGame.spectators.some(s => s.id === 'rematch-3') && rematchGame.getGameState().rematchVotes.length === 0, 'Rematch: Players who sat out become spectators');
+assert(rematchGame.getGameState().series.scores[firstWinner] > 0 && rematchGame.getGameState().series.gamesPlayed === 1, 'Rematch: Series scoreboard keeps the last game');
+assert(rematchGame.serverSeedHash !== firstCommitment && rematchGame.clientSeeds.size === 0, 'Rematch: Poker commits to a new shuffle');
+const rematchSeedEntry = rematchManager.actionLogs.get(rematchInfo.id).entries.find(e => e.kind === 'system' && e.payload.type === 'server-seed');
+assert(rematchSeedEntry && provablyFair.hashServerSeed(rematchSeedEntry.payload.serverSeed) === rematchGame.serverSeedHash &&
+  rematchSeedEntry.payload.serverSeed !== provablyFair.deriveServerSeed(rematchSeedEntry.seed), 'Rematch: New server seed is random and logged for replays');
+assert(rematchGame.options.startingStack === 500 && rematchGame.scores.get(creator.id) === 0, 'Rematch: Settings kept and game scores reset');
+
+rematchManager.joinGame(rematchInfo.id, 'rematch-3', null);
+startWhenReady(rematchManager, rematchInfo.id);
+const rematchReplay = rematchManager.actionLogs.get(rematchInfo.id).rebuild(PokerGame);
+assert(rematchGame.status === 'playing' && rematchGame.stacks.get(creator.id) <= 500 && !rematchGame.spectators.some(s => s.id === 'rematch-3'), 'Rematch: Sat-out players can rejoin before the restart');
+assert(rematchReplay.serverSeedHash === rematchGame.serverSeedHash &&
+  JSON.stringify(rematchReplay.playerHands.get(creator.id)) === JSON.stringify(rematchGame.playerHands.get(creator.id)), 'Rematch: Rematches replay from the action log');
+rematchGame.dispose();
+
+// ===== TOURNAMENT TESTS =====
+console.log('\n━━━ Tournament Tests ━━━');
+
+const tourneyManager = new GameManager(createMockIo(), { reconnectGracePeriod: 60 });
+const tournaments = new TournamentManager(tourneyManager);
+tourneyManager.setTournamentManager(tournaments);
+const organizer = { id: 'org-1', username: 'Organizer' };
+
+let tourneyError = null;
+try {
+  tournaments.createTournament(organizer, { name: 'Bad', gameType: 'poker', format: 'swiss', rounds: 50 });
+} catch (error) {
+  tourneyError = error.message;
 }
+assert(tourneyError === 'Swiss rounds must be between 1 and 10', 'Tournament: Swiss round count validated');
+
+const knockout = tournaments.createTournament(organizer, { name: 'Poker Night', gameType: 'poker', options: { startingStack: 200 } });
+const entrants = Array.from({ length: 8 }, (_, i) => ({ id: `entrant-${i + 1}`, username: `Entrant ${i + 1}` }));
+entrants.forEach(entrant => tournaments.register(knockout.id, entrant));
+assert(tournaments.register(knockout.id, entrants[0]).error === 'Already registered', 'Tournament: Entrants register once');
+assert(tournaments.startTournament(knockout.id, 'entrant-1').success === false, 'Tournament: Only the organizer can start');
+
+tournaments.startTournament(knockout.id, organizer.id);
+const firstRound = knockout.currentRound;
+const tableGames = firstRound.tables.map(t => tourneyManager.getGame(t.gameId));
+assert(firstRound.tables.length === 2 && firstRound.tables.every(t => t.playerIds.length === 4), 'Tournament: Eight entrants seated at two tables of four');
+assert(tableGames.every((g, i) => g.isPrivate && g.players.length === 4 && g.options.startingStack === 200 && g.name === `Poker Night · R1 T${i + 1}`), 'Tournament: Each table gets its own room with the tournament rules');
+assert(tournaments.register(knockout.id, { id: 'late', username: 'Late' }).error === 'Registration is closed', 'Tournament: Registration closes at the start');
+
+// Fold every table down to one player, which finishes its game
+const playOut = (game) => {
+  startWhenReady(tourneyManager, game.id);
+  for (let i = 0; i < 10 && game.status === 'playing'; i++) {
+    tourneyManager.handleGameAction(game.id, game.currentPlayer.id, { type: 'fold' });
+  }
+  game.dispose();
+};
+tableGames.forEach(playOut);
+const finalRound = knockout.currentRound;
+assert(finalRound.number === 2 && finalRound.tables.length === 1 && finalRound.tables[0].playerIds.length === 3 &&
+  firstRound.tables.every(t => finalRound.tables[0].playerIds.includes(t.winnerId)), 'Tournament: Table winners advance, topped up by the best runner-up');
+
+playOut(tourneyManager.getGame(finalRound.tables[0].gameId));
+assert(knockout.status === 'finished' && knockout.championId === finalRound.tables[0].winnerId &&
+  knockout.getStandings()[0].id === knockout.championId, 'Tournament: Last table winner is champion and tops the standings');
+
+const swiss = tournaments.createTournament(organizer, { name: 'Degens League', gameType: 'degens-against-decency', format: 'swiss', rounds: 2 });
+entrants.slice(0, 6).forEach(entrant => tournaments.register(swiss.id, entrant));
+tournaments.startTournament(swiss.id, organizer.id);
+assert(tournaments.reportTableWinner(swiss.id, 'entrant-1', 'r1t1', 'entrant-2').success === false, 'Tournament: Only the organizer reports results');
+tournaments.reportTableWinner(swiss.id, organizer.id, 'r1t1', 'entrant-3');
+assert(swiss.currentRound.number === 2 && swiss.currentRound.tables[0].playerIds[0] === 'entrant-3', 'Tournament: Swiss rounds seat players by record');
+tournaments.reportTableWinner(swiss.id, organizer.id, 'r2t1', 'entrant-5');
+const swissStandings = swiss.getStandings();
+assert(swiss.status === 'finished' && swissStandings.every(s => s.played === 2) && swiss.championId === swissStandings[0].id &&
+  swiss.standings.get('entrant-5').wins === 1, 'Tournament: Swiss plays every entrant each round and crowns the points leader');
+assert(tournaments.listTournaments().length === 2 && swiss.getState().standings[0].rank === 1, 'Tournament: Listing and standings exposed');
+
+const abandoned = tournaments.createTournament(organizer, { name: 'Abandoned Cup', gameType: 'degens-against-decency', format: 'swiss', rounds: 1 });
+entrants.slice(0, 4).forEach(entrant => tournaments.register(abandoned.id, entrant));
+tournaments.startTournament(abandoned.id, organizer.id);
+const abandonedTable = abandoned.currentRound.tables[0];
+const abandonedGame = tourneyManager.getGame(abandonedTable.gameId);
+[3, 2, 1, 1].forEach((score, i) => abandonedGame.scores.set(`entrant-${i + 1}`, score));
+tourneyManager.leaveGame(abandonedGame.id, 'entrant-1');
+tourneyManager.removeGame(abandonedGame.id);
+assert(abandoned.status === 'finished' && abandonedTable.winnerId === 'entrant-2' && abandonedTable.results[3].playerId === 'entrant-1' &&
+  !tournaments.tablesByGame.has(abandonedGame.id), 'Tournament: A table removed before it finishes is settled and leavers place last');
+tourneyManager.games.forEach(game => game.dispose());
+
+// ===== QUICK PLAY TESTS =====
+console.log('\n━━━ Quick Play Tests ━━━');
+
+const quickEvents = [];
+const quickIo = { ...createMockIo(), to: (room) => ({ emit: (event, data) => quickEvents.push({ room, event, data }) }) };
+const quickManager = new GameManager(quickIo, { reconnectGracePeriod: 60 });
+const matchmaker = new Matchmaker(quickManager, quickIo);
+const queuedSockets = ['sock-1', 'sock-2'].map(id => ({ id, connected: true, rooms: [], join(room) { this.rooms.push(room); } }));
+queuedSockets.forEach(socket => quickIo.sockets.sockets.set(socket.id, socket));
+
+const pokerFan = Matchmaker.preferencesFromProfile({ game_modes: ['poker'], preferred_player_count: '3-4', playstyle: ['competitive'] });
+assert(pokerFan.gameTypes.join() === 'poker' && pokerFan.playerCount === '3-4', 'Quick Play: Reads onboarding preferences');
+assert(Matchmaker.preferencesFromProfile({ gameModes: ['truths'], playstyle: ['social'] }).gameTypes.join() === '2-truths-and-a-lie', 'Quick Play: Reads in-memory profiles too');
+
+matchmaker.join({ id: 'qp-1', username: 'QP1' }, 'sock-1', pokerFan);
+matchmaker.join({ id: 'qp-2', username: 'QP2' }, 'sock-2', { ...pokerFan, playstyles: ['casual', 'competitive'] });
+matchmaker.join({ id: 'qp-3', username: 'QP3' }, 'sock-3', { ...pokerFan, playstyles: ['social'] });
+assert(matchmaker.getQueueSize() === 3 && quickManager.games.size === 0, 'Quick Play: Clashing playstyles and table sizes wait');
+
+const quickResult = matchmaker.join({ id: 'qp-4', username: 'QP4' }, 'sock-4', { gameTypes: [], playerCount: 'any', playstyles: [] }, 'poker');
+const quickGame = quickResult.matched && quickManager.getGame(quickResult.gameId);
+assert(quickGame && quickGame.type === 'poker' && quickGame.players.map(p => p.id).join() === 'qp-1,qp-2,qp-4' && quickGame.hostId === 'qp-1',
+  'Quick Play: Compatible players are seated in a new room, longest wait hosts');
+assert(quickGame.maxPlayers === 4 && ['sock-1', 'sock-2', 'sock-4'].every(room => quickEvents.some(e => e.room === room && e.event === 'quick-play-matched' && e.data.gameId === quickGame.id)),
+  'Quick Play: Room sized to the shared preference and players are pushed into it');
+assert(queuedSockets.every(socket => socket.gameId === quickGame.id && socket.rooms.includes(quickGame.id)) &&
+  quickManager.reconnectTimers.has(`${quickGame.id}:qp-4`) && quickManager.reconnectTimers.size === 1,
+  'Quick Play: Matched sockets join the room, and a player whose socket is gone gets the reconnect grace period');
+quickManager.clearReconnectTimer(quickGame.id, 'qp-4');
+assert(matchmaker.getQueueSize() === 1 && quickEvents.some(e => e.room === 'sock-3' && e.event === 'quick-play-queued'), 'Quick Play: Unmatched players stay queued');
+matchmaker.leaveBySocket('sock-3');
+assert(matchmaker.getQueueSize() === 0, 'Quick Play: Disconnecting leaves the queue');
+
+const slowSocket = { id: 'sock-5', user: { id: 'qp-5', username: 'QP5' }, connected: true };
+pendingTests.push(matchmaker.joinSocket(slowSocket, async () => {
+  slowSocket.connected = false;
+  return pokerFan;
+}).then(result => {
+  assert(!result.success && matchmaker.getQueueSize() === 0, 'Quick Play: Sockets that disconnect while preferences load are not queued');
+}));
+
+// ===== GAME REAPER TESTS =====
+console.log('\n━━━ Game Reaper Tests ━━━');
+
+const reaperEvents = [];
+const reaperIo = { ...createMockIo(), to: (room) => ({ emit: (event, data) => reaperEvents.push({ room, event, data }) }) };
+const reaperManager = new GameManager(reaperIo, { reconnectGracePeriod: 60 });
+const reaper = new GameReaper(reaperManager, { ttlMinutes: { waiting: 30, playing: 0, finished: 15 }, warningSeconds: 120 });
+
+const idleRoom = reaperManager.createGame('poker', creator, false, 4);
+const liveRoom = reaperManager.createGame('poker', creator, false, 4);
+const doneRoom = reaperManager.createGame('poker', creator, false, 4);
+reaperManager.joinGame(doneRoom.id, 'reaper-2', null);
+const doneGame = reaperManager.getGame(doneRoom.id);
+doneGame.status = 'finished';
+doneGame.scores.set(creator.id, 3);
+reaperManager.getGame(liveRoom.id).status = 'playing';
+
+const sweepStart = Date.now();
+reaper.sweep(sweepStart + 14 * 60 * 1000);
+const expiring = reaperEvents.filter(e => e.event === 'game-expiring');
+assert(expiring.length === 1 && expiring[0].room === doneRoom.id && expiring[0].data.expiresAt === doneGame.lastActivityAt + 15 * 60 * 1000,
+  'Reaper: Occupants are warned before their room expires');
+reaper.sweep(sweepStart + 14.5 * 60 * 1000);
+assert(reaperEvents.filter(e => e.event === 'game-expiring').length === 1, 'Reaper: Warnings are sent once per idle stretch');
+
+reaperManager.getGame(idleRoom.id).lastActivityAt = sweepStart + 10 * 60 * 1000;
+const removed = reaper.sweep(sweepStart + 31 * 60 * 1000);
+assert(removed.length === 1 && removed[0] === doneRoom.id && !reaperManager.getGame(doneRoom.id) &&
+  reaperEvents.some(e => e.room === doneRoom.id && e.event === 'game-expired'), 'Reaper: Expired games are removed and occupants told');
+assert(reaperManager.getGame(idleRoom.id) && reaperManager.getGame(liveRoom.id), 'Reaper: Activity resets the clock and a TTL of 0 never expires');
+assert(reaper.archive[0].id === doneRoom.id && reaper.archive[0].winnerIds.join() === creator.id && reaper.archive[0].players.length === 2,
+  'Reaper: Finished games are archived with their results');
+
+const reaperStatus = reaper.getStatus();
+assert(reaperStatus.games.waiting === 1 && reaperStatus.games.playing === 1 && reaperStatus.reaped.finished === 1 && reaperStatus.archived === 1,
+  'Reaper: Status counts live, reaped and archived games');
+
+const reaperTournaments = new TournamentManager(reaperManager);
+reaperManager.setTournamentManager(reaperTournaments);
+const idleCup = reaperTournaments.createTournament(organizer, { name: 'Idle Cup', gameType: 'poker', format: 'swiss', rounds: 1 });
+entrants.slice(0, 3).forEach(entrant => reaperTournaments.register(idleCup.id, entrant));
+reaperTournaments.startTournament(idleCup.id, organizer.id);
+const idleTableId = idleCup.currentRound.tables[0].gameId;
+reaper.sweep(Date.now() + 31 * 60 * 1000);
+assert(!reaperManager.getGame(idleTableId) && idleCup.status === 'finished', 'Reaper: Idle tournament tables are settled instead of stalling the tournament');
+
+// ===== READY CHECK TESTS =====
+console.log('\n━━━ Ready Check Tests ━━━');
+
+const readyManager = new GameManager(createMockIo(), { reconnectGracePeriod: 60 });
+const readyInfo = readyManager.createGame('2-truths-and-a-lie', creator, false, 5);
+readyManager.joinGame(readyInfo.id, 'ready-2', null);
+readyManager.joinGame(readyInfo.id, 'ready-3', null);
+const readyGame = readyManager.getGame(readyInfo.id);
+
+assert(/ready up/.test(readyManager.handleGameAction(readyInfo.id, creator.id, { type: 'start-game' }).error), 'Ready: Host cannot start until everyone is ready');
+readyManager.handleGameAction(readyInfo.id, creator.id, { type: 'ready' });
+readyManager.handleGameAction(readyInfo.id, 'ready-2', { type: 'ready' });
+assert(readyGame.timerPhase === null && readyGame.getGameState().readyPlayerIds.length === 2, 'Ready: Ready players are tracked for the host to see');
+readyManager.handleGameAction(readyInfo.id, 'ready-3', { type: 'ready' });
+assert(readyGame.timerPhase === 'countdown' && readyGame.status === 'waiting', 'Ready: Countdown starts once everyone is ready');
+readyManager.handleGameAction(readyInfo.id, 'ready-3', { type: 'ready', ready: false });
+assert(readyGame.timerPhase === null, 'Ready: Unreadying calls the countdown off');
+readyManager.handleGameAction(readyInfo.id, 'ready-3', { type: 'ready' });
+readyManager.joinGame(readyInfo.id, 'ready-4', null);
+assert(readyGame.timerPhase === null, 'Ready: A late joiner stops the countdown until they ready up');
+
+readyManager.handleGameAction(readyInfo.id, 'ready-4', { type: 'ready' });
+readyGame.startPhaseTimer('countdown', 0.05);
+pendingTests.push(waitFor(() => readyGame.status === 'playing').then(() => {
+  // Prompts load in the background, so their entry may land after the start
+  const lastEntry = readyManager.actionLogs.get(readyInfo.id).entries.filter(e => e.kind === 'action').slice(-1)[0];
+  assert(readyGame.status === 'playing' && lastEntry.payload.type === 'start-game' && lastEntry.actor === creator.id,
+    'Ready: Game starts itself when the countdown ends');
+  readyGame.dispose();
+}));
+
+// ===== PLAYER IDENTITY TESTS =====
+console.log('\n━━━ Player Identity Tests ━━━');
+
+const identityManager = new GameManager(createMockIo(), { reconnectGracePeriod: 60 });
+const identityInfo = identityManager.createGame('poker', creator, false, 4);
+const sessionUser = { id: 'session-1', username: 'RealName', avatar: 'https://cdn.example/avatar.png' };
+identityManager.joinGame(identityInfo.id, sessionUser, null);
+const seatedUser = identityManager.getGame(identityInfo.id).getGameState().players.find(p => p.id === 'session-1');
+assert(seatedUser && seatedUser.username === 'RealName' && seatedUser.avatar === sessionUser.avatar, 'Identity: Players are seated with their session name and avatar');
+assert(identityManager.joinGame(identityInfo.id, sessionUser, null).success && identityManager.getGame(identityInfo.id).players.length === 2,
+  'Identity: Joining again as the same user resyncs the existing seat');
+
+// ===== VALIDATION TESTS =====
+console.log('\n━━━ Validation Tests ━━━');
+
+const validationManager = new GameManager(createMockIo(), { reconnectGracePeriod: 60 });
+const validationInfo = validationManager.createGame('poker', creator, false, 4);
+validationManager.joinGame(validationInfo.id, 'check-2', null);
+validationManager.joinGame(validationInfo.id, 'check-3', null);
+startWhenReady(validationManager, validationInfo.id);
+const validationPoker = validationManager.getGame(validationInfo.id);
+const raiserId = validationPoker.currentPlayer.id;
+const loggedBefore = validationManager.actionLogs.get(validationInfo.id).entries.length;
+const overStack = validationManager.handleGameAction(validationInfo.id, raiserId, { type: 'raise', amount: validationPoker.stacks.get(raiserId) + 1 });
+assert(!overStack.success && overStack.code === 'invalid_payload' && overStack.field === 'amount', 'Validation: Raises beyond the stack are rejected on the amount field');
+assert(!validationManager.handleGameAction(validationInfo.id, raiserId, { type: 'raise', amount: 2.5 }).success, 'Validation: Raise amounts must be whole numbers');
+assert(validationManager.handleGameAction(validationInfo.id, raiserId, { type: 'fold', cheat: true }).error === 'Unknown field: cheat', 'Validation: Unknown action fields are rejected');
+assert(validationManager.handleGameAction(validationInfo.id, raiserId, { type: 'teleport' }).code === 'invalid_payload', 'Validation: Unknown action types are rejected');
+assert(validationManager.actionLogs.get(validationInfo.id).entries.length === loggedBefore, 'Validation: Rejected actions are not logged');
+validationPoker.dispose();
+
+const statementsGame = new TwoTruthsAndALieGame('validation-truths', creator, false, 7);
+statementsGame.addPlayer({ id: 'truths-2', username: 'B' }, null);
+statementsGame.addPlayer({ id: 'truths-3', username: 'C' }, null);
+statementsGame.currentPlayer = statementsGame.players[0];
+const writerId = statementsGame.currentPlayer.id;
+const twoStatements = statementsGame.performAction(writerId, { type: 'submit-statements', statements: ['a', 'b'] });
+assert(twoStatements.error === 'Statements must have exactly 3 items', 'Validation: Exactly three statements required');
+const longStatement = statementsGame.performAction(writerId, { type: 'submit-statements', statements: ['a', 'b', 'x'.repeat(TwoTruthsAndALieGame.MAX_STATEMENT_LENGTH + 1)] });
+assert(!longStatement.success && longStatement.field === 'statements[2]', 'Validation: Over-long statements rejected with their index');
+assert(statementsGame.performAction(writerId, { type: 'submit-statements', statements: ['a', 'b', 'c'] }).success, 'Validation: Valid statements accepted');
+statementsGame.dispose();
+
+assert(!payloadSchemas.validateEventArgs('chat-message', [{ message: 'x'.repeat(payloadSchemas.MAX_CHAT_MESSAGE_LENGTH + 1) }]).success &&
+  payloadSchemas.validateEventArgs('join-game', ['game-1']).success, 'Validation: Socket event arguments checked per event');
+const roomSchema = payloadSchemas.routes['POST /api/games'];
+const seededBody = { gameType: 'poker', seed: 42 };
+const seededRoomManager = new GameManager(createMockIo(), { reconnectGracePeriod: 60 });
+const seededRoom = seededRoomManager.getGame(seededRoomManager.createGame(seededBody.gameType, creator, false, 4, {}, seededBody.seed).id);
+assert(validate(roomSchema, seededBody).success && !validate(roomSchema, { gameType: 'poker', seed: '42' }).success && seededRoom.seed === 42,
+  'Validation: A numeric room seed passes the schema and reaches the game');
+seededRoom.dispose();
+assert(roomSchema.properties.name.maxLength === GameManager.MAX_ROOM_NAME_LENGTH &&
+  roomSchema.properties.password.maxLength === RoomPassword.MAX_PASSWORD_LENGTH &&
+  !payloadSchemas.validateEventArgs('join-game', ['game-1', 'x'.repeat(RoomPassword.MAX_PASSWORD_LENGTH + 1)]).success,
+  'Validation: Room name and password limits match the ones rooms enforce');
+assert(!validate(payloadSchemas.routes['POST /api/tournaments'], { name: 'x'.repeat(TournamentManager.MAX_TOURNAMENT_NAME_LENGTH + 1), gameType: 'poker' }).success,
+  'Validation: Tournament name limit matches the one tournaments enforce');
+const badFeedback = require('./src/Validator').validate(payloadSchemas.routes['POST /api/feedback'], { gameId: 'g', userId: 'u', ratings: { overallExperience: 9 } });
+assert(badFeedback.field === 'ratings.overallExperience' && badFeedback.error === 'Overall rating must be between 1 and 5', 'Validation: REST bodies report the nested field that failed');
+
+// ===== RATE LIMIT TESTS =====
+console.log('\n━━━ Rate Limit Tests ━━━');
+
+const limiter = new RateLimiter({ budgets: { action: { burst: 2, perMinute: 60 }, chat: { burst: 1, perMinute: 60 } }, chatStrikes: 2, muteSeconds: 30 });
+const limitStart = 1000000;
+assert(limiter.consume('action', 'user:a', limitStart).success && limiter.consume('action', 'user:a', limitStart).success, 'RateLimit: Burst allowed up front');
+const overLimit = limiter.consume('action', 'user:a', limitStart);
+assert(!overLimit.success && overLimit.retryAfterSeconds === 1, 'RateLimit: Empty bucket rejects with a retry time');
+assert(limiter.consume('action', 'user:b', limitStart).success && limiter.consume('chat', 'user:a', limitStart).success, 'RateLimit: Buckets are per key and per bucket');
+assert(limiter.consume('action', 'user:a', limitStart + 1000).success, 'RateLimit: Tokens refill over time');
+
+assert(!limiter.consumeChat('user:a', limitStart).mutedUntil, 'RateLimit: First chat strike only drops the message');
+const muted = limiter.consumeChat('user:a', limitStart);
+assert(muted.mutedUntil === limitStart + 30000 && limiter.consumeChat('user:a', limitStart + 20000).mutedUntil === muted.mutedUntil, 'RateLimit: Repeated chat spam mutes the sender');
+assert(limiter.consumeChat('user:a', limitStart + 31000).success, 'RateLimit: Mutes wear off');
+
+const capManager = new GameManager(createMockIo(), { reconnectGracePeriod: 60, maxRoomsPerCreator: 2 });
+const capRooms = [capManager.createGame('poker', creator, false, 4), capManager.createGame('poker', creator, false, 4)];
+assert(!capManager.canCreateRoom(creator.id).success && capManager.canCreateRoom('someone-else').success, 'RateLimit: Room cap applies per creator');
+capManager.leaveGame(capRooms[0].id, creator.id);
+assert(capManager.canCreateRoom(creator.id).success, 'RateLimit: Leaving a room frees a slot');
+capManager.games.forEach(game => game.dispose());
+
+// ===== PICK-N TESTS =====
+console.log('\n━━━ Pick-N Tests ━━━');
+
+assert(DegensAgainstDecencyGame.getPick({ text: '___ and ___ walk into a bar.' }) === 2 && DegensAgainstDecencyGame.getPick({ text: 'Why?' }) === 1,
+  'PickN: Pick count inferred from blanks');
+assert(DegensAgainstDecencyGame.getPick({ text: 'Make a haiku.', pick: 3 }) === 3 && DegensAgainstDecencyGame.getPick({ text: 'x', pick: 9 }) === DegensAgainstDecencyGame.MAX_PICK,
+  'PickN: Card pick counts used and capped');
+
+const pickGame = new DegensAgainstDecencyGame('test-pick', creator, false, 5);
+pickGame.addPlayer({ id: 'pick-2', username: 'Pick2' }, null);
+pickGame.addPlayer({ id: 'pick-3', username: 'Pick3' }, null);
+pickGame.status = 'playing';
+pickGame.dispatchSystemEvent({
+  type: 'cards-loaded',
+  questionCards: [{ id: 'pq', text: 'First ___, then ___.' }],
+  answerCards: Array.from({ length: 30 }, (_, i) => ({ id: i, text: `Answer ${i}` }))
+});
+const pickerId = pickGame.players.find(p => p.id !== pickGame.cardCzar.id).id;
+const pickHand = pickGame.playerHands.get(pickerId);
+const [firstPick, secondPick] = [pickHand[3], pickHand[0]];
+assert(pickGame.currentQuestion.pick === 2 && pickGame.performAction(pickerId, { type: 'submit-card', cardId: firstPick.id }).error === 'This question needs 2 cards',
+  'PickN: Wrong number of cards rejected');
+assert(pickGame.performAction(pickerId, { type: 'submit-card', cardIds: [firstPick.id, firstPick.id] }).success === false, 'PickN: A card cannot fill two blanks');
+assert(pickGame.performAction(pickerId, { type: 'submit-card', cardIds: [String(firstPick.id), String(secondPick.id)] }).success, 'PickN: Cards submitted together, IDs as sent by the browser');
+assert(pickGame.submissions.get(pickerId).map(c => c.id).join() === `${firstPick.id},${secondPick.id}`, 'PickN: Submission keeps blank order');
+assert(pickGame.playerHands.get(pickerId).length === pickGame.cardsPerHand, 'PickN: Hand refilled to full size');
+
+pickGame.onPhaseTimeout('submit');
+assert(Array.from(pickGame.submissions.values()).every(cards => cards.length === 2), 'PickN: AFK players auto-play the right number of cards');
+assert(pickGame.judgeSubmission(pickGame.slotIds.get(pickerId)).winner === pickerId, 'PickN: Czar judges the whole submission');
+const pickStateCards = pickGame.getGameStateFor(null).submissions.find(sub => sub.playerId === pickerId).cards;
+assert(pickStateCards.length === 2 && pickStateCards[0].text === firstPick.text, 'PickN: State shows every card of a submission');
+
+const pickBotState = { status: 'playing', currentQuestion: { text: '___ + ___', pick: 2 }, cardCzar: { id: 'czar' }, submittedPlayers: [], roundWinner: null,
+  playerHands: { pb: [{ id: 1, text: 'A' }, { id: 2, text: 'B' }, { id: 3, text: 'C' }] } };
+pendingTests.push(new DegensBot({ id: 'pb', botStyle: 'random' }, { rng: new SeededRandom(5) }).decide(pickBotState).then(action => {
+  assert(action.cardIds.length === 2 && new Set(action.cardIds).size === 2, 'PickN: Bots play distinct cards for every blank');
+}));
+
+const oldSnapshot = JSON.parse(JSON.stringify(pickGame.serialize()));
+oldSnapshot.submissions = oldSnapshot.submissions.map(([playerId, cards]) => [playerId, cards[0]]);
+assert(DegensAgainstDecencyGame.deserialize(oldSnapshot).submissions.get(pickerId).length === 1, 'PickN: Single-card snapshots still restore');
+pickGame.dispose();
+
+// ===== ANONYMOUS JUDGING TESTS =====
+console.log('\n━━━ Anonymous Judging Tests ━━━');
+
+const slotGame = new DegensAgainstDecencyGame('test-slots', creator, false, 7);
+const slotPlayers = ['slot-a', 'slot-b', 'slot-c', 'slot-d', 'slot-e'];
+slotPlayers.forEach(id => slotGame.addPlayer({ id, username: id }, null));
+slotGame.setSeed(42);
+slotGame.answerCards = Array.from({ length: 60 }, (_, i) => ({ id: `s-${i}`, text: `Answer ${i}` }));
+slotGame.questionCards = [{ id: 'sq', text: 'Why ___?' }];
+slotGame.status = 'playing';
+slotGame.dealInitialHands();
+slotGame.cardCzar = slotGame.players[0];
+slotGame.drawQuestion();
+slotPlayers.forEach(id => slotGame.performAction(id, { type: 'submit-card', cardId: slotGame.playerHands.get(id)[0].id }));
+
+const slotView = slotGame.getGameStateFor(creator.id).submissions;
+assert(slotView.map(sub => sub.slotId).join() === [...slotView.map(sub => sub.slotId)].sort().join() && slotView.map(sub => sub.slotId).join() !== slotPlayers.map(id => slotGame.slotIds.get(id)).join(),
+  'Judging: Submissions shown in slot order, not submission order');
+assert(slotView.every(sub => !slotPlayers.some(id => sub.slotId.includes(id)) && !sub.slotId.includes(sub.cards[0].id)), 'Judging: Slot IDs reveal neither player nor card');
+assert(slotGame.performAction(creator.id, { type: 'judge-submission', cardId: slotView[0].cards[0].id }).success === false, 'Judging: Czar cannot judge by card ID');
+assert(slotGame.performAction(creator.id, { type: 'next-round' }).success === false, 'Judging: Host cannot skip a round before it is decided');
+assert(slotGame.performAction(creator.id, { type: 'judge-submission', slotId: slotView[0].slotId }).success, 'Judging: Czar judges by slot ID');
+assert(slotGame.performAction(creator.id, { type: 'next-round' }).success, 'Judging: Host moves on once the round is decided');
+slotGame.dispose();
+
+const closingManager = new GameManager(createMockIo(), { reconnectGracePeriod: 60 });
+const closingInfo = closingManager.createGame('degens-against-decency', creator, false, 4, { aiCards: false });
+['closing-2', 'closing-3'].forEach(id => closingManager.joinGame(closingInfo.id, id, null));
+startWhenReady(closingManager, closingInfo.id);
+const closingGame = closingManager.getGame(closingInfo.id);
+const [closingSubmitter, closingEmpty] = closingGame.players.filter(p => p.id !== closingGame.cardCzar.id).map(p => p.id);
+closingManager.handleGameAction(closingInfo.id, closingSubmitter, { type: 'submit-card', cardIds: closingGame.playerHands.get(closingSubmitter).slice(0, closingGame.currentQuestion.pick).map(card => card.id) });
+closingGame.playerHands.set(closingEmpty, []);
+const closingSlot = closingGame.slotIds.get(closingSubmitter);
+assert(closingManager.handleGameAction(closingInfo.id, closingGame.cardCzar.id, { type: 'judge-submission', slotId: closingSlot }).success === false,
+  'Judging: Czar cannot judge while answers are still coming in');
+closingGame.onPhaseTimeout('submit');
+const closingEntries = closingManager.actionLogs.get(closingInfo.id).entries;
+assert(closingGame.judging && closingEntries[closingEntries.length - 1].payload.type === 'start-judging',
+  'Judging: Submit timeout opens judging through the action log');
+closingGame.dispose();
+
+// ===== DEMOCRACY TESTS =====
+console.log('\n━━━ Democracy Tests ━━━');
+
+assert(registry.validateOptions('degens-against-decency', { judging: 'mob-rule' }).error === 'Judging must be one of: czar, democracy', 'Democracy: Unknown judging choice rejected');
+
+const democracyVoters = ['vote-a', 'vote-b', 'vote-c'];
+function createDemocracyGame(options) {
+  const game = new DegensAgainstDecencyGame('test-democracy', creator, false, 5);
+  game.applyOptions(registry.validateOptions('degens-against-decency', { judging: 'democracy', ...options }).options);
+  democracyVoters.forEach(id => game.addPlayer({ id, username: id }, null));
+  game.status = 'playing';
+  game.dispatchSystemEvent({
+    type: 'cards-loaded',
+    questionCards: [{ id: 'dq', text: 'Vote for ___.' }],
+    answerCards: Array.from({ length: 40 }, (_, i) => ({ id: i, text: `Answer ${i}` }))
+  });
+  game.players.forEach(p => game.performAction(p.id, { type: 'submit-card', cardId: game.playerHands.get(p.id)[0].id }));
+  return game;
+}
+// A and C both get two votes, B none
+function castTiedVotes(game) {
+  const slot = (id) => game.slotIds.get(id);
+  [[creator.id, 'vote-c'], ['vote-a', 'vote-c'], ['vote-b', 'vote-a'], ['vote-c', 'vote-a']].forEach(([voter, target]) =>
+    game.performAction(voter, { type: 'vote', slotId: slot(target) }));
+}
+
+const democracyGame = createDemocracyGame({ pointsPerVote: 2 });
+assert(democracyGame.cardCzar === null && democracyGame.submissions.size === 4 && democracyGame.judging, 'Democracy: No Czar, everyone plays, then voting opens');
+assert(democracyGame.performAction(creator.id, { type: 'judge-submission', slotId: democracyGame.slotIds.get('vote-a') }).success === false, 'Democracy: Nobody judges alone');
+assert(democracyGame.performAction('vote-a', { type: 'vote', slotId: democracyGame.slotIds.get('vote-a') }).error === 'You cannot vote for your own answer', 'Democracy: Own answer cannot be voted for');
+castTiedVotes(democracyGame);
+assert(democracyGame.performAction('vote-a', { type: 'vote', slotId: democracyGame.slotIds.get('vote-b') }).success === false, 'Democracy: One vote each');
+assert(democracyGame.roundWinners.sort().join() === 'vote-a,vote-c' && democracyGame.scores.get('vote-a') === 5 && democracyGame.scores.get('vote-b') === 0,
+  'Democracy: Points per vote, tied players share the round');
+const democracyResult = democracyGame.getGameStateFor('vote-b').submissions;
+assert(democracyResult.find(sub => sub.playerId === 'vote-a').votes === 2 && democracyGame.getGameStateFor(null).roundDecided, 'Democracy: Vote counts revealed once voting closes');
+democracyGame.dispose();
+
+const randomTieGame = createDemocracyGame({ tieBreak: 'random' });
+castTiedVotes(randomTieGame);
+const noTieGame = createDemocracyGame({ tieBreak: 'none' });
+castTiedVotes(noTieGame);
+assert(randomTieGame.roundWinners.length === 1 && ['vote-a', 'vote-c'].includes(randomTieGame.roundWinner), 'Democracy: Random tie-break picks one tied player');
+assert(noTieGame.roundWinners.length === 0 && noTieGame.scores.get('vote-a') === 2, 'Democracy: No tie-break still scores votes');
+randomTieGame.dispose();
+noTieGame.dispose();
+
+const afkVoteGame = createDemocracyGame({});
+afkVoteGame.performAction('vote-a', { type: 'vote', slotId: afkVoteGame.slotIds.get('vote-b') });
+assert(afkVoteGame.getGameStateFor(null).submissions.every(sub => sub.votes === undefined) && afkVoteGame.getGameStateFor('vote-a').myVote === afkVoteGame.slotIds.get('vote-b'),
+  'Democracy: Votes stay hidden while voting is open');
+afkVoteGame.onPhaseTimeout('judge');
+assert(afkVoteGame.isRoundDecided() && afkVoteGame.roundWinner === 'vote-b', 'Democracy: Voting closes when the timer runs out');
+afkVoteGame.dispose();
+
+const voteBotState = { status: 'playing', judgingMode: 'democracy', currentQuestion: { text: '___' }, cardCzar: null, roundDecided: false, myVote: null,
+  submissions: [{ slotId: 's1', isOwn: true, cards: [{ text: 'Mine' }] }, { slotId: 's2', isOwn: false, cards: [{ text: 'Theirs' }] }] };
+pendingTests.push(new DegensBot({ id: 'vb', botStyle: 'random' }, { rng: new SeededRandom(3) }).decide(voteBotState).then(action => {
+  assert(action.type === 'vote' && action.slotId === 's2', 'Democracy: Bots vote for an answer that is not their own');
+}));
+
+// ===== END CONDITION TESTS =====
+console.log('\n━━━ End Condition Tests ━━━');
+
+assert(registry.validateOptions('degens-against-decency', { endCondition: 'points' }).success === false &&
+  registry.validateOptions('2-truths-and-a-lie', { endCondition: 'points', pointsToWin: 30 }).success, 'EndConditions: First to N needs a points target');
+
+function createEndingGame(options, questionCount = 10) {
+  const game = new DegensAgainstDecencyGame('test-ending', creator, false, 5);
+  game.applyOptions(registry.validateOptions('degens-against-decency', options).options);
+  ['end-2', 'end-3'].forEach(id => game.addPlayer({ id, username: id }, null));
+  game.status = 'playing';
+  game.currentRound = 1;
+  game.dispatchSystemEvent({
+    type: 'cards-loaded',
+    questionCards: Array.from({ length: questionCount }, (_, i) => ({ id: `eq-${i}`, text: `Question ${i} ___` })),
+    answerCards: Array.from({ length: 40 }, (_, i) => ({ id: i, text: `Answer ${i}` }))
+  });
+  return game;
+}
+// As the reveal timer does
+const nextRound = (game) => game.performAction(creator.id, { type: 'next-round', auto: true });
+
+const pointsGame = createEndingGame({ endCondition: 'points', pointsToWin: 3, maxRounds: 1 });
+pointsGame.scores.set('end-2', 2);
+assert(!nextRound(pointsGame).gameEnded && pointsGame.currentRound === 2, 'EndConditions: First to N ignores the round count');
+pointsGame.scores.set('end-2', 3);
+assert(nextRound(pointsGame).gameEnded && pointsGame.getGameState().endDescription === 'First to 3 points', 'EndConditions: Game ends when someone reaches the target');
+
+const tiedGame = createEndingGame({ maxRounds: 1, suddenDeathRounds: 2 });
+tiedGame.scores.set('end-2', 1);
+tiedGame.scores.set('end-3', 1);
+assert(!nextRound(tiedGame).gameEnded && tiedGame.getGameState().suddenDeath, 'EndConditions: Tied lead goes to sudden death');
+tiedGame.scores.set('end-3', 2);
+assert(nextRound(tiedGame).gameEnded && tiedGame.endReason === 'rounds' && tiedGame.winners.join() === 'end-3' &&
+  tiedGame.getGameState().endDescription === '1 round played, after 1 sudden-death round', 'EndConditions: Sudden death ends once someone leads');
+
+const cappedGame = createEndingGame({ maxRounds: 1, suddenDeathRounds: 1 });
+nextRound(cappedGame);
+assert(nextRound(cappedGame).gameEnded && cappedGame.winners.length > 1, 'EndConditions: Sudden death is capped, ties then stand');
+
+const deckGame = createEndingGame({ endCondition: 'deck' }, 2);
+assert(!nextRound(deckGame).gameEnded && nextRound(deckGame).gameEnded && deckGame.endReason === 'deck', 'EndConditions: Deck mode plays until the questions run out');
+
+const timedGame = createEndingGame({ endCondition: 'time', timeLimit: 5 });
+timedGame.startSessionTimer();
+assert(timedGame.sessionDeadline > Date.now() && !nextRound(timedGame).gameEnded, 'EndConditions: Timed session keeps playing until the clock runs out');
+timedGame.dispatchSystemEvent({ type: 'time-up' });
+timedGame.scores.set('end-2', 1);
+assert(timedGame.timeUp && timedGame.sessionTimer === null && nextRound(timedGame).gameEnded && timedGame.endReason === 'time', 'EndConditions: Time-up ends the game after the round');
+const restoredTimed = DegensAgainstDecencyGame.deserialize(JSON.parse(JSON.stringify(timedGame.serialize())));
+assert(restoredTimed.endReason === 'time' && restoredTimed.getGameState().endDescription === '5-minute time limit reached', 'EndConditions: End reason survives a restart');
+[pointsGame, tiedGame, cappedGame, deckGame, timedGame].forEach(game => game.dispose());
+
+const truthsPoints = new TwoTruthsAndALieGame('test-truths-points', creator, false, 5);
+truthsPoints.applyOptions(registry.validateOptions('2-truths-and-a-lie', { endCondition: 'points', pointsToWin: 10 }).options);
+['tp-2', 'tp-3'].forEach(id => truthsPoints.addPlayer({ id, username: id }, null));
+truthsPoints.status = 'playing';
+truthsPoints.currentRound = 1;
+truthsPoints.currentPlayer = truthsPoints.players[0];
+truthsPoints.scores.set('tp-2', 10);
+assert(!truthsPoints.performAction(creator.id, { type: 'next-turn', auto: true }).gameEnded, 'EndConditions: 2 Truths finishes the round before ending');
+truthsPoints.performAction(creator.id, { type: 'next-turn', auto: true });
+assert(truthsPoints.performAction(creator.id, { type: 'next-turn', auto: true }).gameEnded && truthsPoints.endReason === 'points', 'EndConditions: 2 Truths ends on points once everyone has had a turn');
+truthsPoints.dispose();
+
+// ===== CARD PACK TESTS =====
+console.log('\n━━━ Card Pack Tests ━━━');
+
+const officePack = CardPack.normalizePack({
+  name: ' Office Chaos ',
+  questions: [{ text: 'Step one: ___. Step two: ___.', pick: 2 }, { text: 'HR called about ___.' }],
+  answers: ['Reply-all', { text: 'A "quick" sync, again' }]
+});
+assert(officePack.success && officePack.pack.name === 'Office Chaos' && officePack.pack.visibility === 'private' &&
+  officePack.pack.answers[0].text === 'Reply-all', 'CardPack: Packs get defaults and answers become objects');
+assert(CardPack.normalizePack({ name: 'Empty', questions: [], answers: [] }).error === 'A card pack needs at least one card' &&
+  CardPack.normalizePack({ name: 'Bad', questions: [{ text: 'Q ___', pick: 4 }], answers: [] }).field === 'questions[0].pick', 'CardPack: Empty packs and bad pick counts are rejected');
+
+const csvCards = CardPack.parseCsv('type,text,pick\r\nquestion,"Step one: ___, step two: ___",2\nanswer,"A ""quick"" sync"\n\n');
+assert(csvCards.success && csvCards.questions[0].pick === 2 && csvCards.questions[0].text.includes(',') &&
+  csvCards.answers[0].text === 'A "quick" sync', 'CardPack: CSV handles quoted commas, quotes and blank lines');
+assert(CardPack.parseCsv('type,text\nanswer,Fine\njoker,Nope').error === 'Line 3: type must be question or answer' &&
+  !CardPack.parseCsv('text\nNo type column').success, 'CardPack: CSV errors name the bad line');
+const roundTrip = CardPack.parseCsv(CardPack.toCsv(officePack.pack));
+assert(JSON.stringify(roundTrip.questions) === JSON.stringify(officePack.pack.questions) &&
+  JSON.stringify(roundTrip.answers) === JSON.stringify(officePack.pack.answers), 'CardPack: CSV export imports back unchanged');
+
+const fallbackCards = new AICardGenerator().getFallbackDegensCards();
+assert(fallbackCards.length >= 30 && fallbackCards.some(card => card.pick === 2), 'CardPack: Fallback cards come from the Base Deck');
+
+assert(registry.validateOptions('degens-against-decency', { packs: ['base', 'base'], aiCards: false }).options.packs.length === 1 &&
+  !registry.validateOptions('degens-against-decency', { packs: 'base' }).success &&
+  !registry.validateOptions('degens-against-decency', { aiCards: 'yes' }).success, 'CardPack: Room pack options are checked');
+
+const packStore = new CardPackStore({ storage: { isSupabaseConfigured: () => false } });
+const packOwner = { id: 'pack-owner', username: 'PackOwner' };
+pendingTests.push((async () => {
+  const created = await packStore.create(packOwner, { name: 'Office Chaos', questions: [{ text: 'HR called about ___.' }], answers: ['Reply-all'] });
+  const packId = created.pack.id;
+  const forOthers = await packStore.list('someone-else');
+  assert(created.success && forOthers.length === 1 && forOthers[0].id === 'base' &&
+    (await packStore.get(packId, 'someone-else')).error === CardPackStore.NOT_FOUND, 'CardPack: Private packs are hidden from other users');
+  assert((await packStore.update(packId, 'someone-else', { name: 'Mine now', questions: [], answers: ['x'] })).success === false &&
+    (await packStore.delete('base', packOwner.id)).error === CardPackStore.NOT_OWNER, 'CardPack: Only owners can change packs, and built-ins are read-only');
+
+  await packStore.update(packId, packOwner.id, { name: 'Office Chaos', visibility: 'public', questions: [{ text: 'HR called about ___.' }], answers: ['Reply-all'] });
+  const deck = await packStore.getCards(['base', packId], 'someone-else');
+  assert(deck.success && deck.questionCards.length === 21 && deck.packs.map(pack => pack.name).join() === 'Base Deck,Office Chaos' &&
+    deck.questionCards.every(card => typeof card.id === 'string'), 'CardPack: Public packs combine into one deck');
+  assert((await packStore.delete(packId, packOwner.id)).success && !(await packStore.getCards([packId], packOwner.id)).success, 'CardPack: Deleted packs are gone');
+})());
+
+const fullPackStore = new CardPackStore({
+  storage: {
+    isSupabaseConfigured: () => true,
+    countCardPacks: async (ownerId) => (ownerId === packOwner.id ? CardPackStore.MAX_PACKS_PER_USER : null),
+    listCardPacks: async () => null,
+    getCardPack: async (packId) => {
+      if (packId === 'unreadable') throw new Error('Failed to load card pack');
+      return { id: packId, name: 'Stored', visibility: 'private', ownerId: packOwner.id, questions: [], answers: [] };
+    },
+    deleteCardPack: async () => false
+  }
+});
+pendingTests.push((async () => {
+  const overLimit = await fullPackStore.create(packOwner, { name: 'One Too Many', questions: [], answers: ['x'] });
+  assert(!overLimit.success && /at most/.test(overLimit.error), 'CardPack: Pack limit uses a count of the owner\'s packs');
+  const failed = await fullPackStore.create({ id: 'other-owner', username: 'Other' }, { name: 'Unknown', questions: [], answers: ['x'] }).catch(error => error);
+  assert(failed instanceof Error, 'CardPack: Failing to count packs stops the create');
+  const storageErrors = await Promise.all([
+    fullPackStore.list(packOwner.id).catch(error => error),
+    fullPackStore.get('unreadable', packOwner.id).catch(error => error),
+    fullPackStore.delete('stored', packOwner.id).catch(error => error)
+  ]);
+  assert(storageErrors.every(error => error instanceof Error), 'CardPack: Storage failures surface as errors, not missing packs');
+})());
+
+const packGame = new DegensAgainstDecencyGame('test-packs', creator, false, 5);
+packGame.applyOptions(registry.validateOptions('degens-against-decency', { packs: ['test-pack'], aiCards: false }).options);
+['pk-2', 'pk-3'].forEach(id => packGame.addPlayer({ id, username: id }, null));
+packGame.setCardPackLoader(async (packIds) => ({
+  success: true,
+  questionCards: Array.from({ length: 12 }, (_, i) => ({ id: `${packIds[0]}-q${i}`, type: 'question', text: `Pack question ${i} ___`, pack: packIds[0] })),
+  answerCards: Array.from({ length: 30 }, (_, i) => ({ id: `${packIds[0]}-a${i}`, type: 'answer', text: `Pack answer ${i}`, pack: packIds[0] })),
+  packs: [{ id: packIds[0], name: 'Test Pack' }]
+}));
+pendingTests.push(packGame.initializeGame().then(() => {
+  assert(packGame.currentQuestion.pack === 'test-pack' && packGame.questionCards.every(card => card.pack === 'test-pack') &&
+    packGame.getGameState().cardPacks[0].name === 'Test Pack', 'CardPack: Degens deals only from the room\'s packs without AI cards');
+  packGame.dispose();
+}));
+
+const brokenPackGame = new DegensAgainstDecencyGame('test-broken-packs', creator, false, 5);
+brokenPackGame.applyOptions(registry.validateOptions('degens-against-decency', { packs: ['test-pack'], aiCards: false }).options);
+['bp-2', 'bp-3'].forEach(id => brokenPackGame.addPlayer({ id, username: id }, null));
+brokenPackGame.setCardPackLoader(async () => { throw new Error('Failed to load card pack'); });
+pendingTests.push(brokenPackGame.initializeGame().then(() => {
+  assert(brokenPackGame.currentQuestion && brokenPackGame.playerHands.get('bp-2').length === brokenPackGame.cardsPerHand,
+    'CardPack: Degens deals the fallback cards when its packs fail to load');
+  brokenPackGame.dispose();
+}));
+
+// ===== REPLAY TESTS =====
+console.log('\n━━━ Replay Tests ━━━');
+
+const replayManager = new GameManager(createMockIo(), { reconnectGracePeriod: 60 });
+const replayInfo = replayManager.createGame('poker', creator, false, 4);
+replayManager.joinGame(replayInfo.id, 'replay-2', null);
+replayManager.joinGame(replayInfo.id, 'replay-3', null);
+startWhenReady(replayManager, replayInfo.id);
+const replayGame = replayManager.getGame(replayInfo.id);
+replayManager.handleGameAction(replayInfo.id, replayGame.currentPlayer.id, { type: 'raise', amount: 20 });
+for (let i = 0; i < 20 && replayGame.status === 'playing'; i++) {
+  const owed = replayGame.currentBet - (replayGame.playerBets.get(replayGame.currentPlayer.id) || 0);
+  replayManager.handleGameAction(replayInfo.id, replayGame.currentPlayer.id, { type: owed > 0 ? 'call' : 'check' });
+}
+replayGame.dispose();
+
+const replayLog = replayManager.actionLogs.get(replayInfo.id);
+assert(replayLog.entries.map(e => e.kind).join(',').startsWith('join,join,action'), 'Replay: Joins and actions recorded in order');
+assert(replayLog.entries.every((e, i) => e.seq === i + 1 && typeof e.seed === 'number'), 'Replay: Entries numbered with a seed each');
+
+pendingTests.push(replayManager.getReplay(replayInfo.id).then(replay => {
+  const finalState = replay.steps[replay.steps.length - 1].state;
+  const liveState = replayGame.getGameState();
+  assert(replay.steps.length === replayLog.entries.length && replay.steps.every(s => s.result.success), 'Replay: Every logged step replays successfully');
+  assert(JSON.stringify(finalState.playerHands) === JSON.stringify(liveState.playerHands), 'Replay: Shuffled hands reproduced from seeds');
+  assert(finalState.pot === liveState.pot && JSON.stringify(finalState.scores) === JSON.stringify(liveState.scores), 'Replay: Final pot and scores match the live game');
+  const startStep = replayLog.entries.findIndex(e => e.payload.type === 'start-game');
+  assert(replay.steps[startStep].state.status === 'playing' && replay.steps[startStep - 1].state.status === 'waiting', 'Replay: Intermediate states available for stepping');
+}));
+
+// The replay page's renderer, run over the logged states of a Pick-2 round
+const vm = require('vm');
+const replayContext = { document: { addEventListener: () => {} }, window: {} };
+vm.runInNewContext(`${require('fs').readFileSync('./public/scripts/replay.js', 'utf8')}\nthis.ReplayViewer = ReplayViewer;`, replayContext);
+const replayViewer = Object.create(replayContext.ReplayViewer.prototype);
+replayViewer.gameTypes = Object.fromEntries(registry.list().map(m => [m.id, m]));
+replayViewer.escapeHtml = text => String(text ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+const pickReplayManager = new GameManager(createMockIo(), { reconnectGracePeriod: 60 });
+const pickReplayInfo = pickReplayManager.createGame('degens-against-decency', creator, false, 4, { aiCards: false });
+['pick-replay-2', 'pick-replay-3'].forEach(id => pickReplayManager.joinGame(pickReplayInfo.id, id, null));
+startWhenReady(pickReplayManager, pickReplayInfo.id);
+const pickReplayGame = pickReplayManager.getGame(pickReplayInfo.id);
+pickReplayGame.dispatchSystemEvent({
+  type: 'cards-loaded',
+  questionCards: [{ id: 'replay-q', text: 'First ___, then ___.' }],
+  answerCards: Array.from({ length: 30 }, (_, i) => ({ id: `replay-a${i}`, text: `Replay answer ${i}` }))
+});
+const pickReplayCzarId = pickReplayGame.cardCzar.id;
+const pickReplayWinnerId = pickReplayGame.players.find(p => p.id !== pickReplayCzarId).id;
+for (const player of pickReplayGame.players.filter(p => p.id !== pickReplayCzarId)) {
+  const hand = pickReplayGame.playerHands.get(player.id);
+  pickReplayManager.handleGameAction(pickReplayInfo.id, player.id, { type: 'submit-card', cardIds: [hand[0].id, hand[1].id] });
+}
+const pickReplayCards = pickReplayGame.submissions.get(pickReplayWinnerId);
+pickReplayManager.handleGameAction(pickReplayInfo.id, pickReplayCzarId, { type: 'judge-submission', slotId: pickReplayGame.slotIds.get(pickReplayWinnerId) });
+pickReplayGame.dispose();
+
+pendingTests.push(pickReplayManager.getReplay(pickReplayInfo.id).then(replay => {
+  let rendered = null;
+  try {
+    rendered = replay.steps.map(step => replayViewer.renderSnapshot(step.state));
+  } catch (error) {
+    console.error('Replay render failed:', error.message);
+  }
+  const filled = `First <strong>${pickReplayCards[0].text}</strong>, then <strong>${pickReplayCards[1].text}</strong>.`;
+  const judgingView = rendered && rendered[rendered.length - 2];
+  const decidedView = rendered && rendered[rendered.length - 1];
+  assert(judgingView && judgingView.includes(`<li>${filled}</li>`) && decidedView.includes(`: ${filled} 🏆</li>`),
+    'Replay: Pick-2 submissions render filled in, anonymous until the round is decided');
+}));
+
+// ===== RESULTS =====
+Promise.all(pendingTests).then(() => {
+  console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  console.log(`\n📊 Test Results:`);
+  console.log(`   ✅ Passed: ${passed}`);
+  console.log(`   ❌ Failed: ${failed}`);
+  console.log(`   📈 Total:  ${passed + failed}`);
+
+  if (failed === 0) {
+    console.log(`\n🎉 All tests passed!\n`);
+    process.exit(0);
+  } else {
+    console.log(`\n⚠️  Some tests failed. Please review.\n`);
+    process.exit(1);
+  }
+});